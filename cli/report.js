@@ -0,0 +1,120 @@
+import { formatCurrency } from "../src/utils/currency";
+
+// What the App results panel shows for one setup, as plain data (for --json) and as text.
+
+const money = (value) => formatCurrency(value, "USD");
+const round = (value, decimals) => (Number.isFinite(value) ? Number(value.toFixed(decimals)) : null);
+
+export const summarize = (setup, inputs, result) => {
+  const { market } = inputs;
+  const label = setup.name || setup.symbol || null;
+
+  if (result.error) {
+    const sides = setup.side === "long" ? "stop below and target above" : "stop above and target below";
+    return { name: label, error: `Invalid ${setup.side} setup - needs the ${sides} the entry` };
+  }
+
+  const { leverageInfo, liquidation, partialTPLevels, partialTPProfits, expectedValue, inverse } = result;
+  const warnings = [...result.contractWarnings, ...result.ladderErrors];
+  if (result.sizing.isCapped) warnings.push(`Position capped: ${leverageInfo.explanation}`);
+  if (liquidation?.blocked) warnings.push("Liquidation triggers before the stop loss even at 1x");
+  if (result.dca) warnings.push(...result.dca.errors);
+
+  return {
+    name: label,
+    side: inputs.positionType,
+    mode: inputs.tradingMode,
+    contract: result.spot ? "spot" : market.contractType,
+    entry: inputs.entry,
+    stop: inputs.stop,
+    target: inputs.target,
+    ratio: round(result.ratio, 2),
+    winRateNeeded: round(100 / (1 + result.ratio), 1),
+    winRateNeededNet: round(result.costs.winRateNeeded, 1),
+    leverage: leverageInfo.optimal,
+    leverageNote: leverageInfo.explanation,
+    positionSize: round(result.recommendedAssets, market.quantityDecimals),
+    positionValue: round(result.positionValue, 2),
+    marginRequired: round(result.sizing.marginRequired, 2),
+    riskBudget: round(result.maxRiskAmount, 2),
+    potentialLoss: round(result.potentialLoss, 2),
+    potentialProfit: round(result.potentialProfit, 2),
+    netLoss: round(result.costs.netLoss, 2),
+    netProfit: round(result.costs.netProfit, 2),
+    liquidationPrice: liquidation && liquidation.price > 0 ? round(liquidation.price, market.priceDecimals) : null,
+    inverse: inverse && {
+      contracts: inverse.contracts,
+      contractSize: inverse.contractSize,
+      lossCoin: round(inverse.loss.coin, 8),
+      profitCoin: round(inverse.profit.coin, 8),
+    },
+    partialTPs: partialTPProfits
+      ? partialTPLevels.map((level, index) => ({
+          label: level.label,
+          price: round(level.price, market.priceDecimals),
+          closePercent: level.closePercent,
+          size: round(partialTPProfits.levels[index].assets, market.quantityDecimals),
+          profit: round(partialTPProfits.levels[index].profit, 2),
+          netProfit: round(partialTPProfits.levels[index].netProfit, 2),
+        }))
+      : [],
+    partialTPTotal: partialTPProfits && {
+      profit: round(partialTPProfits.totalProfit, 2),
+      netProfit: round(partialTPProfits.totalNetProfit, 2),
+      avgExitR: round(partialTPProfits.avgExitRMultiple, 2),
+      expectedProfit: round(expectedValue.expectedProfit, 2),
+      expectedR: round(expectedValue.expectedR, 2),
+    },
+    warnings,
+  };
+};
+
+export const formatSummary = (summary) => {
+  if (summary.error) return `${summary.name ? `${summary.name}: ` : ""}${summary.error}`;
+
+  const row = (label, value) => `  ${label.padEnd(18)}${value}`;
+  const lines = [
+    `${summary.name ? `${summary.name} ` : ""}${summary.side.toUpperCase()} ${summary.contract} - entry ${summary.entry}, SL ${summary.stop}, TP ${summary.target}`,
+    row("R:R", `1:${summary.ratio.toFixed(2)}`),
+    row("Win rate needed", `${summary.winRateNeeded.toFixed(1)}% (net of costs ${summary.winRateNeededNet.toFixed(1)}%)`),
+  ];
+
+  if (summary.contract !== "spot") {
+    lines.push(row("Leverage", `${summary.leverage}x - ${summary.leverageNote}`));
+  }
+  if (summary.inverse) {
+    lines.push(row("Contracts", `${summary.inverse.contracts} × $${summary.inverse.contractSize} (${summary.positionSize} coin at entry)`));
+  } else {
+    lines.push(row("Position size", `${summary.positionSize} coins (${money(summary.positionValue)})`));
+  }
+  if (summary.contract !== "spot") lines.push(row("Margin", money(summary.marginRequired)));
+  lines.push(
+    row("Risk at stop", `${money(summary.potentialLoss)} of ${money(summary.riskBudget)} budget (net ${money(summary.netLoss)})`),
+    row("Profit at target", `${money(summary.potentialProfit)} (net ${money(summary.netProfit)})`)
+  );
+  if (summary.inverse) {
+    lines.push(row("Coin P&L", `${summary.inverse.lossCoin} at SL, +${summary.inverse.profitCoin} at TP`));
+  }
+  if (summary.contract !== "spot") {
+    lines.push(row("Liquidation", summary.liquidationPrice === null ? "None" : String(summary.liquidationPrice)));
+  }
+
+  if (summary.partialTPs.length > 0) {
+    lines.push("  Partial TPs");
+    summary.partialTPs.forEach((level) => {
+      lines.push(
+        `    ${level.label.padEnd(22)}${String(level.price).padEnd(12)}close ${String(level.closePercent).padStart(3)}%  ` +
+          `${String(level.size).padEnd(12)}${money(level.profit)} (net ${money(level.netProfit)})`
+      );
+    });
+    const total = summary.partialTPTotal;
+    lines.push(
+      `    Total ${money(total.profit)} (net ${money(total.netProfit)}), ` +
+        `${total.avgExitR === null ? "" : `avg exit ${total.avgExitR}R, `}` +
+        `expected ${money(total.expectedProfit)} (${total.expectedR}R)`
+    );
+  }
+
+  summary.warnings.forEach((warning) => lines.push(`  ! ${warning}`));
+  return lines.join("\n");
+};
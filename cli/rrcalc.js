@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// rrcalc: the calculator's sizing engine from the terminal.
+//   rrcalc --side long --entry 65000 --sl 63500 --tp 70000 --capital 10000 --risk 1
+//   rrcalc --file setups.json --capital 10000 --json
+//   cat setups.jsonl | rrcalc --json
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { calculateRiskReward } from "../src/engine";
+import { formatSummary, summarize } from "./report";
+import { FIELDS, buildSetup, normalizeKeys, toFlag } from "./setup";
+
+const USAGE = `Usage: rrcalc [options]
+       rrcalc --file <setups.json|-> [options]
+
+Sizes a trade the way the web calculator does. With --file (or piped stdin) every record in a
+JSON array or JSON Lines input is one setup; options given here fill in fields a record leaves out.
+
+Output:
+  --json                    Print JSON (an object per setup, an array for batches)
+  --file <path>             Read setups from a file, - for stdin
+  --help                    Show this help
+
+Setup:
+${FIELDS.map((field) => {
+  const flag = `--${toFlag(field.key)}${field.boolean ? "" : " <value>"}`;
+  const fallback = field.default === undefined || field.boolean ? "" : ` (default ${field.default})`;
+  return `  ${flag.padEnd(26)}${field.help}${fallback}`;
+}).join("\n")}
+`;
+
+const parseCommandLine = () => {
+  const options = {
+    json: { type: "boolean" },
+    file: { type: "string" },
+    help: { type: "boolean", short: "h" },
+  };
+  FIELDS.forEach((field) => {
+    options[toFlag(field.key)] = { type: field.boolean ? "boolean" : "string" };
+  });
+  const { values } = parseArgs({ options });
+  return values;
+};
+
+// A JSON array, a single object or one object per line
+const parseRecords = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  if (trimmed.startsWith("[")) return JSON.parse(trimmed);
+  try {
+    return [JSON.parse(trimmed)];
+  } catch {
+    return trimmed.split("\n").filter((line) => line.trim()).map((line) => JSON.parse(line));
+  }
+};
+
+const runSetup = (record) => {
+  try {
+    const { setup, inputs } = buildSetup(record);
+    return summarize(setup, inputs, calculateRiskReward(inputs));
+  } catch (error) {
+    return { name: record.name || null, error: error.message };
+  }
+};
+
+const main = () => {
+  let args;
+  try {
+    args = normalizeKeys(parseCommandLine());
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { json, file, help, ...flags } = args;
+  if (help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // Piped input counts as a batch unless the setup was given entirely as flags
+  const fromStdin = file === "-" || (!file && !process.stdin.isTTY && flags.entry === undefined);
+  let records;
+  if (file || fromStdin) {
+    try {
+      records = parseRecords(readFileSync(fromStdin ? 0 : file, "utf8")).map((record) => ({ ...flags, ...normalizeKeys(record) }));
+    } catch (error) {
+      console.error(`Could not read setups: ${error.message}`);
+      return 2;
+    }
+  } else if (Object.keys(flags).length === 0) {
+    console.error(USAGE);
+    return 2;
+  } else {
+    records = [flags];
+  }
+
+  const summaries = records.map(runSetup);
+  const isBatch = Boolean(file || fromStdin);
+  if (json) {
+    console.log(JSON.stringify(isBatch ? summaries : summaries[0], null, 2));
+  } else {
+    console.log(summaries.map(formatSummary).join("\n\n"));
+  }
+  return summaries.some((summary) => summary.error) ? 1 : 0;
+};
+
+process.exitCode = main();
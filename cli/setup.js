@@ -0,0 +1,129 @@
+import { DEFAULT_LEVERAGE_TIERS, getDefaultContractSpecs } from "../src/data/contractSpecs";
+import { EXCHANGE_PROFILES, getExchangeProfile } from "../src/data/exchanges";
+import { DEFAULT_TP_LADDER } from "../src/data/tpPresets";
+import { createMarket } from "../src/engine";
+import { STOP_RULES } from "../src/utils/stopManagement";
+
+/**
+ * One field per calculator input, with the App form's defaults. Batch records use the camelCase
+ * key, flags the kebab-case form (`maxLeverage` → `--max-leverage`). Fee defaults come from the
+ * exchange's VIP 0 tier.
+ */
+export const FIELDS = [
+  { key: "name", help: "Label for the setup in batch output" },
+  { key: "side", help: "long or short", choices: ["long", "short"], default: "long" },
+  { key: "entry", help: "Entry price", number: true },
+  { key: "sl", help: "Stop loss price", number: true },
+  { key: "tp", help: "Take profit price", number: true },
+  { key: "capital", help: "Total capital in USD", number: true },
+  { key: "risk", help: "Risk per trade, % of capital", number: true, default: 1 },
+  { key: "allocation", help: "Capital allocated to the trade, %", number: true, default: 10 },
+  { key: "maxLeverage", help: "Max leverage for a custom pair", number: true, default: 75 },
+  { key: "exchange", help: "Exchange profile", choices: EXCHANGE_PROFILES.map((profile) => profile.id), default: "bitget" },
+  { key: "symbol", help: "Contract (e.g. BTCUSDT) for its tick size, steps and leverage tiers" },
+  { key: "mode", help: "futures or spot", choices: ["futures", "spot"], default: "futures" },
+  { key: "sizing", help: "allocation or risk (risk-exact)", choices: ["allocation", "risk"], default: "allocation" },
+  { key: "margin", help: "isolated or cross", choices: ["isolated", "cross"], default: "isolated" },
+  { key: "contract", help: "linear or inverse", choices: ["linear", "inverse"], default: "linear" },
+  { key: "contractSize", help: "USD per inverse contract", number: true, default: 100 },
+  { key: "leverageMode", help: "volatility or classic", choices: ["volatility", "classic"], default: "volatility" },
+  { key: "noPartialTp", help: "Skip the partial TP ladder", boolean: true, default: false },
+  { key: "stopRule", help: "Runner stop after TP1", choices: STOP_RULES.map((rule) => rule.value), default: "none" },
+  { key: "trailPercent", help: "Trail distance for --stop-rule percent, %", number: true, default: 1 },
+  { key: "atr", help: "ATR in price units for --stop-rule atr", number: true },
+  { key: "atrMultiple", help: "ATR multiple for --stop-rule atr", number: true, default: 2 },
+  { key: "stepR", help: "R step for --stop-rule step", number: true, default: 1 },
+  { key: "entryOrder", help: "market (taker) or limit (maker)", choices: ["market", "limit"], default: "market" },
+  { key: "makerFee", help: "Maker fee, %", number: true },
+  { key: "takerFee", help: "Taker fee, %", number: true },
+  { key: "entrySlippage", help: "Market entry slippage, %", number: true, default: 0.05 },
+  { key: "stopSlippage", help: "Stop loss slippage, %", number: true, default: 0.1 },
+  { key: "tpSlippage", help: "Take profit slippage, %", number: true, default: 0 },
+  { key: "funding", help: "Funding rate per 8h, %", number: true, default: 0.01 },
+  { key: "hours", help: "Expected holding time in hours", number: true, default: 24 },
+];
+
+export const toFlag = (key) => key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+const toKey = (flag) => flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// Accepts either key style, so records can be written with flag names too
+export const normalizeKeys = (record) =>
+  Object.fromEntries(Object.entries(record).map(([key, value]) => [toKey(key), value]));
+
+/**
+ * Validates a setup (defaults < command-line flags < batch record) and builds the
+ * calculateRiskReward() inputs. Records may also carry a `ladder` in the TP preset format.
+ * Throws with a readable message when a field is missing or invalid.
+ */
+export const buildSetup = (record) => {
+  const setup = {};
+  FIELDS.forEach((field) => {
+    let value = record[field.key] ?? field.default;
+    if (value === undefined || value === "") return;
+
+    if (field.number) {
+      value = Number(value);
+      if (!Number.isFinite(value)) throw new Error(`--${toFlag(field.key)} must be a number`);
+    } else if (field.boolean) {
+      value = value === true || value === "true";
+    } else if (field.choices && !field.choices.includes(value)) {
+      throw new Error(`--${toFlag(field.key)} must be one of ${field.choices.join(", ")}`);
+    }
+    setup[field.key] = value;
+  });
+
+  ["entry", "sl", "tp", "capital"].forEach((key) => {
+    if (!(setup[key] > 0)) throw new Error(`--${key} is required and must be above 0`);
+  });
+
+  const exchange = getExchangeProfile(setup.exchange);
+  let contractSpec = null;
+  if (setup.symbol) {
+    contractSpec = getDefaultContractSpecs(exchange.id).find((spec) => spec.symbol === setup.symbol.toUpperCase());
+    if (!contractSpec) throw new Error(`Unknown symbol ${setup.symbol} on ${exchange.id}`);
+  }
+
+  const market = createMarket({
+    contractSpec,
+    rounding: exchange.rounding,
+    leverageTiers: exchange.leverageTiers || DEFAULT_LEVERAGE_TIERS,
+    contractType: setup.contract,
+    inverseContractSize: setup.contractSize,
+  });
+
+  const inputs = {
+    entry: setup.entry,
+    stop: setup.sl,
+    target: setup.tp,
+    positionType: setup.mode === "spot" ? "long" : setup.side,
+    capital: setup.capital,
+    riskPercentage: setup.risk,
+    allocation: setup.allocation,
+    maxLeverage: setup.maxLeverage,
+    sizingMode: setup.sizing,
+    marginMode: setup.margin,
+    tradingMode: setup.mode,
+    market,
+    leverageMode: setup.leverageMode,
+    partialTP: { enabled: !setup.noPartialTp, ladder: record.ladder || DEFAULT_TP_LADDER },
+    stopManagement: {
+      type: setup.stopRule,
+      trailPercent: setup.trailPercent,
+      atr: setup.atr,
+      atrMultiple: setup.atrMultiple,
+      stepR: setup.stepR,
+    },
+    costs: {
+      entryOrderType: setup.entryOrder,
+      makerFeeRate: setup.makerFee ?? exchange.feeTiers[0].maker,
+      takerFeeRate: setup.takerFee ?? exchange.feeTiers[0].taker,
+      entrySlippage: setup.entrySlippage,
+      stopSlippage: setup.stopSlippage,
+      tpSlippage: setup.tpSlippage,
+      fundingRate: setup.funding,
+      holdingHours: setup.hours,
+    },
+  };
+
+  return { setup, inputs };
+};
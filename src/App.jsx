@@ -1,289 +1,482 @@
 import React, { useState, useEffect } from "react";
+import BacktestPanel from "./components/BacktestPanel";
+import ContractSpecEditor from "./components/ContractSpecEditor";
+import CorrelationPanel from "./components/CorrelationPanel";
+import DCAEntryEditor from "./components/DCAEntryEditor";
+import MonteCarloSimulator from "./components/MonteCarloSimulator";
+import OrderExportPanel from "./components/OrderExportPanel";
+import PerformanceDashboard from "./components/PerformanceDashboard";
+import PlanSharePanel from "./components/PlanSharePanel";
+import PortfolioPanel from "./components/PortfolioPanel";
+import RateStatus from "./components/RateStatus";
+import TPLadderEditor from "./components/TPLadderEditor";
+import TradeJournal from "./components/TradeJournal";
+import TradeReport from "./components/TradeReport";
+import VolatilityPanel from "./components/VolatilityPanel";
+import WatchlistPanel from "./components/WatchlistPanel";
+import { DEFAULT_LEVERAGE_TIERS, loadContractSpecs, saveContractSpecs } from "./data/contractSpecs";
+import { loadCorrelations, saveCorrelations } from "./data/correlations";
+import {
+  CURRENCIES,
+  RATE_QUOTES,
+  isPegged,
+  loadCapitalCurrency,
+  loadHomeCurrency,
+  saveCapitalCurrency,
+  saveHomeCurrency,
+} from "./data/currencies";
+import { EXCHANGE_PROFILES, getExchangeProfile, loadExchangeId, saveExchangeId } from "./data/exchanges";
+import { rateService } from "./data/rateService";
+import { DEFAULT_TP_LADDER } from "./data/tpPresets";
+import { calculatePartialTPLevels, calculateRiskReward, createMarket } from "./engine";
+import useJournalTrades from "./hooks/useJournalTrades";
+import { assessCorrelatedRisk } from "./utils/correlation";
+import { formatCurrency, fromUSD, toUSD } from "./utils/currency";
+import { getAverageEntry, parseDCAEntries } from "./utils/dca";
+import { buildOrders, validateOrders } from "./utils/orderPayloads";
+import { planFromSearch, planToSearch } from "./utils/planShare";
+import { getOpenPositions, summarizePortfolio } from "./utils/portfolio";
+import { STOP_RULES } from "./utils/stopManagement";
+import { buildTradeReport } from "./utils/tradeReport";
+
+// Card colors for ladder levels; the final level always uses the target style
+const TP_CARD_STYLES = {
+  steps: [
+    {
+      card: "tp1",
+      label: "text-emerald-300",
+      price: "text-emerald-400",
+      sub: "text-emerald-500",
+      border: "border-emerald-500/20",
+      action: "bg-emerald-500/10 border border-emerald-500/20 text-emerald-300",
+    },
+    {
+      card: "tp2",
+      label: "text-teal-300",
+      price: "text-teal-400",
+      sub: "text-teal-500",
+      border: "border-teal-500/20",
+      action: "bg-teal-500/10 border border-teal-500/20 text-teal-300",
+    },
+  ],
+  final: {
+    card: "tp3",
+    label: "text-blue-300",
+    price: "text-blue-400",
+    sub: "text-blue-500",
+    border: "border-blue-500/20",
+    action: "bg-blue-500/10 border border-blue-500/20 text-blue-300",
+  },
+};
+
+// Current rate info for every selectable currency
+const readRates = () => Object.fromEntries(CURRENCIES.map(({ code }) => [code, rateService.getRate(code)]));
+
+// A plan shared by link seeds the form; anything it leaves out keeps the usual default
+const readLinkedPlan = () => {
+  if (typeof window === "undefined") return { plan: {}, error: "" };
+  try {
+    return { plan: planFromSearch(window.location.search) || {}, error: "" };
+  } catch (error) {
+    return { plan: {}, error: `Couldn't open the shared plan: ${error.message}` };
+  }
+};
 
 const App = () => {
-  const [entryPrice, setEntryPrice] = useState("");
-  const [stopLoss, setStopLoss] = useState("");
-  const [takeProfit, setTakeProfit] = useState("");
-  const [totalCapital, setTotalCapital] = useState("");
-  const [riskPercentage, setRiskPercentage] = useState("1"); // Will be "1" or "2"
-  const [assetAllocation, setAssetAllocation] = useState("10");
-  const [maxLeverage, setMaxLeverage] = useState("75"); // Max leverage available for the coin pair
-  const [positionType, setPositionType] = useState("long");
-  const [exchangeRate, setExchangeRate] = useState(58.52);
-  const [isLoadingRate, setIsLoadingRate] = useState(false);
+  const [linkedPlan] = useState(readLinkedPlan);
+  const shared = linkedPlan.plan;
+  const [entryPrice, setEntryPrice] = useState(shared.entry ?? "");
+  const [stopLoss, setStopLoss] = useState(shared.sl ?? "");
+  const [takeProfit, setTakeProfit] = useState(shared.tp ?? "");
+  const [totalCapital, setTotalCapital] = useState(shared.capital ?? "");
+  const [riskPercentage, setRiskPercentage] = useState(shared.risk ?? "1"); // Will be "1" or "2"
+  const [assetAllocation, setAssetAllocation] = useState(shared.allocation ?? "10");
+  const [maxLeverage, setMaxLeverage] = useState(shared.maxLeverage ?? "75"); // Max leverage available for the coin pair
+  const [symbol, setSymbol] = useState(shared.symbol ?? ""); // Empty = custom pair with manual max leverage
+  const [exchangeId, setExchangeId] = useState(() => shared.exchange ?? loadExchangeId());
+  const [contractSpecs, setContractSpecs] = useState(() => loadContractSpecs(shared.exchange ?? loadExchangeId()));
+  const [showSpecEditor, setShowSpecEditor] = useState(false);
+  const journal = useJournalTrades();
+
+  // Portfolio heat limits
+  const [maxOpenRisk, setMaxOpenRisk] = useState("6"); // % of capital at risk across open positions
+  const [maxPositionsPerSide, setMaxPositionsPerSide] = useState("3");
+  const [includePlannedPositions, setIncludePlannedPositions] = useState(false);
+
+  // Correlation settings
+  const [correlations, setCorrelations] = useState(loadCorrelations);
+  const [maxCorrelatedRisk, setMaxCorrelatedRisk] = useState("3"); // % of capital across one correlated bet
+  const [correlationThreshold, setCorrelationThreshold] = useState("0.7");
+  const [positionType, setPositionType] = useState(shared.side ?? "long");
+  const [tradingMode, setTradingMode] = useState(shared.mode ?? "futures"); // "futures" or "spot" (no leverage, long only)
+  const [useDCA, setUseDCA] = useState(shared.dca ?? false); // Spot only: scale in over several entry prices
+  const [dcaEntries, setDcaEntries] = useState(
+    shared.dcaEntries ?? [
+      { id: 1, price: "", weight: "50" },
+      { id: 2, price: "", weight: "50" },
+    ]
+  );
+  const [sizingMode, setSizingMode] = useState(shared.sizing ?? "allocation"); // "allocation" or "risk" (risk-exact)
+  const [marginMode, setMarginMode] = useState(shared.margin ?? "isolated"); // "isolated" or "cross"
+  const [contractType, setContractType] = useState(shared.contract ?? "linear"); // "linear" (USDT-margined) or "inverse" (coin-margined)
+  const [inverseContractSize, setInverseContractSize] = useState(shared.contractSize ?? "100"); // USD per inverse contract
+  const [leverageMode, setLeverageMode] = useState("volatility"); // "volatility" (ATR caps) or "classic" (stop-distance bands)
+  const [volatilityImport, setVolatilityImport] = useState(null); // { symbol, exchangeId, analysis } of imported price history
+  const [homeCurrency, setHomeCurrency] = useState(loadHomeCurrency); // Currency results are shown in
+  const [capitalCurrency, setCapitalCurrency] = useState(() => shared.capitalCurrency ?? loadCapitalCurrency()); // Currency total capital is entered in
+  const [rates, setRates] = useState(readRates); // USD→currency with source and age, by code
+  const [rateError, setRateError] = useState("");
+  const [isLoadingRate, setIsLoadingRate] = useState(true); // The first refresh starts on mount
+  const [redactCapital, setRedactCapital] = useState(false); // Leave capital out of shared links and files
+  const [reportOpenedAt, setReportOpenedAt] = useState(null); // Set while the trade report is open; stamps the report
   
   // Partial TP settings
-  const [enablePartialTP, setEnablePartialTP] = useState(true);
-  const [partialTP1Percent, setPartialTP1Percent] = useState("50"); // % of position to close at TP1
-  const [partialTP2Percent, setPartialTP2Percent] = useState("30"); // % of position to close at TP2
+  const [enablePartialTP, setEnablePartialTP] = useState(shared.partialTP ?? true);
+  const [tpLadder, setTpLadder] = useState(shared.ladder ?? DEFAULT_TP_LADDER);
+
+  // Runner stop management (see utils/stopManagement)
+  const [stopRule, setStopRule] = useState(shared.stopRule ?? "none");
+  const [trailPercent, setTrailPercent] = useState(shared.trailPercent ?? "1");
+  const [atrValue, setAtrValue] = useState(shared.atr ?? ""); // ATR in price units
+  const [atrMultiple, setAtrMultiple] = useState(shared.atrMultiple ?? "2");
+  const [stepR, setStepR] = useState(shared.stepR ?? "1");
+
+  // Trading cost settings (all in %)
+  const [makerFeeRate, setMakerFeeRate] = useState(() => shared.makerFee ?? String(getExchangeProfile(shared.exchange ?? loadExchangeId()).feeTiers[0].maker));
+  const [takerFeeRate, setTakerFeeRate] = useState(() => shared.takerFee ?? String(getExchangeProfile(shared.exchange ?? loadExchangeId()).feeTiers[0].taker));
+  const [entryOrderType, setEntryOrderType] = useState(shared.entryOrder ?? "market"); // "market" (taker) or "limit" (maker)
+  const [entrySlippage, setEntrySlippage] = useState(shared.entrySlippage ?? "0.05");
+  const [stopSlippage, setStopSlippage] = useState(shared.stopSlippage ?? "0.1"); // Stop loss fills as a market order
+  const [tpSlippage, setTpSlippage] = useState(shared.tpSlippage ?? "0"); // Take profits fill as limit orders
+  const [fundingRate, setFundingRate] = useState(shared.funding ?? "0.01"); // Per 8h funding interval
+  const [holdingHours, setHoldingHours] = useState(shared.holdingHours ?? "24");
 
   useEffect(() => {
-    fetchExchangeRate();
-  }, []);
+    saveContractSpecs(contractSpecs, exchangeId);
+  }, [contractSpecs, exchangeId]);
 
-  const fetchExchangeRate = async () => {
-    setIsLoadingRate(true);
-    try {
-      const apis = [
-        "https://api.frankfurter.app/latest?from=USD&to=PHP",
-        "https://open.er-api.com/v6/latest/USD",
-        "https://api.exchangerate-api.com/v4/latest/USD",
-      ];
-
-      for (const apiUrl of apis) {
-        try {
-          const response = await fetch(apiUrl);
-          const data = await response.json();
-
-          let rate = null;
-          if (data.rates && data.rates.PHP) {
-            rate = data.rates.PHP;
-          }
+  useEffect(() => {
+    saveExchangeId(exchangeId);
+  }, [exchangeId]);
 
-          if (rate && rate > 0) {
-            setExchangeRate(rate);
-            console.log(`Exchange rate updated: $1 = ₱${rate.toFixed(4)}`);
-            break;
-          }
-        } catch (err) {
-          console.log(`Failed to fetch from ${apiUrl}, trying next...`);
-          continue;
-        }
-      }
-    } catch (error) {
-      console.error("Error fetching exchange rate:", error);
-    } finally {
-      setIsLoadingRate(false);
-    }
-  };
+  useEffect(() => {
+    saveCorrelations(correlations);
+  }, [correlations]);
 
-  const formatPHP = (usdAmount) => {
-    if (!usdAmount) return "₱0.00";
-    const phpAmount = usdAmount * exchangeRate;
-    return `₱${phpAmount.toLocaleString("en-PH", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-  };
+  useEffect(() => {
+    saveHomeCurrency(homeCurrency);
+  }, [homeCurrency]);
 
-  const calculateOptimalLeverage = (entry, stop, capital, riskPct, allocation, maxLev) => {
-    // Calculate risk per coin (price distance to stop loss)
-    const riskPerCoin = Math.abs(entry - stop);
-    const riskPercentageMove = (riskPerCoin / entry) * 100;
-    
-    // Max capital we're willing to risk (1% of total)
-    const maxRiskAmount = (capital * riskPct) / 100;
-    
-    // Allocated capital for this trade (10-25% of total)
-    const allocatedCapital = (capital * allocation) / 100;
-    
-    // Calculate optimal leverage
-    // Formula: Leverage = (Max Risk Amount) / (Allocated Capital × Risk %)
-    const optimalLeverage = maxRiskAmount / (allocatedCapital * (riskPercentageMove / 100));
-    
-    // Round to nearest integer and cap at max available leverage
-    let recommendedLeverage = Math.max(1, Math.min(Math.round(optimalLeverage), maxLev));
-    
-    // Safety constraints based on risk percentage move
-    if (riskPercentageMove >= 10) {
-      recommendedLeverage = Math.min(recommendedLeverage, 2); // Very volatile
-    } else if (riskPercentageMove >= 5) {
-      recommendedLeverage = Math.min(recommendedLeverage, 5); // Volatile
-    } else if (riskPercentageMove >= 3) {
-      recommendedLeverage = Math.min(recommendedLeverage, 10); // Moderate
-    } else if (riskPercentageMove >= 2) {
-      recommendedLeverage = Math.min(recommendedLeverage, 20); // Low volatility
-    }
-    // else allow full calculated leverage up to max
-    
-    return {
-      optimal: recommendedLeverage,
-      riskPercentageMove,
-      explanation: getLeverageExplanation(recommendedLeverage, riskPercentageMove)
-    };
+  useEffect(() => {
+    saveCapitalCurrency(capitalCurrency);
+  }, [capitalCurrency]);
+
+  const exchange = getExchangeProfile(exchangeId);
+  const contractSpec = contractSpecs.find((spec) => spec.symbol === symbol) || null;
+  // Rounding follows the exchange profile; custom pairs use the profile's tiers
+  const marketOptions = {
+    rounding: exchange.rounding,
+    leverageTiers: exchange.leverageTiers || DEFAULT_LEVERAGE_TIERS,
+    contractType,
+    inverseContractSize: parseFloat(inverseContractSize) || 0,
   };
-
-  const getLeverageExplanation = (leverage, riskMove) => {
-    if (riskMove >= 10) {
-      return "High risk distance - using minimal leverage for safety";
-    } else if (riskMove >= 5) {
-      return "Moderate risk distance - conservative leverage recommended";
-    } else if (riskMove >= 3) {
-      return "Balanced risk distance - moderate leverage suitable";
-    } else if (riskMove >= 2) {
-      return "Low risk distance - higher leverage acceptable";
-    } else {
-      return "Tight stop loss - maximum safe leverage calculated";
-    }
+  const market = createMarket({ ...marketOptions, contractSpec });
+  const { priceDecimals, quantityDecimals, roundPrice } = market;
+
+  // Imported history only describes the pair it was loaded for; another pair's ATR would set
+  // nonsense leverage caps and stops
+  const volatility =
+    volatilityImport && volatilityImport.symbol === symbol && volatilityImport.exchangeId === exchangeId
+      ? volatilityImport.analysis
+      : null;
+  const setVolatility = (analysis) => setVolatilityImport(analysis && { symbol, exchangeId, analysis });
+
+  // Switching exchange swaps in its contract specs, VIP 0 fees and default leverage
+  const switchExchange = (id) => {
+    const profile = getExchangeProfile(id);
+    const specs = loadContractSpecs(id);
+    setExchangeId(id);
+    setContractSpecs(specs);
+    if (!specs.some((spec) => spec.symbol === symbol)) setSymbol("");
+    setMakerFeeRate(String(profile.feeTiers[0].maker));
+    setTakerFeeRate(String(profile.feeTiers[0].taker));
+    setMaxLeverage(String(profile.defaultMaxLeverage));
   };
 
-  const calculatePartialTPLevels = (entry, stop, target, positionType) => {
-    const riskPerCoin = Math.abs(entry - stop);
-    
-    // TP1: 1R (Break-even point) - Move SL to entry after this hits
-    let tp1Price;
-    if (positionType === "long") {
-      tp1Price = entry + riskPerCoin; // Entry + 1R
-    } else {
-      tp1Price = entry - riskPerCoin; // Entry - 1R
-    }
-    
-    // TP2: Smart level between 1R and final target
-    // Calculate based on R:R ratio for optimal scaling out
-    const totalReward = Math.abs(target - entry);
-    const rrRatio = totalReward / riskPerCoin;
-    
-    let tp2Price;
-    if (rrRatio >= 3) {
-      // For high R:R (3+), place TP2 at 2R
-      if (positionType === "long") {
-        tp2Price = entry + (riskPerCoin * 2);
-      } else {
-        tp2Price = entry - (riskPerCoin * 2);
-      }
-    } else if (rrRatio >= 2) {
-      // For medium R:R (2-3), place TP2 at 1.5R
-      if (positionType === "long") {
-        tp2Price = entry + (riskPerCoin * 1.5);
-      } else {
-        tp2Price = entry - (riskPerCoin * 1.5);
-      }
-    } else {
-      // For lower R:R, place TP2 halfway between TP1 and final target
-      tp2Price = (tp1Price + target) / 2;
+  const rateInfo = rates[homeCurrency];
+
+  // Sizing always runs in USD, so capital held in another currency is converted first
+  const capitalUSD = toUSD(parseFloat(totalCapital) || 0, rates[capitalCurrency].rate);
+
+  // Spot has no leverage, margin or shorting, so those settings are reset when switching to it
+  const switchTradingMode = (mode) => {
+    setTradingMode(mode);
+    if (mode === "spot") {
+      setPositionType("long");
+      setContractType("linear");
     }
-    
-    return {
-      tp1: {
-        price: tp1Price,
-        rMultiple: 1,
-        label: "Break-Even (1R)",
-        description: "Secure profits and move SL to entry"
-      },
-      tp2: {
-        price: tp2Price,
-        rMultiple: Math.abs(tp2Price - entry) / riskPerCoin,
-        label: `TP2 (${(Math.abs(tp2Price - entry) / riskPerCoin).toFixed(1)}R)`,
-        description: "Lock in major profits"
-      },
-      tp3: {
-        price: target,
-        rMultiple: Math.abs(target - entry) / riskPerCoin,
-        label: `Final Target (${(Math.abs(target - entry) / riskPerCoin).toFixed(1)}R)`,
-        description: "Maximum profit target"
-      }
-    };
   };
 
-  const calculatePartialTPProfits = (tpLevels, recommendedAssets, riskPerCoin, entry) => {
-    const tp1Percent = parseFloat(partialTP1Percent) / 100;
-    const tp2Percent = parseFloat(partialTP2Percent) / 100;
-    const tp3Percent = 1 - tp1Percent - tp2Percent; // Remaining position
-    
-    const tp1Assets = recommendedAssets * tp1Percent;
-    const tp2Assets = recommendedAssets * tp2Percent;
-    const tp3Assets = recommendedAssets * tp3Percent;
-    
-    const tp1Profit = tp1Assets * Math.abs(tpLevels.tp1.price - entry);
-    const tp2Profit = tp2Assets * Math.abs(tpLevels.tp2.price - entry);
-    const tp3Profit = tp3Assets * Math.abs(tpLevels.tp3.price - entry);
-    
-    const totalProfit = tp1Profit + tp2Profit + tp3Profit;
-    const avgExitRMultiple = totalProfit / (recommendedAssets * riskPerCoin);
-    
-    return {
-      tp1: { assets: tp1Assets, profit: tp1Profit, percent: tp1Percent * 100 },
-      tp2: { assets: tp2Assets, profit: tp2Profit, percent: tp2Percent * 100 },
-      tp3: { assets: tp3Assets, profit: tp3Profit, percent: tp3Percent * 100 },
-      totalProfit,
-      avgExitRMultiple
-    };
+  const isSpot = tradingMode === "spot";
+
+  // Scaled entries replace the single entry price; everything downstream sizes off the average
+  const dcaFills = isSpot && useDCA ? parseDCAEntries(dcaEntries) : [];
+  const dcaPlan = dcaFills.length > 0 ? getAverageEntry(dcaFills) : null;
+  const plannedEntry = dcaPlan ? dcaPlan.averageEntry : parseFloat(entryPrice);
+  const entryLabel = dcaPlan ? dcaPlan.averageEntry.toFixed(priceDecimals) : entryPrice;
+
+  const openPositions = getOpenPositions(journal.trades, includePlannedPositions);
+  const portfolio = summarizePortfolio(openPositions, capitalUSD, {
+    maxOpenRisk: parseFloat(maxOpenRisk),
+  });
+
+  const loadRates = () =>
+    rateService
+      .refresh(RATE_QUOTES)
+      .then((result) => {
+        const failed = Object.entries(result.quotes)
+          .filter(([, quote]) => !quote.ok)
+          .map(([code, quote]) => `${code} (${quote.error})`);
+        setRateError(failed.length ? `No rate update for ${failed.join(", ")} - showing the last known rate` : "");
+        setRates(readRates());
+      })
+      .finally(() => setIsLoadingRate(false));
+
+  const fetchExchangeRate = () => {
+    setIsLoadingRate(true);
+    loadRates();
   };
 
-  const calculateRiskReward = () => {
-    const entry = parseFloat(entryPrice);
-    const stop = parseFloat(stopLoss);
-    const target = parseFloat(takeProfit);
-    const capital = parseFloat(totalCapital);
-    const riskPct = parseFloat(riskPercentage);
-    const allocation = parseFloat(assetAllocation);
-    const maxLev = parseFloat(maxLeverage);
-
-    if (!entry || !stop || !target) return null;
-
-    let riskPerCoin, rewardPerCoin, isValid;
+  useEffect(() => {
+    loadRates();
+  }, []);
 
-    if (positionType === "long") {
-      riskPerCoin = entry - stop;
-      rewardPerCoin = target - entry;
-      isValid = stop < entry && target > entry;
-    } else {
-      riskPerCoin = stop - entry;
-      rewardPerCoin = entry - target;
-      isValid = stop > entry && target < entry;
-    }
+  const overrideExchangeRate = (rate) => {
+    rateService.setOverride(homeCurrency, rate);
+    setRates(readRates());
+  };
 
-    if (!isValid || riskPerCoin <= 0 || rewardPerCoin <= 0) {
-      return { error: true, positionType };
-    }
+  const formatHome = (usdAmount) => formatCurrency(fromUSD(usdAmount, rateInfo.rate), homeCurrency);
+
+  const engineInputs = {
+    entry: plannedEntry,
+    stop: parseFloat(stopLoss),
+    target: parseFloat(takeProfit),
+    positionType,
+    capital: capitalUSD,
+    riskPercentage: parseFloat(riskPercentage),
+    allocation: parseFloat(assetAllocation),
+    maxLeverage: parseFloat(maxLeverage),
+    sizingMode,
+    marginMode,
+    tradingMode,
+    market,
+    leverageMode,
+    volatility,
+    partialTP: { enabled: enablePartialTP, ladder: tpLadder },
+    stopManagement: {
+      type: stopRule,
+      trailPercent: parseFloat(trailPercent),
+      atr: parseFloat(atrValue),
+      atrMultiple: parseFloat(atrMultiple),
+      stepR: parseFloat(stepR),
+    },
+    costs: {
+      entryOrderType,
+      makerFeeRate: parseFloat(makerFeeRate),
+      takerFeeRate: parseFloat(takerFeeRate),
+      entrySlippage: parseFloat(entrySlippage),
+      stopSlippage: parseFloat(stopSlippage),
+      tpSlippage: parseFloat(tpSlippage),
+      fundingRate: parseFloat(fundingRate),
+      holdingHours: parseFloat(holdingHours),
+    },
+    portfolio,
+    maxPositionsPerSide: parseFloat(maxPositionsPerSide),
+    dcaPlan,
+  };
+  const results = calculateRiskReward(engineInputs);
+
+  // Watchlist rows share every setting but the pair, prices and pair leverage; volatility
+  // data and DCA fills belong to the loaded pair, so they're left out
+  const evaluateWatchlistSetup = (setup) => {
+    const pairSpec = contractSpecs.find((spec) => spec.symbol === setup.symbol);
+    // A row's max leverage replaces the pair limit, which the engine reads from the spec
+    const rowSpec = pairSpec && setup.maxLeverage ? { ...pairSpec, maxLeverage: setup.maxLeverage } : pairSpec || null;
+    return calculateRiskReward({
+      ...engineInputs,
+      entry: setup.entry,
+      stop: setup.stop,
+      target: setup.target,
+      positionType: setup.side,
+      maxLeverage: setup.maxLeverage ?? parseFloat(maxLeverage),
+      market: createMarket({ ...marketOptions, contractSpec: rowSpec }),
+      volatility: null,
+      dcaPlan: null,
+    });
+  };
 
-    const ratio = rewardPerCoin / riskPerCoin;
-
-    // Calculate position sizing
-    let maxRiskAmount = 0;
-    let allocatedAmount = 0;
-    let leverageInfo = null;
-    let recommendedAssets = 0;
-    let potentialLoss = 0;
-    let potentialProfit = 0;
-    let positionValue = 0;
-    let partialTPLevels = null;
-    let partialTPProfits = null;
-
-    if (capital) {
-      // Max risk amount (1% of capital)
-      maxRiskAmount = (capital * riskPct) / 100;
-      
-      // Allocated capital for this trade
-      allocatedAmount = (capital * allocation) / 100;
-      
-      // Calculate optimal leverage
-      leverageInfo = calculateOptimalLeverage(entry, stop, capital, riskPct, allocation, maxLev);
-      
-      // Total position value with leverage
-      positionValue = allocatedAmount * leverageInfo.optimal;
-      
-      // Number of coins we can buy
-      recommendedAssets = positionValue / entry;
-      
-      // Actual potential loss and profit
-      potentialLoss = recommendedAssets * riskPerCoin;
-      potentialProfit = recommendedAssets * rewardPerCoin;
-      
-      // Calculate partial TP levels
-      partialTPLevels = calculatePartialTPLevels(entry, stop, target, positionType);
-      
-      // Calculate partial TP profits if enabled
-      if (enablePartialTP) {
-        partialTPProfits = calculatePartialTPProfits(partialTPLevels, recommendedAssets, riskPerCoin, entry);
-      }
-    }
+  // Risk if the new trade and every position moving with it hit their stops together
+  const correlationCheck = results && !results.error && totalCapital
+    ? assessCorrelatedRisk(
+        { symbol: symbol || "CUSTOM", side: positionType, risk: results.potentialLoss },
+        openPositions,
+        correlations,
+        parseFloat(correlationThreshold) || 0.7
+      )
+    : null;
+  const correlatedRiskLimit = (capitalUSD * (parseFloat(maxCorrelatedRisk) || 0)) / 100;
+  const isOverCorrelatedLimit =
+    correlationCheck &&
+    correlationCheck.linkedPositions.length > 0 &&
+    correlatedRiskLimit > 0 &&
+    correlationCheck.correlatedRisk > correlatedRiskLimit;
+
+  // Calculator inputs as a shareable plan (see utils/planShare for the field list)
+  const sharePlan = {
+    exchange: exchangeId,
+    symbol,
+    mode: tradingMode,
+    side: positionType,
+    entry: entryPrice,
+    sl: stopLoss,
+    tp: takeProfit,
+    capital: totalCapital,
+    capitalCurrency,
+    risk: riskPercentage,
+    allocation: assetAllocation,
+    maxLeverage,
+    sizing: sizingMode,
+    margin: marginMode,
+    contract: contractType,
+    contractSize: inverseContractSize,
+    partialTP: enablePartialTP,
+    ladder: tpLadder,
+    stopRule,
+    trailPercent,
+    atr: atrValue,
+    atrMultiple,
+    stepR,
+    entryOrder: entryOrderType,
+    makerFee: makerFeeRate,
+    takerFee: takerFeeRate,
+    entrySlippage,
+    stopSlippage,
+    tpSlippage,
+    funding: fundingRate,
+    holdingHours,
+    dca: useDCA,
+    dcaEntries,
+  };
+  const planSearch = planToSearch(sharePlan, { redactCapital });
+  const hasPlanPrices = Boolean(entryPrice || stopLoss || takeProfit);
 
-    return {
-      riskPerCoin,
-      rewardPerCoin,
-      ratio,
-      maxRiskAmount,
-      allocatedAmount,
-      leverageInfo,
-      recommendedAssets,
-      potentialLoss,
-      potentialProfit,
-      positionValue,
-      partialTPLevels,
-      partialTPProfits,
-      error: false,
+  // The address bar always holds the current plan once prices are entered, so it can be copied as-is
+  useEffect(() => {
+    if (!hasPlanPrices) return;
+    window.history.replaceState(null, "", `${window.location.pathname}${planSearch}${window.location.hash}`);
+  }, [planSearch, hasPlanPrices]);
+
+  // Imported plans overwrite only the fields they carry
+  const applyPlan = (plan) => {
+    const setters = {
+      symbol: setSymbol,
+      mode: switchTradingMode,
+      side: setPositionType,
+      entry: setEntryPrice,
+      sl: setStopLoss,
+      tp: setTakeProfit,
+      capital: setTotalCapital,
+      capitalCurrency: setCapitalCurrency,
+      risk: setRiskPercentage,
+      allocation: setAssetAllocation,
+      maxLeverage: setMaxLeverage,
+      sizing: setSizingMode,
+      margin: setMarginMode,
+      contract: setContractType,
+      contractSize: setInverseContractSize,
+      partialTP: setEnablePartialTP,
+      ladder: setTpLadder,
+      stopRule: setStopRule,
+      trailPercent: setTrailPercent,
+      atr: setAtrValue,
+      atrMultiple: setAtrMultiple,
+      stepR: setStepR,
+      entryOrder: setEntryOrderType,
+      makerFee: setMakerFeeRate,
+      takerFee: setTakerFeeRate,
+      entrySlippage: setEntrySlippage,
+      stopSlippage: setStopSlippage,
+      tpSlippage: setTpSlippage,
+      funding: setFundingRate,
+      holdingHours: setHoldingHours,
+      dca: setUseDCA,
+      dcaEntries: setDcaEntries,
     };
+    // Switch exchange first; the plan's own fees and leverage then replace the profile defaults
+    if (plan.exchange && plan.exchange !== exchangeId) switchExchange(plan.exchange);
+    Object.entries(plan).forEach(([key, value]) => setters[key]?.(value));
   };
 
-  const results = calculateRiskReward();
+  // Snapshot of the current setup for the trade journal
+  const currentPlan = results && !results.error && totalCapital
+    ? {
+        plan: {
+          symbol: symbol || "CUSTOM",
+          side: positionType,
+          entry: plannedEntry,
+          stopLoss: parseFloat(stopLoss),
+          takeProfit: parseFloat(takeProfit),
+          partialTP: {
+            enabled: enablePartialTP,
+            levels: results.partialTPLevels.map((level) => ({
+              price: level.price,
+              closePercent: level.closePercent,
+              stopAction: level.stopAction,
+              stopPrice: level.stopPrice,
+              hitProbability: level.hitProbability,
+            })),
+            stopRule,
+          },
+          leverage: results.leverageInfo.optimal,
+          size: results.recommendedAssets,
+          positionValue: results.positionValue,
+          capital: capitalUSD,
+          riskPercentage: parseFloat(riskPercentage),
+          allocation: parseFloat(assetAllocation),
+          marginMode,
+          sizingMode,
+          contractType,
+          tradingMode,
+        },
+        results,
+      }
+    : null;
+
+  // Exchange order ticket for the current recommendation; the payload builders only cover
+  // USDT-margined futures
+  const orderRequests = currentPlan && results.recommendedAssets > 0 && !results.inverse && !results.spot
+    ? buildOrders(exchange.orderFormat, {
+        symbol: symbol || "CUSTOM",
+        side: positionType,
+        orderType: entryOrderType,
+        entry: currentPlan.plan.entry,
+        stopLoss: currentPlan.plan.stopLoss,
+        takeProfit: currentPlan.plan.takeProfit,
+        size: results.recommendedAssets,
+        leverage: results.leverageInfo.optimal,
+        marginMode,
+        tpOrders: results.partialTPProfits
+          ? results.partialTPLevels
+              .map((level, index) => ({ price: level.price, size: results.partialTPProfits.levels[index].assets }))
+              .filter((order) => order.size > 0)
+          : [],
+        priceDecimals,
+        quantityDecimals,
+        contractValue: contractSpec?.contractValue,
+      })
+    : null;
+  const orderErrors = orderRequests ? validateOrders(exchange.orderFormat, orderRequests) : [];
 
   const getRatioColor = (ratio) => {
     if (ratio >= 3) return "emerald";
@@ -321,6 +514,35 @@ const App = () => {
     return isSafeRisk && isSafeAllocation;
   };
 
+  // Printable record of the current plan, built from the same results the cards show
+  const tradeReport = reportOpenedAt && currentPlan
+    ? buildTradeReport({
+        results,
+        setup: {
+          symbol,
+          exchangeName: exchange.name,
+          positionType,
+          tradingMode,
+          contractType,
+          marginMode,
+          sizingMode,
+          entry: plannedEntry,
+          stop: parseFloat(stopLoss),
+          target: parseFloat(takeProfit),
+          capital: capitalUSD,
+          riskPercentage: parseFloat(riskPercentage),
+          stopRuleLabel: STOP_RULES.find((rule) => rule.value === stopRule).label,
+        },
+        homeCurrency,
+        capitalCurrency,
+        rates,
+        getRatioLabel,
+        priceDecimals,
+        quantityDecimals,
+        generatedAt: reportOpenedAt,
+      })
+    : null;
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 p-2 sm:p-4 flex items-center justify-center">
       <div className="w-full max-w-5xl">
@@ -340,28 +562,50 @@ const App = () => {
                   </div>
                   <div>
                     <h1 className="text-2xl sm:text-4xl font-bold text-white tracking-tight">
-                      Bitget Smart Leverage Calculator
+                      {exchange.name} Smart Leverage Calculator
                     </h1>
                     <p className="text-purple-100 mt-1 text-xs sm:text-base">
                       Auto-leverage with 1-2% risk rule and smart partial TPs
                     </p>
+                    <div className="flex flex-wrap gap-1.5 mt-2">
+                      {EXCHANGE_PROFILES.map((profile) => (
+                        <button
+                          key={profile.id}
+                          onClick={() => switchExchange(profile.id)}
+                          className={`px-2.5 py-1 rounded-lg text-xs font-semibold transition-colors ${
+                            exchangeId === profile.id ? "bg-white text-purple-700" : "bg-white/10 text-white hover:bg-white/20"
+                          }`}
+                        >
+                          {profile.name}
+                        </button>
+                      ))}
+                    </div>
                   </div>
                 </div>
-                <div className="text-left sm:text-right w-full sm:w-auto">
-                  <div className="text-white/90 text-xs sm:text-sm font-medium">Exchange Rate</div>
-                  <div className="text-lg sm:text-2xl font-bold text-white flex items-center gap-2">
-                    $1 = {formatPHP(1)}
-                    <button
-                      onClick={fetchExchangeRate}
-                      disabled={isLoadingRate}
-                      className="p-1.5 hover:bg-white/10 rounded-lg transition-colors touch-manipulation"
-                      title="Refresh exchange rate"
+                <div className="flex flex-col items-start sm:items-end gap-2 w-full sm:w-auto">
+                  <label className="flex items-center gap-2 text-xs text-white/90 font-medium">
+                    Show results in
+                    <select
+                      value={homeCurrency}
+                      onChange={(e) => setHomeCurrency(e.target.value)}
+                      className="px-2 py-1 bg-white/10 border border-white/20 rounded-lg text-white text-xs font-semibold"
                     >
-                      <svg className={`w-4 h-4 text-white ${isLoadingRate ? "animate-spin" : ""}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-                      </svg>
-                    </button>
-                  </div>
+                      {CURRENCIES.map((currency) => (
+                        <option key={currency.code} value={currency.code} className="text-slate-900">
+                          {currency.code} - {currency.name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <RateStatus
+                    rateInfo={rateInfo}
+                    rateLabel={`$1 = ${formatHome(1)}`}
+                    isLoading={isLoadingRate}
+                    lastError={rateError}
+                    history={rateService.getHistory(homeCurrency)}
+                    onRefresh={fetchExchangeRate}
+                    onOverride={overrideExchangeRate}
+                  />
                 </div>
               </div>
             </div>
@@ -370,9 +614,29 @@ const App = () => {
           <div className="p-4 sm:p-8">
             {/* Position Type Toggle */}
             <div className="mb-6 sm:mb-8">
-              <label className="block text-slate-400 text-xs sm:text-sm font-semibold mb-3 uppercase tracking-wide">
-                Position Type
-              </label>
+              <div className="flex items-center justify-between gap-2 mb-3">
+                <label className="block text-slate-400 text-xs sm:text-sm font-semibold uppercase tracking-wide">
+                  Position Type
+                </label>
+                <div className="flex gap-1.5">
+                  {[
+                    { id: "futures", label: "Futures" },
+                    { id: "spot", label: "Spot" },
+                  ].map((mode) => (
+                    <button
+                      key={mode.id}
+                      onClick={() => switchTradingMode(mode.id)}
+                      className={`px-3 py-1.5 rounded-lg text-xs font-semibold border ${
+                        tradingMode === mode.id
+                          ? "bg-indigo-500/20 text-indigo-300 border-indigo-500/30"
+                          : "bg-slate-800/60 text-slate-400 border-slate-600/40"
+                      }`}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
               <div className="flex gap-2 sm:gap-3">
                 <button
                   onClick={() => setPositionType("long")}
@@ -386,7 +650,9 @@ const App = () => {
                 </button>
                 <button
                   onClick={() => setPositionType("short")}
-                  className={`position-toggle ${positionType === "short" ? "active-short" : "inactive"}`}
+                  disabled={isSpot}
+                  title={isSpot ? "Spot trades are long only" : undefined}
+                  className={`position-toggle ${positionType === "short" ? "active-short" : "inactive"} ${isSpot ? "opacity-40 cursor-not-allowed" : ""}`}
                 >
                   <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 17h8m0 0V9m0 8l-8-8-4 4-6-6" />
@@ -406,23 +672,88 @@ const App = () => {
                 Trading Setup
               </h3>
 
+              {/* Symbol Picker */}
+              <div className="input-group mb-3 sm:mb-4">
+                <label className="input-label">
+                  <span className="text-slate-300">Symbol</span>
+                  <span className="ml-2 text-xs text-slate-400">(Contract specs for rounding and limits)</span>
+                </label>
+                <div className="flex gap-2">
+                  <select
+                    value={symbol}
+                    onChange={(e) => setSymbol(e.target.value)}
+                    className="input-field"
+                  >
+                    <option value="">Custom pair (manual limits)</option>
+                    {contractSpecs.map((spec) => (
+                      <option key={spec.symbol} value={spec.symbol}>
+                        {spec.symbol}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setShowSpecEditor(!showSpecEditor)}
+                    className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all flex-shrink-0 ${
+                      showSpecEditor
+                        ? 'bg-purple-500/20 text-purple-300 border border-purple-500/30'
+                        : 'bg-slate-700/50 text-slate-400 border border-slate-600/30'
+                    }`}
+                  >
+                    {showSpecEditor ? 'Close Specs' : 'Edit Specs'}
+                  </button>
+                </div>
+                {contractSpec && (
+                  <div className="mt-1 text-xs text-indigo-400">
+                    Tick {contractSpec.tickSize} • Qty step {contractSpec.quantityStep} • Min {contractSpec.minOrderSize} / ${contractSpec.minNotional} • Max {contractSpec.maxLeverage}x
+                  </div>
+                )}
+              </div>
+
+              {showSpecEditor && (
+                <ContractSpecEditor
+                  key={exchangeId}
+                  exchangeId={exchangeId}
+                  specs={contractSpecs}
+                  onChange={(specs) => {
+                    setContractSpecs(specs);
+                    if (!specs.some((spec) => spec.symbol === symbol)) setSymbol("");
+                  }}
+                />
+              )}
+
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4">
                 {/* Total Capital */}
                 <div className="input-group">
                   <label className="input-label">
-                    <span className="text-slate-300">Total Capital (USD)</span>
+                    <span className="text-slate-300">Total Capital ({capitalCurrency})</span>
                   </label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    value={totalCapital}
-                    onChange={(e) => setTotalCapital(e.target.value)}
-                    placeholder="10000"
-                    className="input-field"
-                  />
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={totalCapital}
+                      onChange={(e) => setTotalCapital(e.target.value)}
+                      placeholder="10000"
+                      className="input-field"
+                    />
+                    <select
+                      value={capitalCurrency}
+                      onChange={(e) => setCapitalCurrency(e.target.value)}
+                      className="px-2 bg-slate-800/60 border border-slate-600/40 rounded-lg text-white text-sm"
+                      title="Currency your capital is held in"
+                    >
+                      {CURRENCIES.map((currency) => (
+                        <option key={currency.code} value={currency.code}>
+                          {currency.code}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
                   {totalCapital && (
                     <div className="mt-1 text-xs text-indigo-400">
-                      {formatPHP(parseFloat(totalCapital))}
+                      {isPegged(capitalCurrency)
+                        ? formatHome(capitalUSD)
+                        : `≈ $${capitalUSD.toFixed(2)} USD for sizing at ${rates[capitalCurrency].rate.toFixed(4)} ${capitalCurrency}/USD`}
                     </div>
                   )}
                 </div>
@@ -461,7 +792,7 @@ const App = () => {
                   </div>
                   {totalCapital && (
                     <div className="mt-2 text-xs text-indigo-400">
-                      Max Risk: ${((parseFloat(totalCapital) * parseFloat(riskPercentage)) / 100).toFixed(2)} ({formatPHP((parseFloat(totalCapital) * parseFloat(riskPercentage)) / 100)})
+                      Max Risk: ${((capitalUSD * parseFloat(riskPercentage)) / 100).toFixed(2)} ({formatHome((capitalUSD * parseFloat(riskPercentage)) / 100)})
                     </div>
                   )}
                 </div>
@@ -488,34 +819,138 @@ const App = () => {
                   </div>
                   {totalCapital && assetAllocation && (
                     <div className="mt-1 text-xs text-indigo-400">
-                      ${((parseFloat(totalCapital) * parseFloat(assetAllocation)) / 100).toFixed(2)} USD allocated
+                      ${((capitalUSD * parseFloat(assetAllocation)) / 100).toFixed(2)} USD allocated
                     </div>
                   )}
                 </div>
 
                 {/* Max Leverage Available */}
-                <div className="input-group">
-                  <label className="input-label">
-                    <span className="text-slate-300">Max Leverage (Pair)</span>
-                    <span className="ml-2 text-xs text-slate-500">(Exchange Limit)</span>
-                  </label>
-                  <div className="relative">
-                    <input
-                      type="number"
-                      step="5"
-                      min="1"
-                      max="125"
-                      value={maxLeverage}
-                      onChange={(e) => setMaxLeverage(e.target.value)}
-                      className="input-field pr-8"
-                    />
-                    <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">x</span>
+                {!isSpot && (
+                  <div className="input-group">
+                    <label className="input-label">
+                      <span className="text-slate-300">Max Leverage (Pair)</span>
+                      <span className="ml-2 text-xs text-slate-500">(Exchange Limit)</span>
+                    </label>
+                    <div className="relative">
+                      <input
+                        type="number"
+                        step="5"
+                        min="1"
+                        max="125"
+                        value={contractSpec ? contractSpec.maxLeverage : maxLeverage}
+                        onChange={(e) => setMaxLeverage(e.target.value)}
+                        readOnly={!!contractSpec}
+                        className={`input-field pr-8 ${contractSpec ? "opacity-60 cursor-not-allowed" : ""}`}
+                      />
+                      <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">x</span>
+                    </div>
+                    <div className="mt-1 text-xs text-slate-400">
+                      {contractSpec ? `From ${contractSpec.symbol} contract specs` : "Set based on coin pair limits"}
+                    </div>
                   </div>
-                  <div className="mt-1 text-xs text-slate-400">
-                    Set based on coin pair limits
+                )}
+              </div>
+
+              {!isSpot && (
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-3 sm:gap-4 mt-3 sm:mt-4">
+                  {/* Sizing Mode */}
+                  <div className="input-group">
+                    <label className="input-label">
+                      <span className="text-slate-300">Sizing Mode</span>
+                      <span className="ml-2 text-xs text-slate-400">(How quantity is derived)</span>
+                    </label>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setSizingMode("allocation")}
+                        className={`risk-toggle ${sizingMode === "allocation" ? "active-conservative" : "inactive-risk"}`}
+                      >
+                        <div className="flex flex-col items-start">
+                          <span className="font-bold text-sm">Allocation</span>
+                          <span className="text-xs opacity-75">Allocation × leverage</span>
+                        </div>
+                      </button>
+                      <button
+                        onClick={() => setSizingMode("risk")}
+                        className={`risk-toggle ${sizingMode === "risk" ? "active-conservative" : "inactive-risk"}`}
+                      >
+                        <div className="flex flex-col items-start">
+                          <span className="font-bold text-sm">Risk-Exact</span>
+                          <span className="text-xs opacity-75">Loss at SL = max risk</span>
+                        </div>
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Margin Mode */}
+                  <div className="input-group">
+                    <label className="input-label">
+                      <span className="text-slate-300">Margin Mode</span>
+                      <span className="ml-2 text-xs text-slate-400">(Used for liquidation price)</span>
+                    </label>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setMarginMode("isolated")}
+                        className={`risk-toggle ${marginMode === "isolated" ? "active-conservative" : "inactive-risk"}`}
+                      >
+                        <div className="flex flex-col items-start">
+                          <span className="font-bold text-sm">Isolated</span>
+                          <span className="text-xs opacity-75">Only position margin at risk</span>
+                        </div>
+                      </button>
+                      <button
+                        onClick={() => setMarginMode("cross")}
+                        className={`risk-toggle ${marginMode === "cross" ? "active-aggressive" : "inactive-risk"}`}
+                      >
+                        <div className="flex flex-col items-start">
+                          <span className="font-bold text-sm">Cross</span>
+                          <span className="text-xs opacity-75">Whole balance backs position</span>
+                        </div>
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Contract Type */}
+                  <div className="input-group">
+                    <label className="input-label">
+                      <span className="text-slate-300">Contract Type</span>
+                      <span className="ml-2 text-xs text-slate-400">(Margin and P&amp;L currency)</span>
+                    </label>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setContractType("linear")}
+                        className={`risk-toggle ${contractType === "linear" ? "active-conservative" : "inactive-risk"}`}
+                      >
+                        <div className="flex flex-col items-start">
+                          <span className="font-bold text-sm">Linear</span>
+                          <span className="text-xs opacity-75">USDT-margined</span>
+                        </div>
+                      </button>
+                      <button
+                        onClick={() => setContractType("inverse")}
+                        className={`risk-toggle ${contractType === "inverse" ? "active-aggressive" : "inactive-risk"}`}
+                      >
+                        <div className="flex flex-col items-start">
+                          <span className="font-bold text-sm">Inverse</span>
+                          <span className="text-xs opacity-75">Coin-margined</span>
+                        </div>
+                      </button>
+                    </div>
+                    {contractType === "inverse" && (
+                      <label className="block mt-2 text-xs text-slate-400">
+                        Contract size (USD)
+                        <input
+                          type="number"
+                          step="1"
+                          min="1"
+                          value={inverseContractSize}
+                          onChange={(e) => setInverseContractSize(e.target.value)}
+                          className="mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm"
+                        />
+                      </label>
+                    )}
                   </div>
                 </div>
-              </div>
+              )}
             </div>
 
             {/* Price Inputs */}
@@ -523,20 +958,22 @@ const App = () => {
               {/* Entry Price */}
               <div className="input-group">
                 <label className="input-label">
-                  <span className="text-slate-400">Entry Price (USD)</span>
+                  <span className="text-slate-400">{dcaPlan ? "Average Entry (USD)" : "Entry Price (USD)"}</span>
                   <span className="text-indigo-400 ml-2">●</span>
                 </label>
                 <input
                   type="number"
                   step="0.01"
-                  value={entryPrice}
+                  value={dcaPlan ? entryLabel : entryPrice}
                   onChange={(e) => setEntryPrice(e.target.value)}
+                  readOnly={!!dcaPlan}
                   placeholder="0.00"
-                  className="input-field"
+                  className={`input-field ${dcaPlan ? "opacity-60 cursor-not-allowed" : ""}`}
                 />
-                {entryPrice && (
+                {plannedEntry > 0 && (
                   <div className="mt-1 text-xs text-indigo-400">
-                    {formatPHP(parseFloat(entryPrice))}
+                    {dcaPlan ? "From scaled entries below • " : ""}
+                    {formatHome(plannedEntry)}
                   </div>
                 )}
               </div>
@@ -546,11 +983,11 @@ const App = () => {
                 <label className="input-label">
                   <span className="text-slate-400">Stop Loss (USD)</span>
                   <span className="text-rose-400 ml-2">●</span>
-                  {positionType === "long" && entryPrice && (
-                    <span className="text-xs text-slate-500 ml-2">(below ${entryPrice})</span>
+                  {positionType === "long" && entryLabel && (
+                    <span className="text-xs text-slate-500 ml-2">(below ${entryLabel})</span>
                   )}
-                  {positionType === "short" && entryPrice && (
-                    <span className="text-xs text-slate-500 ml-2">(above ${entryPrice})</span>
+                  {positionType === "short" && entryLabel && (
+                    <span className="text-xs text-slate-500 ml-2">(above ${entryLabel})</span>
                   )}
                 </label>
                 <input
@@ -563,7 +1000,7 @@ const App = () => {
                 />
                 {stopLoss && (
                   <div className="mt-1 text-xs text-rose-400">
-                    {formatPHP(parseFloat(stopLoss))}
+                    {formatHome(parseFloat(stopLoss))}
                   </div>
                 )}
               </div>
@@ -573,11 +1010,11 @@ const App = () => {
                 <label className="input-label">
                   <span className="text-slate-400">Take Profit (USD)</span>
                   <span className="text-emerald-400 ml-2">●</span>
-                  {positionType === "long" && entryPrice && (
-                    <span className="text-xs text-slate-500 ml-2">(above ${entryPrice})</span>
+                  {positionType === "long" && entryLabel && (
+                    <span className="text-xs text-slate-500 ml-2">(above ${entryLabel})</span>
                   )}
-                  {positionType === "short" && entryPrice && (
-                    <span className="text-xs text-slate-500 ml-2">(below ${entryPrice})</span>
+                  {positionType === "short" && entryLabel && (
+                    <span className="text-xs text-slate-500 ml-2">(below ${entryLabel})</span>
                   )}
                 </label>
                 <input
@@ -590,12 +1027,65 @@ const App = () => {
                 />
                 {takeProfit && (
                   <div className="mt-1 text-xs text-emerald-400">
-                    {formatPHP(parseFloat(takeProfit))}
+                    {formatHome(parseFloat(takeProfit))}
                   </div>
                 )}
               </div>
             </div>
 
+            {/* Scaled / DCA Entries (spot only) */}
+            {isSpot && (
+              <div className="mb-6 sm:mb-8 p-4 sm:p-6 bg-gradient-to-br from-indigo-500/10 to-sky-500/10 border border-indigo-500/20 rounded-xl sm:rounded-2xl">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-base sm:text-lg font-bold text-indigo-300">Scaled Entries (DCA)</h3>
+                  <button
+                    onClick={() => {
+                      // Seed the first row from the single entry price
+                      if (!useDCA && entryPrice && !dcaEntries[0].price) {
+                        setDcaEntries([{ ...dcaEntries[0], price: entryPrice }, ...dcaEntries.slice(1)]);
+                      }
+                      setUseDCA(!useDCA);
+                    }}
+                    className={`px-3 py-1.5 rounded-lg text-xs font-semibold border ${
+                      useDCA ? "bg-indigo-500/20 text-indigo-300 border-indigo-500/30" : "bg-slate-800/60 text-slate-400 border-slate-600/40"
+                    }`}
+                  >
+                    {useDCA ? "Enabled" : "Disabled"}
+                  </button>
+                </div>
+                {useDCA ? (
+                  <DCAEntryEditor
+                    entries={dcaEntries}
+                    onChange={setDcaEntries}
+                    plan={dcaPlan}
+                    stop={parseFloat(stopLoss)}
+                    target={parseFloat(takeProfit)}
+                    priceDecimals={priceDecimals}
+                  />
+                ) : (
+                  <p className="text-slate-400 text-sm">
+                    Split the buy over several prices. Sizing, stop distance and R:R then use the average entry.
+                  </p>
+                )}
+              </div>
+            )}
+
+            <VolatilityPanel
+              key={`${exchangeId}:${symbol}`}
+              volatility={volatility}
+              onVolatilityChange={setVolatility}
+              leverageMode={leverageMode}
+              onLeverageModeChange={setLeverageMode}
+              entry={plannedEntry}
+              positionType={positionType}
+              priceDecimals={priceDecimals}
+              onUseStop={(price) => setStopLoss(roundPrice(price).toFixed(priceDecimals))}
+              onUseATR={(atr) => {
+                setAtrValue(roundPrice(atr).toFixed(priceDecimals));
+                setStopRule("atr");
+              }}
+            />
+
             {/* Partial Take Profit Section */}
             <div className="mb-6 sm:mb-8 p-4 sm:p-6 bg-gradient-to-br from-emerald-500/10 to-teal-500/10 border border-emerald-500/20 rounded-xl sm:rounded-2xl">
               <div className="flex items-center justify-between mb-4">
@@ -618,49 +1108,111 @@ const App = () => {
               </div>
 
               {enablePartialTP && (
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
-                  <div className="input-group">
-                    <label className="input-label">
-                      <span className="text-slate-300">TP1 Close %</span>
-                      <span className="text-xs text-emerald-400 ml-2">(At 1R - Break-even)</span>
-                    </label>
-                    <div className="relative">
-                      <input
-                        type="number"
-                        step="5"
-                        min="0"
-                        max="100"
-                        value={partialTP1Percent}
-                        onChange={(e) => setPartialTP1Percent(e.target.value)}
-                        className="input-field pr-8"
-                      />
-                      <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">%</span>
-                    </div>
-                    <div className="mt-1 text-xs text-slate-400">
-                      Recommended: 50% to secure profits
-                    </div>
+                <TPLadderEditor ladder={tpLadder} onChange={setTpLadder} />
+              )}
+
+              {enablePartialTP && (
+                <div className="mt-4">
+                  <label className="input-label">
+                    <span className="text-slate-300">Runner Stop Management</span>
+                    <span className="text-xs text-slate-500 ml-2">(Applies once TP1 fills)</span>
+                  </label>
+                  <div className="flex flex-wrap gap-2">
+                    {STOP_RULES.map((rule) => (
+                      <button
+                        key={rule.value}
+                        onClick={() => setStopRule(rule.value)}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+                          stopRule === rule.value
+                            ? "bg-emerald-500/20 text-emerald-300 border border-emerald-500/30"
+                            : "bg-slate-700/50 text-slate-400 border border-slate-600/30"
+                        }`}
+                      >
+                        {rule.label}
+                      </button>
+                    ))}
                   </div>
 
-                  <div className="input-group">
-                    <label className="input-label">
-                      <span className="text-slate-300">TP2 Close %</span>
-                      <span className="text-xs text-teal-400 ml-2">(At 1.5-2R)</span>
-                    </label>
-                    <div className="relative">
-                      <input
-                        type="number"
-                        step="5"
-                        min="0"
-                        max="100"
-                        value={partialTP2Percent}
-                        onChange={(e) => setPartialTP2Percent(e.target.value)}
-                        className="input-field pr-8"
-                      />
-                      <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">%</span>
+                  {stopRule === "percent" && (
+                    <div className="input-group mt-3">
+                      <label className="input-label">
+                        <span className="text-slate-300">Trail Distance</span>
+                        <span className="text-xs text-slate-500 ml-2">(Below the best price)</span>
+                      </label>
+                      <div className="relative">
+                        <input
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          value={trailPercent}
+                          onChange={(e) => setTrailPercent(e.target.value)}
+                          className="input-field pr-8"
+                        />
+                        <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">%</span>
+                      </div>
                     </div>
-                    <div className="mt-1 text-xs text-slate-400">
-                      Remaining {100 - parseFloat(partialTP1Percent) - parseFloat(partialTP2Percent)}% rides to final target
+                  )}
+
+                  {stopRule === "atr" && (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4 mt-3">
+                      <div className="input-group">
+                        <label className="input-label">
+                          <span className="text-slate-300">ATR</span>
+                          <span className="text-xs text-slate-500 ml-2">(Price units)</span>
+                        </label>
+                        <input
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={atrValue}
+                          onChange={(e) => setAtrValue(e.target.value)}
+                          placeholder="0.00"
+                          className="input-field"
+                        />
+                      </div>
+                      <div className="input-group">
+                        <label className="input-label">
+                          <span className="text-slate-300">ATR Multiple</span>
+                        </label>
+                        <div className="relative">
+                          <input
+                            type="number"
+                            step="0.5"
+                            min="0"
+                            value={atrMultiple}
+                            onChange={(e) => setAtrMultiple(e.target.value)}
+                            className="input-field pr-8"
+                          />
+                          <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">×</span>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
+                  {stopRule === "step" && (
+                    <div className="input-group mt-3">
+                      <label className="input-label">
+                        <span className="text-slate-300">Step Size</span>
+                        <span className="text-xs text-slate-500 ml-2">(Stop moves up one step per step gained)</span>
+                      </label>
+                      <div className="relative">
+                        <input
+                          type="number"
+                          step="0.5"
+                          min="0.1"
+                          value={stepR}
+                          onChange={(e) => setStepR(e.target.value)}
+                          className="input-field pr-8"
+                        />
+                        <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">R</span>
+                      </div>
                     </div>
+                  )}
+
+                  <div className="mt-2 text-xs text-slate-400">
+                    {stopRule === "none" && "The stop only moves when a level's After Fill action says so; the runner exits at the final target."}
+                    {stopRule === "breakeven" && "After TP1 the stop sits just past entry so a stop-out covers entry and exit fees; the runner exits at the final target."}
+                    {["percent", "atr", "step"].includes(stopRule) && "The runner has no final TP order - it rides until the trailing stop is hit. Expected exits assume price peaks at the final target."}
                   </div>
                 </div>
               )}
@@ -673,13 +1225,199 @@ const App = () => {
                   <div>
                     <div className="text-emerald-300 font-semibold text-xs sm:text-sm">Smart Profit Taking</div>
                     <div className="text-slate-400 text-xs mt-1">
-                      TP1 at 1R secures break-even (move SL to entry). TP2 locks major gains. Remaining position rides to final target for maximum profit.
+                      The default ladder takes TP1 at 1R and moves SL to entry, TP2 locks major gains, and the rest rides to the final target. Add levels or load a preset to change it.
                     </div>
                   </div>
                 </div>
               </div>
             </div>
 
+            {/* Trading Costs Section */}
+            <div className="mb-6 sm:mb-8 p-4 sm:p-6 bg-gradient-to-br from-amber-500/10 to-orange-500/10 border border-amber-500/20 rounded-xl sm:rounded-2xl">
+              <h3 className="text-base sm:text-lg font-bold text-amber-300 mb-4 flex items-center gap-2">
+                <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                Fees, Slippage &amp; Funding
+              </h3>
+
+              <div className="mb-3 sm:mb-4 flex flex-wrap items-center gap-2">
+                <span className="text-xs text-slate-400">{exchange.name} fee tier:</span>
+                {exchange.feeTiers.map((tier) => {
+                  const isActive = parseFloat(makerFeeRate) === tier.maker && parseFloat(takerFeeRate) === tier.taker;
+                  return (
+                    <button
+                      key={tier.name}
+                      onClick={() => {
+                        setMakerFeeRate(String(tier.maker));
+                        setTakerFeeRate(String(tier.taker));
+                      }}
+                      className={`px-2.5 py-1 rounded-lg text-xs font-semibold ${
+                        isActive
+                          ? "bg-amber-500/20 text-amber-300 border border-amber-500/30"
+                          : "bg-slate-700/50 text-slate-400 border border-slate-600/30"
+                      }`}
+                    >
+                      {tier.name} ({tier.maker}% / {tier.taker}%)
+                    </button>
+                  );
+                })}
+              </div>
+
+              <div className="mb-3 sm:mb-4">
+                <label className="input-label">
+                  <span className="text-slate-300">Entry Order</span>
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setEntryOrderType("market")}
+                    className={`risk-toggle ${entryOrderType === "market" ? "active-aggressive" : "inactive-risk"}`}
+                  >
+                    <div className="flex flex-col items-start">
+                      <span className="font-bold text-sm">Market</span>
+                      <span className="text-xs opacity-75">Taker fee + slippage</span>
+                    </div>
+                  </button>
+                  <button
+                    onClick={() => setEntryOrderType("limit")}
+                    className={`risk-toggle ${entryOrderType === "limit" ? "active-conservative" : "inactive-risk"}`}
+                  >
+                    <div className="flex flex-col items-start">
+                      <span className="font-bold text-sm">Limit</span>
+                      <span className="text-xs opacity-75">Maker fee, no slippage</span>
+                    </div>
+                  </button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4">
+                <div className="input-group">
+                  <label className="input-label">
+                    <span className="text-slate-300">Maker Fee</span>
+                    <span className="text-xs text-slate-500 ml-2">(Limit orders)</span>
+                  </label>
+                  <div className="relative">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={makerFeeRate}
+                      onChange={(e) => setMakerFeeRate(e.target.value)}
+                      className="input-field pr-8"
+                    />
+                    <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">%</span>
+                  </div>
+                </div>
+                <div className="input-group">
+                  <label className="input-label">
+                    <span className="text-slate-300">Taker Fee</span>
+                    <span className="text-xs text-slate-500 ml-2">(Market orders)</span>
+                  </label>
+                  <div className="relative">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={takerFeeRate}
+                      onChange={(e) => setTakerFeeRate(e.target.value)}
+                      className="input-field pr-8"
+                    />
+                    <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">%</span>
+                  </div>
+                </div>
+                <div className="input-group">
+                  <label className="input-label">
+                    <span className="text-slate-300">Funding Rate</span>
+                    <span className="text-xs text-slate-500 ml-2">(Per 8h)</span>
+                  </label>
+                  <div className="relative">
+                    <input
+                      type="number"
+                      step="0.005"
+                      min="0"
+                      value={fundingRate}
+                      onChange={(e) => setFundingRate(e.target.value)}
+                      className="input-field pr-8"
+                    />
+                    <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">%</span>
+                  </div>
+                </div>
+
+                <div className="input-group">
+                  <label className="input-label">
+                    <span className="text-slate-300">Holding Period</span>
+                  </label>
+                  <div className="relative">
+                    <input
+                      type="number"
+                      step="8"
+                      min="0"
+                      value={holdingHours}
+                      onChange={(e) => setHoldingHours(e.target.value)}
+                      className="input-field pr-8"
+                    />
+                    <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">h</span>
+                  </div>
+                </div>
+
+                <div className="input-group">
+                  <label className="input-label">
+                    <span className="text-slate-300">Entry Slippage</span>
+                    <span className="text-xs text-slate-500 ml-2">(Market entry)</span>
+                  </label>
+                  <div className="relative">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={entrySlippage}
+                      onChange={(e) => setEntrySlippage(e.target.value)}
+                      className="input-field pr-8"
+                    />
+                    <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">%</span>
+                  </div>
+                </div>
+                <div className="input-group">
+                  <label className="input-label">
+                    <span className="text-slate-300">Stop Slippage</span>
+                    <span className="text-xs text-slate-500 ml-2">(Stop loss fill)</span>
+                  </label>
+                  <div className="relative">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={stopSlippage}
+                      onChange={(e) => setStopSlippage(e.target.value)}
+                      className="input-field pr-8"
+                    />
+                    <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">%</span>
+                  </div>
+                </div>
+                <div className="input-group">
+                  <label className="input-label">
+                    <span className="text-slate-300">TP Slippage</span>
+                    <span className="text-xs text-slate-500 ml-2">(Take profit fill)</span>
+                  </label>
+                  <div className="relative">
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={tpSlippage}
+                      onChange={(e) => setTpSlippage(e.target.value)}
+                      className="input-field pr-8"
+                    />
+                    <span className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-500 font-medium">%</span>
+                  </div>
+                </div>
+              </div>
+
+              <div className="mt-3 text-xs text-slate-400">
+                Stop loss exits are charged the taker fee, take profits the maker fee. Longs pay positive funding, shorts receive it.
+              </div>
+            </div>
+
             {/* Error Message */}
             {results && results.error && (
               <div className="error-message">
@@ -705,6 +1443,67 @@ const App = () => {
             {/* Results Section */}
             {results && !results.error && (
               <div className="space-y-6 animate-fade-in">
+                {currentPlan && (
+                  <div className="flex justify-end">
+                    <button
+                      onClick={() => setReportOpenedAt(new Date())}
+                      className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-indigo-500/20 text-indigo-300 border border-indigo-500/30"
+                    >
+                      Trade Report
+                    </button>
+                  </div>
+                )}
+
+                {/* Portfolio Heat Warnings */}
+                {results.heat && (results.heat.isReduced || results.heat.directionLimitReached) && (
+                  <div className={results.heat.scale === 0 || results.heat.directionLimitReached ? "error-message" : "warning-message"}>
+                    <svg className="w-5 h-5 text-amber-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 18.657A8 8 0 016.343 7.343S7 9 9 10c0-2 .5-5 2.986-7C14 5 16.09 5.777 17.656 7.343A7.975 7.975 0 0120 13a7.975 7.975 0 01-2.343 5.657z" />
+                    </svg>
+                    <div className="text-amber-300 text-sm space-y-1">
+                      {results.heat.isReduced && !results.heat.directionLimitReached && (
+                        <p>
+                          {results.heat.scale === 0
+                            ? `Portfolio heat limit reached (${maxOpenRisk}% open risk) - no new risk available`
+                            : `Position shrunk to ${(results.heat.scale * 100).toFixed(0)}% - only $${results.heat.remainingRisk.toFixed(2)} of open-risk budget left`}
+                        </p>
+                      )}
+                      {results.heat.directionLimitReached && (
+                        <p>
+                          Already {maxPositionsPerSide} {positionType} positions open - direction limit reached, no new position sized
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {/* Correlated Exposure Warning */}
+                {isOverCorrelatedLimit && (
+                  <div className="warning-message">
+                    <svg className="w-5 h-5 text-amber-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                    </svg>
+                    <p className="text-amber-300 text-sm">
+                      Correlated exposure ${correlationCheck.correlatedRisk.toFixed(2)} exceeds the {maxCorrelatedRisk}% limit (${correlatedRiskLimit.toFixed(2)}) -
+                      this trade and {correlationCheck.linkedPositions.map((position) => position.symbol).join(", ")} are effectively one bet.
+                    </p>
+                  </div>
+                )}
+
+                {/* Exchange Minimum Warnings */}
+                {results.contractWarnings.length > 0 && (
+                  <div className="warning-message">
+                    <svg className="w-5 h-5 text-amber-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                    </svg>
+                    <div className="text-amber-300 text-sm space-y-1">
+                      {results.contractWarnings.map((warning) => (
+                        <p key={warning}>{warning}</p>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Leverage Recommendation - HIGHLIGHTED */}
                 {totalCapital && results.leverageInfo && (
                   <div className="leverage-highlight">
@@ -715,10 +1514,10 @@ const App = () => {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
                           </svg>
                         </div>
-                        Recommended Leverage
+                        {results.spot ? "Spot Position Size" : "Recommended Leverage"}
                       </h3>
                       <div className="leverage-badge">
-                        {results.leverageInfo.optimal}x
+                        {results.spot ? "Spot" : `${results.leverageInfo.optimal}x`}
                       </div>
                     </div>
                     
@@ -737,7 +1536,7 @@ const App = () => {
                           ${results.positionValue.toFixed(2)}
                         </div>
                         <div className="text-xs text-indigo-400 mt-1">
-                          {formatPHP(results.positionValue)}
+                          {formatHome(results.positionValue)}
                         </div>
                       </div>
                       
@@ -747,7 +1546,7 @@ const App = () => {
                           ${results.maxRiskAmount.toFixed(2)}
                         </div>
                         <div className="text-xs text-rose-400 mt-1">
-                          {formatPHP(results.maxRiskAmount)}
+                          {formatHome(results.maxRiskAmount)}
                         </div>
                       </div>
                     </div>
@@ -758,11 +1557,151 @@ const App = () => {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                         </svg>
                         <div>
-                          <div className="text-purple-300 font-semibold text-sm">Why this leverage?</div>
+                          <div className="text-purple-300 font-semibold text-sm">{results.spot ? "Why this size?" : "Why this leverage?"}</div>
                           <div className="text-slate-400 text-sm mt-1">{results.leverageInfo.explanation}</div>
+                          {results.leverageInfo.volatilityCap && (
+                            <div className="text-slate-500 text-xs mt-1">
+                              Volatility cap {results.leverageInfo.volatilityCap}x • stop is {results.leverageInfo.stopInATR.toFixed(1)} ATR from entry
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
+
+                    {results.sizing && (
+                      <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+                        <div className="leverage-stat">
+                          <div className="text-slate-400 text-sm mb-1">
+                            {results.sizing.mode === "risk" ? "Risk-Exact Loss at SL" : "Loss at SL"}
+                          </div>
+                          <div className="text-rose-400 text-xl font-bold">
+                            ${results.potentialLoss.toFixed(2)}
+                          </div>
+                          <div className="text-xs text-slate-500 mt-1">
+                            Target ${results.maxRiskAmount.toFixed(2)}
+                          </div>
+                        </div>
+
+                        {!results.spot && (
+                          <div className="leverage-stat">
+                            <div className="text-slate-400 text-sm mb-1">Allocation Method Deviation</div>
+                            <div className={`text-xl font-bold ${Math.abs(results.sizing.allocationDeviationPercent) <= 10 ? "text-emerald-400" : "text-amber-400"}`}>
+                              {results.sizing.allocationDeviation >= 0 ? "+" : "-"}${Math.abs(results.sizing.allocationDeviation).toFixed(2)}
+                            </div>
+                            <div className="text-xs text-slate-500 mt-1">
+                              {results.sizing.allocationDeviationPercent >= 0 ? "+" : ""}
+                              {results.sizing.allocationDeviationPercent.toFixed(1)}% vs risk target (loss ${results.sizing.allocationLoss.toFixed(2)})
+                            </div>
+                          </div>
+                        )}
+
+                        <div className="leverage-stat">
+                          <div className="text-slate-400 text-sm mb-1">{results.spot ? "Spend" : "Margin Required"}</div>
+                          <div className={`text-xl font-bold ${results.sizing.exceedsAllocation ? "text-rose-400" : "text-white"}`}>
+                            ${results.sizing.marginRequired.toFixed(2)}
+                          </div>
+                          <div className="text-xs text-slate-500 mt-1">
+                            {results.sizing.exceedsAllocation
+                              ? `Exceeds $${results.allocatedAmount.toFixed(2)} allocation`
+                              : `Within $${results.allocatedAmount.toFixed(2)} allocation`}
+                          </div>
+                        </div>
+                      </div>
+                    )}
+
+                    {results.sizing && results.sizing.isCapped && (
+                      <div className="warning-message mt-4">
+                        <svg className="w-5 h-5 text-amber-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                        </svg>
+                        <p className="text-amber-300 text-sm">
+                          {results.spot
+                            ? "The allocation cannot buy the full risk-based size. Loss at stop is below the risk target."
+                            : "The allocation cannot carry the risk-exact size at the pair's max leverage. Loss at stop is below the risk target."}
+                        </p>
+                      </div>
+                    )}
+
+                    {results.dca && (
+                      <div className="mt-4 p-3 bg-indigo-500/10 border border-indigo-500/20 rounded-lg">
+                        <div className="text-indigo-300 font-semibold text-sm mb-2">
+                          Scaled entry • average ${results.dca.averageEntry.toFixed(priceDecimals)}
+                        </div>
+                        <div className="space-y-1 text-sm">
+                          {results.dca.fills.map((fill, index) => (
+                            <div key={fill.id} className="flex justify-between gap-2">
+                              <span className="text-slate-400">
+                                Entry {index + 1} @ ${fill.price.toFixed(priceDecimals)}
+                              </span>
+                              <span className="text-white">
+                                {fill.assets.toFixed(quantityDecimals)} coins • ${(fill.assets * fill.price).toFixed(2)}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                        {results.dca.errors.map((error) => (
+                          <p key={error} className="text-amber-300 text-xs mt-2">{error}</p>
+                        ))}
+                      </div>
+                    )}
+
+                    {results.liquidation && (
+                      <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-4">
+                        <div className="leverage-stat">
+                          <div className="text-slate-400 text-sm mb-1">
+                            Liquidation Price ({results.liquidation.mode === "cross" ? "Cross" : "Isolated"})
+                          </div>
+                          <div className="text-amber-400 text-xl font-bold">
+                            {results.liquidation.price > 0 ? `$${results.liquidation.price.toFixed(2)}` : "None"}
+                          </div>
+                          <div className="text-xs text-slate-500 mt-1">
+                            Tier {results.liquidation.tier} • MMR {(results.liquidation.maintenanceMarginRate * 100).toFixed(2)}%
+                          </div>
+                        </div>
+
+                        <div className="leverage-stat">
+                          <div className="text-slate-400 text-sm mb-1">Stop to Liquidation</div>
+                          <div className={`text-xl font-bold ${results.liquidation.isSafe ? "text-emerald-400" : "text-rose-400"}`}>
+                            {results.liquidation.price > 0 ? `$${results.liquidation.distanceFromStop.toFixed(2)}` : "-"}
+                          </div>
+                          <div className="text-xs text-slate-500 mt-1">
+                            {results.liquidation.price > 0
+                              ? `${results.liquidation.distanceFromStopPercent.toFixed(2)}% of entry beyond SL`
+                              : "Position cannot be liquidated"}
+                          </div>
+                        </div>
+
+                        <div className="leverage-stat">
+                          <div className="text-slate-400 text-sm mb-1">Tier Max Leverage</div>
+                          <div className="text-white text-xl font-bold">
+                            {results.liquidation.maxTierLeverage}x
+                          </div>
+                          <div className="text-xs text-slate-500 mt-1">For this position notional</div>
+                        </div>
+                      </div>
+                    )}
+
+                    {results.liquidation && results.liquidation.leverageReduced && !results.liquidation.blocked && (
+                      <div className="warning-message mt-4">
+                        <svg className="w-5 h-5 text-amber-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                        </svg>
+                        <p className="text-amber-300 text-sm">
+                          Leverage lowered from {results.liquidation.originalLeverage}x to {results.leverageInfo.optimal}x so the stop loss triggers before liquidation.
+                        </p>
+                      </div>
+                    )}
+
+                    {results.liquidation && results.liquidation.blocked && (
+                      <div className="error-message mt-4">
+                        <svg className="w-5 h-5 text-rose-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        <p className="text-rose-300 text-sm">
+                          Trade blocked: liquidation triggers before the stop loss even at 1x. Tighten the stop or reduce the position size.
+                        </p>
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -795,7 +1734,7 @@ const App = () => {
                         </div>
                         Partial Take Profit Levels
                       </h3>
-                      {results.partialTPProfits && (
+                      {results.partialTPProfits && results.partialTPProfits.avgExitRMultiple !== null && (
                         <div className="text-right">
                           <div className="text-slate-400 text-xs">Avg Exit</div>
                           <div className="text-emerald-400 font-bold text-lg">
@@ -805,175 +1744,177 @@ const App = () => {
                       )}
                     </div>
 
+                    {results.ladderErrors.length > 0 && (
+                      <div className="error-message">
+                        <svg className="w-5 h-5 text-rose-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        <div className="text-rose-300 text-sm space-y-1">
+                          {results.ladderErrors.map((ladderError) => (
+                            <p key={ladderError}>{ladderError}</p>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
                     <div className="grid grid-cols-1 gap-3 sm:gap-4">
-                      {/* TP1 - Break Even */}
-                      <div className="tp-level-card tp1">
-                        <div className="flex items-center justify-between mb-3">
-                          <div className="flex items-center gap-3">
-                            <div className="tp-number">1</div>
-                            <div>
-                              <div className="text-emerald-300 font-bold text-sm sm:text-base">
-                                {results.partialTPLevels.tp1.label}
+                      {results.partialTPLevels.map((level, index) => {
+                        const isLast = index === results.partialTPLevels.length - 1;
+                        const style = isLast ? TP_CARD_STYLES.final : TP_CARD_STYLES.steps[index % TP_CARD_STYLES.steps.length];
+                        const tranche = results.partialTPProfits && results.partialTPProfits.levels[index];
+
+                        return (
+                          <div key={index} className={`tp-level-card ${style.card}`}>
+                            <div className="flex items-center justify-between mb-3">
+                              <div className="flex items-center gap-3">
+                                <div className="tp-number">{index + 1}</div>
+                                <div>
+                                  <div className={`${style.label} font-bold text-sm sm:text-base`}>
+                                    {level.label}
+                                  </div>
+                                  <div className="text-slate-400 text-xs">
+                                    {level.description}
+                                  </div>
+                                </div>
                               </div>
-                              <div className="text-slate-400 text-xs">
-                                {results.partialTPLevels.tp1.description}
+                              <div className="text-right">
+                                <div className={`${style.price} text-lg sm:text-xl font-bold`}>
+                                  ${level.price.toFixed(priceDecimals)}
+                                </div>
+                                <div className={`${style.sub} text-xs`}>
+                                  {formatHome(level.price)}
+                                </div>
                               </div>
                             </div>
-                          </div>
-                          <div className="text-right">
-                            <div className="text-emerald-400 text-lg sm:text-xl font-bold">
-                              ${results.partialTPLevels.tp1.price.toFixed(2)}
-                            </div>
-                            <div className="text-emerald-500 text-xs">
-                              {formatPHP(results.partialTPLevels.tp1.price)}
-                            </div>
-                          </div>
-                        </div>
-                        {results.partialTPProfits && (
-                          <div className="grid grid-cols-3 gap-2 pt-3 border-t border-emerald-500/20">
-                            <div>
-                              <div className="text-slate-500 text-xs">Close</div>
-                              <div className="text-white font-semibold text-sm">
-                                {results.partialTPProfits.tp1.percent.toFixed(0)}%
+                            {tranche && (
+                              <div className={`grid grid-cols-3 gap-2 pt-3 border-t ${style.border}`}>
+                                <div>
+                                  <div className="text-slate-500 text-xs">Close</div>
+                                  <div className="text-white font-semibold text-sm">
+                                    {tranche.percent.toFixed(0)}%
+                                  </div>
+                                </div>
+                                <div>
+                                  <div className="text-slate-500 text-xs">Assets</div>
+                                  <div className="text-white font-semibold text-sm">
+                                    {tranche.assets.toFixed(quantityDecimals)}
+                                  </div>
+                                </div>
+                                <div>
+                                  <div className="text-slate-500 text-xs">Expected</div>
+                                  <div className={`${style.price} font-semibold text-sm`}>
+                                    ${tranche.profit.toFixed(2)}
+                                  </div>
+                                  <div className="text-slate-500 text-xs">
+                                    {tranche.expectedR.toFixed(2)}R{tranche.expectedExit === "stop" && " trailed"}
+                                  </div>
+                                </div>
                               </div>
-                            </div>
-                            <div>
-                              <div className="text-slate-500 text-xs">Assets</div>
-                              <div className="text-white font-semibold text-sm">
-                                {results.partialTPProfits.tp1.assets.toFixed(2)}
+                            )}
+                            {tranche && (
+                              <div className="mt-2 flex justify-between text-xs">
+                                <span className="text-slate-400">
+                                  Worst case: stopped at ${tranche.worstPrice.toFixed(priceDecimals)} ({tranche.worstR.toFixed(2)}R)
+                                </span>
+                                <span className={tranche.worstProfit < 0 ? "text-rose-400 font-semibold" : "text-slate-300 font-semibold"}>
+                                  {tranche.worstProfit < 0 ? "-" : ""}${Math.abs(tranche.worstProfit).toFixed(2)}
+                                </span>
                               </div>
-                            </div>
-                            <div>
-                              <div className="text-slate-500 text-xs">Profit</div>
-                              <div className="text-emerald-400 font-semibold text-sm">
-                                ${results.partialTPProfits.tp1.profit.toFixed(2)}
+                            )}
+                            {level.action && !isLast && (
+                              <div className={`mt-2 p-2 rounded text-xs ${style.action}`}>
+                                <span className="font-semibold">Action:</span> {level.action}
                               </div>
-                            </div>
+                            )}
                           </div>
-                        )}
-                        <div className="mt-2 p-2 bg-emerald-500/10 border border-emerald-500/20 rounded text-xs text-emerald-300">
-                          <span className="font-semibold">Action:</span> Move stop loss to entry price (break-even)
-                        </div>
-                      </div>
+                        );
+                      })}
+                    </div>
 
-                      {/* TP2 - Major Profit Lock */}
-                      <div className="tp-level-card tp2">
-                        <div className="flex items-center justify-between mb-3">
-                          <div className="flex items-center gap-3">
-                            <div className="tp-number">2</div>
-                            <div>
-                              <div className="text-teal-300 font-bold text-sm sm:text-base">
-                                {results.partialTPLevels.tp2.label}
-                              </div>
-                              <div className="text-slate-400 text-xs">
-                                {results.partialTPLevels.tp2.description}
-                              </div>
+                    {/* Total Partial TP Summary: best case next to the probability-weighted case */}
+                    {results.partialTPProfits && results.expectedValue && (
+                      <div className="mt-4 p-4 bg-gradient-to-r from-emerald-500/10 via-teal-500/10 to-blue-500/10 border border-emerald-500/20 rounded-xl">
+                        <div className="grid grid-cols-2 gap-4">
+                          <div>
+                            <div className="text-slate-400 text-xs sm:text-sm">Best Case (all levels fill)</div>
+                            <div className="text-white text-xl sm:text-2xl font-bold mt-1">
+                              ${results.partialTPProfits.totalProfit.toFixed(2)}
                             </div>
-                          </div>
-                          <div className="text-right">
-                            <div className="text-teal-400 text-lg sm:text-xl font-bold">
-                              ${results.partialTPLevels.tp2.price.toFixed(2)}
+                            <div className="text-emerald-400 text-xs sm:text-sm mt-1">
+                              {formatHome(results.partialTPProfits.totalProfit)}
+                              {results.partialTPProfits.avgExitRMultiple !== null && ` • ${results.partialTPProfits.avgExitRMultiple.toFixed(2)}R`}
                             </div>
-                            <div className="text-teal-500 text-xs">
-                              {formatPHP(results.partialTPLevels.tp2.price)}
+                            <div className="text-amber-400 text-xs sm:text-sm mt-1">
+                              Net after costs: ${results.partialTPProfits.totalNetProfit.toFixed(2)}
+                            </div>
+                            <div className="text-slate-500 text-xs mt-1">
+                              {STOP_RULES.find((rule) => rule.value === stopRule).label} • limit targets only: ${results.partialTPProfits.totalTargetProfit.toFixed(2)}
                             </div>
                           </div>
-                        </div>
-                        {results.partialTPProfits && (
-                          <div className="grid grid-cols-3 gap-2 pt-3 border-t border-teal-500/20">
-                            <div>
-                              <div className="text-slate-500 text-xs">Close</div>
-                              <div className="text-white font-semibold text-sm">
-                                {results.partialTPProfits.tp2.percent.toFixed(0)}%
-                              </div>
+                          <div className="text-right">
+                            <div className="text-slate-400 text-xs sm:text-sm">Expected Value (probability-weighted)</div>
+                            <div className={`text-xl sm:text-2xl font-bold mt-1 ${results.expectedValue.expectedProfit >= 0 ? "text-white" : "text-rose-400"}`}>
+                              {results.expectedValue.expectedProfit < 0 ? "-" : ""}${Math.abs(results.expectedValue.expectedProfit).toFixed(2)}
                             </div>
-                            <div>
-                              <div className="text-slate-500 text-xs">Assets</div>
-                              <div className="text-white font-semibold text-sm">
-                                {results.partialTPProfits.tp2.assets.toFixed(2)}
-                              </div>
+                            <div className="text-emerald-400 text-xs sm:text-sm mt-1">
+                              {formatHome(results.expectedValue.expectedProfit)} • {results.expectedValue.expectedR.toFixed(2)}R
                             </div>
-                            <div>
-                              <div className="text-slate-500 text-xs">Profit</div>
-                              <div className="text-teal-400 font-semibold text-sm">
-                                ${results.partialTPProfits.tp2.profit.toFixed(2)}
-                              </div>
+                            <div className="text-amber-400 text-xs sm:text-sm mt-1">
+                              Net after costs: ${results.expectedValue.expectedNetProfit.toFixed(2)} ({results.expectedValue.expectedNetR.toFixed(2)}R)
                             </div>
                           </div>
-                        )}
-                        <div className="mt-2 p-2 bg-teal-500/10 border border-teal-500/20 rounded text-xs text-teal-300">
-                          <span className="font-semibold">Action:</span> Move stop loss to TP1 (risk-free trade)
                         </div>
-                      </div>
 
-                      {/* TP3 - Final Target */}
-                      <div className="tp-level-card tp3">
-                        <div className="flex items-center justify-between mb-3">
-                          <div className="flex items-center gap-3">
-                            <div className="tp-number">3</div>
-                            <div>
-                              <div className="text-blue-300 font-bold text-sm sm:text-base">
-                                {results.partialTPLevels.tp3.label}
-                              </div>
-                              <div className="text-slate-400 text-xs">
-                                {results.partialTPLevels.tp3.description}
-                              </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mt-4">
+                          <div className="leverage-stat">
+                            <div className="text-slate-400 text-xs mb-1">Chance of Net Loss</div>
+                            <div className={`text-lg font-bold ${results.expectedValue.lossProbability > 50 ? "text-rose-400" : "text-white"}`}>
+                              {results.expectedValue.lossProbability.toFixed(1)}%
                             </div>
                           </div>
-                          <div className="text-right">
-                            <div className="text-blue-400 text-lg sm:text-xl font-bold">
-                              ${results.partialTPLevels.tp3.price.toFixed(2)}
+                          <div className="leverage-stat">
+                            <div className="text-slate-400 text-xs mb-1">Break-even TP1 Hit Rate</div>
+                            <div className={`text-lg font-bold ${
+                              results.expectedValue.breakEvenHitRate === null || results.expectedValue.breakEvenHitRate > results.expectedValue.tp1Probability
+                                ? "text-rose-400"
+                                : "text-emerald-400"
+                            }`}>
+                              {results.expectedValue.breakEvenHitRate === null ? "Never" : `${results.expectedValue.breakEvenHitRate.toFixed(1)}%`}
                             </div>
-                            <div className="text-blue-500 text-xs">
-                              {formatPHP(results.partialTPLevels.tp3.price)}
+                            <div className="text-xs text-slate-500 mt-1">
+                              Your TP1 estimate: {results.expectedValue.tp1Probability.toFixed(1)}%
                             </div>
                           </div>
-                        </div>
-                        {results.partialTPProfits && (
-                          <div className="grid grid-cols-3 gap-2 pt-3 border-t border-blue-500/20">
-                            <div>
-                              <div className="text-slate-500 text-xs">Close</div>
-                              <div className="text-white font-semibold text-sm">
-                                {results.partialTPProfits.tp3.percent.toFixed(0)}%
-                              </div>
+                          <div className="leverage-stat">
+                            <div className="text-slate-400 text-xs mb-1">Most Likely Outcome</div>
+                            <div className="text-white text-lg font-bold">
+                              {(results.expectedValue.mostLikely.probability * 100).toFixed(1)}%
                             </div>
-                            <div>
-                              <div className="text-slate-500 text-xs">Assets</div>
-                              <div className="text-white font-semibold text-sm">
-                                {results.partialTPProfits.tp3.assets.toFixed(2)}
-                              </div>
-                            </div>
-                            <div>
-                              <div className="text-slate-500 text-xs">Profit</div>
-                              <div className="text-blue-400 font-semibold text-sm">
-                                ${results.partialTPProfits.tp3.profit.toFixed(2)}
-                              </div>
+                            <div className="text-xs text-slate-500 mt-1">
+                              {results.expectedValue.mostLikely.label} • ${results.expectedValue.mostLikely.netPnl.toFixed(2)} net
                             </div>
                           </div>
-                        )}
-                      </div>
-                    </div>
+                        </div>
 
-                    {/* Total Partial TP Summary */}
-                    {results.partialTPProfits && (
-                      <div className="mt-4 p-4 bg-gradient-to-r from-emerald-500/10 via-teal-500/10 to-blue-500/10 border border-emerald-500/20 rounded-xl">
-                        <div className="flex items-center justify-between">
-                          <div>
-                            <div className="text-slate-400 text-xs sm:text-sm">Total Projected Profit</div>
-                            <div className="text-white text-xl sm:text-2xl font-bold mt-1">
-                              ${results.partialTPProfits.totalProfit.toFixed(2)}
-                            </div>
-                            <div className="text-emerald-400 text-xs sm:text-sm mt-1">
-                              {formatPHP(results.partialTPProfits.totalProfit)}
+                        <div className="mt-4 space-y-1">
+                          {results.expectedValue.scenarios.map((scenario) => (
+                            <div key={scenario.reached} className="flex justify-between text-xs">
+                              <span className="text-slate-400">{scenario.label}</span>
+                              <span className="text-slate-300">
+                                {(scenario.probability * 100).toFixed(1)}% •{" "}
+                                <span className={scenario.netPnl < 0 ? "text-rose-400" : "text-emerald-400"}>
+                                  {scenario.netPnl < 0 ? "-" : "+"}${Math.abs(scenario.netPnl).toFixed(2)}
+                                </span>
+                              </span>
                             </div>
-                          </div>
-                          <div className="text-right">
-                            <div className="text-slate-400 text-xs sm:text-sm">Avg R:R Exit</div>
-                            <div className="text-emerald-400 text-xl sm:text-2xl font-bold mt-1">
-                              1:{results.partialTPProfits.avgExitRMultiple.toFixed(2)}
-                            </div>
-                          </div>
+                          ))}
                         </div>
+
+                        {results.expectedValue.hasEstimates && (
+                          <div className="mt-3 text-xs text-slate-500">
+                            Levels without a hit probability use a random-walk estimate of 1 / (1 + R). Enter your own odds in the ladder for a sharper estimate.
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
@@ -997,7 +1938,7 @@ const App = () => {
                               ${results.allocatedAmount.toFixed(2)}
                             </span>
                             <span className="text-indigo-400 text-xs">
-                              {formatPHP(results.allocatedAmount)}
+                              {formatHome(results.allocatedAmount)}
                             </span>
                           </div>
                         </div>
@@ -1005,13 +1946,47 @@ const App = () => {
                           <span className="text-slate-400 text-sm">Position Size</span>
                           <div className="text-right">
                             <span className="text-white font-bold block">
-                              {results.recommendedAssets.toFixed(4)} coins
+                              {results.inverse
+                                ? `${results.inverse.contracts} × $${results.inverse.contractSize} contracts`
+                                : `${results.recommendedAssets.toFixed(quantityDecimals)} ${contractSpec ? contractSpec.symbol.replace(/USDT$/, "") : "coins"}`}
                             </span>
                             <span className="text-slate-500 text-xs">
-                              @ ${parseFloat(entryPrice).toFixed(2)}
+                              {results.inverse && `≈ ${results.recommendedAssets.toFixed(6)} ${results.inverse.coin} `}@ ${plannedEntry.toFixed(2)}
                             </span>
                           </div>
                         </div>
+                        {results.inverse && (
+                          <>
+                            <div className="flex justify-between items-center">
+                              <span className="text-slate-400 text-sm">Margin</span>
+                              <span className="text-white font-bold">
+                                {results.inverse.marginCoin.toFixed(6)} {results.inverse.coin}
+                              </span>
+                            </div>
+                            <div className="flex justify-between items-center">
+                              <span className="text-slate-400 text-sm">Loss at Stop</span>
+                              <div className="text-right">
+                                <span className="text-rose-400 font-bold block">
+                                  {results.inverse.loss.coin.toFixed(6)} {results.inverse.coin}
+                                </span>
+                                <span className="text-slate-500 text-xs">
+                                  ${results.inverse.loss.usd.toFixed(2)} at stop • budget {results.inverse.riskBudgetCoin.toFixed(6)} {results.inverse.coin}
+                                </span>
+                              </div>
+                            </div>
+                            <div className="flex justify-between items-center">
+                              <span className="text-slate-400 text-sm">Profit at Target</span>
+                              <div className="text-right">
+                                <span className="text-emerald-400 font-bold block">
+                                  +{results.inverse.profit.coin.toFixed(6)} {results.inverse.coin}
+                                </span>
+                                <span className="text-slate-500 text-xs">
+                                  ${results.inverse.profit.usd.toFixed(2)} at target
+                                </span>
+                              </div>
+                            </div>
+                          </>
+                        )}
                         <div className="flex justify-between items-center pt-3 border-t border-slate-700">
                           <span className="text-indigo-300 text-sm font-semibold">Total Position Value</span>
                           <span className="text-indigo-400 font-bold text-lg">
@@ -1041,12 +2016,36 @@ const App = () => {
                             {(100 / (1 + results.ratio)).toFixed(1)}%
                           </span>
                         </div>
+                        {results.costs && (
+                          <>
+                            <div className="flex justify-between items-center">
+                              <span className="text-slate-400 text-sm">Win Rate Needed (Net)</span>
+                              <span className="text-amber-400 font-bold">
+                                {results.costs.winRateNeeded.toFixed(1)}%
+                              </span>
+                            </div>
+                            <div className="flex justify-between items-center">
+                              <span className="text-slate-400 text-sm">Costs vs Risk Budget</span>
+                              <span className="text-amber-400 font-bold">
+                                {results.costs.costShareOfRisk.toFixed(1)}%
+                              </span>
+                            </div>
+                          </>
+                        )}
                         <div className="flex justify-between items-center pt-3 border-t border-slate-700">
                           <span className="text-purple-300 text-sm font-semibold">R:R Ratio</span>
                           <span className="text-purple-400 font-bold text-lg">
                             1:{results.ratio.toFixed(2)}
                           </span>
                         </div>
+                        {results.costs && (
+                          <div className="flex justify-between items-center">
+                            <span className="text-amber-300 text-sm font-semibold">Net R:R Ratio</span>
+                            <span className="text-amber-400 font-bold text-lg">
+                              1:{results.costs.netRatio.toFixed(2)}
+                            </span>
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -1065,7 +2064,7 @@ const App = () => {
                           ${results.riskPerCoin.toFixed(2)}
                         </p>
                         <p className="text-rose-400 text-xs sm:text-sm mt-1 truncate">
-                          {formatPHP(results.riskPerCoin)}
+                          {formatHome(results.riskPerCoin)}
                         </p>
                       </div>
                       <div className="w-10 h-10 sm:w-12 sm:h-12 rounded-xl bg-rose-500/10 flex items-center justify-center group-hover:bg-rose-500/20 transition-colors flex-shrink-0">
@@ -1081,8 +2080,19 @@ const App = () => {
                           ${results.potentialLoss.toFixed(2)}
                         </p>
                         <p className="text-rose-400 text-xs sm:text-sm mt-1 truncate">
-                          {formatPHP(results.potentialLoss)}
+                          {formatHome(results.potentialLoss)}
                         </p>
+                        {results.costs && (
+                          <>
+                            <p className="text-rose-300/70 text-xs sm:text-sm mt-3">Net Risk (Fees, Slippage, Funding)</p>
+                            <p className="text-rose-200 text-lg sm:text-xl font-bold mt-1">
+                              ${results.costs.netLoss.toFixed(2)}
+                            </p>
+                            <p className="text-rose-400 text-xs sm:text-sm mt-1 truncate">
+                              {formatHome(results.costs.netLoss)}
+                            </p>
+                          </>
+                        )}
                       </div>
                     )}
                   </div>
@@ -1098,7 +2108,7 @@ const App = () => {
                           ${results.rewardPerCoin.toFixed(2)}
                         </p>
                         <p className="text-emerald-400 text-xs sm:text-sm mt-1 truncate">
-                          {formatPHP(results.rewardPerCoin)}
+                          {formatHome(results.rewardPerCoin)}
                         </p>
                       </div>
                       <div className="w-10 h-10 sm:w-12 sm:h-12 rounded-xl bg-emerald-500/10 flex items-center justify-center group-hover:bg-emerald-500/20 transition-colors flex-shrink-0">
@@ -1114,8 +2124,19 @@ const App = () => {
                           ${results.potentialProfit.toFixed(2)}
                         </p>
                         <p className="text-emerald-400 text-xs sm:text-sm mt-1 truncate">
-                          {formatPHP(results.potentialProfit)}
+                          {formatHome(results.potentialProfit)}
                         </p>
+                        {results.costs && (
+                          <>
+                            <p className="text-emerald-300/70 text-xs sm:text-sm mt-3">Net Reward (Fees, Slippage, Funding)</p>
+                            <p className="text-emerald-200 text-lg sm:text-xl font-bold mt-1">
+                              ${results.costs.netProfit.toFixed(2)}
+                            </p>
+                            <p className="text-emerald-400 text-xs sm:text-sm mt-1 truncate">
+                              {formatHome(results.costs.netProfit)}
+                            </p>
+                          </>
+                        )}
                       </div>
                     )}
                   </div>
@@ -1155,6 +2176,96 @@ const App = () => {
           </div>
         </div>
 
+        {/* Share Plan */}
+        <div className="mt-4 sm:mt-6">
+          <PlanSharePanel
+            plan={sharePlan}
+            search={planSearch}
+            redactCapital={redactCapital}
+            onRedactCapitalChange={setRedactCapital}
+            onImport={applyPlan}
+            linkedPlan={linkedPlan}
+          />
+        </div>
+
+        {/* Order Ticket Export */}
+        {orderRequests && (
+          <div className="mt-4 sm:mt-6">
+            <OrderExportPanel requests={orderRequests} errors={orderErrors} exchangeName={exchange.name} />
+          </div>
+        )}
+
+        {/* Monte Carlo Simulation */}
+        <div className="mt-4 sm:mt-6">
+          <MonteCarloSimulator
+            rewardRatio={
+              results && !results.error
+                ? results.partialTPProfits?.avgExitRMultiple ?? results.ratio
+                : null
+            }
+            ratioSource={results && !results.error && results.partialTPProfits?.avgExitRMultiple != null ? "blended partial TP exit" : "single target"}
+            riskPercent={parseFloat(riskPercentage)}
+            startingCapital={capitalUSD}
+          />
+        </div>
+
+        {/* Partial TP Backtest */}
+        <div className="mt-4 sm:mt-6">
+          <BacktestPanel
+            getLevels={(entry, stop, target, side, ladder) => calculatePartialTPLevels(entry, stop, target, side, ladder, market)}
+            ladder={tpLadder}
+          />
+        </div>
+
+        {/* Watchlist Screen */}
+        <div className="mt-4 sm:mt-6">
+          <WatchlistPanel evaluate={evaluateWatchlistSetup} getRatioLabel={getRatioLabel} canShort={!isSpot} />
+        </div>
+
+        {/* Portfolio Heat */}
+        <div className="mt-4 sm:mt-6">
+          <PortfolioPanel
+            positions={openPositions}
+            summary={portfolio}
+            capital={capitalUSD}
+            maxOpenRisk={maxOpenRisk}
+            onMaxOpenRiskChange={setMaxOpenRisk}
+            maxPositionsPerSide={maxPositionsPerSide}
+            onMaxPositionsPerSideChange={setMaxPositionsPerSide}
+            includePlanned={includePlannedPositions}
+            onIncludePlannedChange={setIncludePlannedPositions}
+          />
+        </div>
+
+        {/* Correlated Exposure */}
+        <div className="mt-4 sm:mt-6">
+          <CorrelationPanel
+            correlations={correlations}
+            onCorrelationsChange={setCorrelations}
+            assessment={correlationCheck}
+            capital={capitalUSD}
+            maxCorrelatedRisk={maxCorrelatedRisk}
+            onMaxCorrelatedRiskChange={setMaxCorrelatedRisk}
+            threshold={correlationThreshold}
+            onThresholdChange={setCorrelationThreshold}
+          />
+        </div>
+
+        {/* Trade Journal */}
+        <div className="mt-4 sm:mt-6">
+          <TradeJournal currentPlan={currentPlan} trades={journal.trades} error={journal.error} onChange={journal.reload} />
+        </div>
+
+        {/* Performance Analytics */}
+        <div className="mt-4 sm:mt-6">
+          <PerformanceDashboard
+            trades={journal.trades}
+            startingCapital={capitalUSD}
+            getRatioLabel={getRatioLabel}
+            onChange={journal.reload}
+          />
+        </div>
+
         {/* Pro Tips */}
         <div className="tip-card">
           <div className="flex gap-3 sm:gap-4">
@@ -1185,6 +2296,8 @@ const App = () => {
         </div>
       </div>
 
+      {tradeReport && <TradeReport report={tradeReport} onClose={() => setReportOpenedAt(null)} />}
+
       <style jsx>{`
         @keyframes fade-in {
           from { opacity: 0; transform: translateY(10px); }
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { BUILT_IN_TP_PRESETS } from "../data/tpPresets";
+import { parseCsv } from "../utils/csv";
+import { getBacktestPresets, parseCandles, parseSignals, runBacktest } from "../utils/backtest";
+
+const CANDLE_TEMPLATE = "time,open,high,low,close";
+const SIGNAL_TEMPLATE = "time,side,entry,sl,tp";
+
+const CsvInput = ({ label, template, value, onChange }) => {
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (file) file.text().then(onChange);
+  };
+
+  return (
+    <div>
+      <div className="text-slate-400 text-xs mb-1">
+        {label}: <span className="font-mono text-slate-300">{template}</span>
+      </div>
+      <textarea
+        rows={4}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={template}
+        className="w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-xs font-mono"
+      />
+      <input type="file" accept=".csv,text/csv" onChange={handleFile} className="text-xs text-slate-400 mt-1" />
+    </div>
+  );
+};
+
+const BacktestPanel = ({ getLevels, ladder }) => {
+  const [candleCsv, setCandleCsv] = useState("");
+  const [signalCsv, setSignalCsv] = useState("");
+  const [results, setResults] = useState(null);
+  const [message, setMessage] = useState("");
+
+  const handleRun = () => {
+    const candles = parseCandles(parseCsv(candleCsv));
+    const signals = parseSignals(parseCsv(signalCsv));
+    if (candles.length < 2 || signals.length === 0) {
+      setResults(null);
+      setMessage(`Need candles and signals - parsed ${candles.length} candles and ${signals.length} signals`);
+      return;
+    }
+
+    const presets = getBacktestPresets(ladder, BUILT_IN_TP_PRESETS);
+    setResults(presets.map((strategy) => runBacktest(candles, signals, strategy, getLevels)));
+    setMessage(`Replayed ${signals.length} signals over ${candles.length} candles`);
+  };
+
+  const best = results ? Math.max(...results.map((result) => result.totalR)) : null;
+
+  return (
+    <div className="position-card">
+      <h4 className="text-teal-300 font-semibold mb-4 flex items-center gap-2 text-sm sm:text-base">
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+        Partial TP Backtest
+      </h4>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <CsvInput label="OHLC candles" template={CANDLE_TEMPLATE} value={candleCsv} onChange={setCandleCsv} />
+        <CsvInput label="Entry signals" template={SIGNAL_TEMPLATE} value={signalCsv} onChange={setSignalCsv} />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <button
+          onClick={handleRun}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-teal-500/20 text-teal-300 border border-teal-500/30"
+        >
+          Run Backtest
+        </button>
+        {message && <span className="text-xs text-slate-400">{message}</span>}
+      </div>
+
+      <div className="mt-2 text-xs text-slate-500">
+        Each level moves the stop as set in its "After Fill" action and the last level closes whatever is left. When a candle touches both the stop and a target, the stop is assumed to fill first.
+      </div>
+
+      {results && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-slate-400 text-left">
+                <th className="py-1 pr-2">Strategy</th>
+                <th className="py-1 pr-2">Trades</th>
+                <th className="py-1 pr-2">Total R</th>
+                <th className="py-1 pr-2">Avg R</th>
+                <th className="py-1 pr-2">Win Rate</th>
+                <th className="py-1 pr-2">Max DD (R)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((result) => (
+                <tr key={result.strategy.name} className={`border-t border-slate-700/50 ${result.totalR === best ? "text-emerald-300" : "text-slate-300"}`}>
+                  <td className="py-1 pr-2 font-semibold">{result.strategy.name}</td>
+                  <td className="py-1 pr-2">{result.filledCount}</td>
+                  <td className="py-1 pr-2">{result.totalR.toFixed(2)}R</td>
+                  <td className="py-1 pr-2">{result.avgR.toFixed(2)}R</td>
+                  <td className="py-1 pr-2">{result.winRate.toFixed(1)}%</td>
+                  <td className="py-1 pr-2">{result.maxDrawdown.toFixed(2)}R</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BacktestPanel;
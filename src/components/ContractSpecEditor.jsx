@@ -0,0 +1,133 @@
+import React, { useState } from "react";
+import { formatTiers, getDefaultContractSpecs, parseTiers } from "../data/contractSpecs";
+
+const NUMERIC_FIELDS = [
+  { key: "tickSize", label: "Tick Size" },
+  { key: "quantityStep", label: "Qty Step" },
+  { key: "minOrderSize", label: "Min Qty" },
+  { key: "minNotional", label: "Min Notional ($)" },
+  { key: "maxLeverage", label: "Max Lev (x)" },
+];
+
+const SpecRow = ({ spec, onUpdate, onDelete }) => {
+  const [tiersText, setTiersText] = useState(formatTiers(spec.leverageTiers));
+  const [tiersError, setTiersError] = useState(false);
+
+  const commitTiers = () => {
+    const tiers = parseTiers(tiersText);
+    setTiersError(!tiers);
+    if (tiers) onUpdate({ ...spec, leverageTiers: tiers });
+  };
+
+  return (
+    <div className="p-3 bg-slate-900/40 border border-slate-700/50 rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-white font-bold text-sm">{spec.symbol}</span>
+        <button
+          onClick={onDelete}
+          className="px-2 py-1 rounded text-xs font-semibold bg-rose-500/10 text-rose-300 border border-rose-500/20"
+        >
+          Delete
+        </button>
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+        {NUMERIC_FIELDS.map((field) => (
+          <label key={field.key} className="text-xs text-slate-400">
+            {field.label}
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={spec[field.key]}
+              onChange={(e) => onUpdate({ ...spec, [field.key]: parseFloat(e.target.value) || 0 })}
+              className="mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm"
+            />
+          </label>
+        ))}
+      </div>
+      <label className="block mt-2 text-xs text-slate-400">
+        Leverage Tiers (maxNotional:maxLeverage:MMR%, one per line, last line "max")
+        <textarea
+          rows={3}
+          value={tiersText}
+          onChange={(e) => setTiersText(e.target.value)}
+          onBlur={commitTiers}
+          className={`mt-1 w-full px-2 py-1.5 bg-slate-800/60 border rounded text-white text-xs font-mono ${
+            tiersError ? "border-rose-500/60" : "border-slate-600/40"
+          }`}
+        />
+      </label>
+      {tiersError && <div className="text-xs text-rose-400 mt-1">Invalid tiers - previous tiers kept</div>}
+    </div>
+  );
+};
+
+const ContractSpecEditor = ({ specs, onChange, exchangeId }) => {
+  const [newSymbol, setNewSymbol] = useState("");
+
+  const updateSpec = (index, updated) => {
+    onChange(specs.map((spec, i) => (i === index ? updated : spec)));
+  };
+
+  const addSpec = () => {
+    const symbol = newSymbol.trim().toUpperCase();
+    if (!symbol || specs.some((spec) => spec.symbol === symbol)) return;
+
+    // New pairs start from the generic tiers and conservative limits
+    onChange([
+      ...specs,
+      {
+        symbol,
+        tickSize: 0.01,
+        quantityStep: 0.01,
+        minOrderSize: 0.01,
+        minNotional: 5,
+        maxLeverage: 50,
+        leverageTiers: getDefaultContractSpecs(exchangeId)[0].leverageTiers,
+      },
+    ]);
+    setNewSymbol("");
+  };
+
+  return (
+    <div className="mb-3 sm:mb-4 p-3 sm:p-4 bg-purple-500/5 border border-purple-500/20 rounded-xl space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-purple-300 font-semibold text-sm">Contract Specs</div>
+        <button
+          onClick={() => onChange(getDefaultContractSpecs(exchangeId))}
+          className="px-2 py-1 rounded text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30"
+        >
+          Reset to Defaults
+        </button>
+      </div>
+
+      {/* Tiers in the key remount a row when they change outside it, e.g. Reset to Defaults */}
+      {specs.map((spec, index) => (
+        <SpecRow
+          key={`${spec.symbol}:${formatTiers(spec.leverageTiers)}`}
+          spec={spec}
+          onUpdate={(updated) => updateSpec(index, updated)}
+          onDelete={() => onChange(specs.filter((_, i) => i !== index))}
+        />
+      ))}
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newSymbol}
+          onChange={(e) => setNewSymbol(e.target.value)}
+          placeholder="e.g. AVAXUSDT"
+          className="flex-1 px-3 py-2 bg-slate-800/60 border border-slate-600/40 rounded-lg text-white text-sm"
+        />
+        <button
+          onClick={addSpec}
+          className="px-3 py-2 rounded-lg text-xs font-semibold bg-emerald-500/20 text-emerald-300 border border-emerald-500/30"
+        >
+          Add Symbol
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ContractSpecEditor;
@@ -0,0 +1,170 @@
+import React, { useState } from "react";
+import { DEFAULT_CORRELATIONS } from "../data/correlations";
+import { parseCsv } from "../utils/csv";
+import { computeCorrelationMatrix, isValidCorrelationMatrix } from "../utils/correlation";
+
+const getCellColor = (value) => {
+  if (value >= 0.7) return "text-rose-300";
+  if (value >= 0.4) return "text-amber-300";
+  if (value <= -0.4) return "text-emerald-300";
+  return "text-slate-400";
+};
+
+const CorrelationPanel = ({
+  correlations,
+  onCorrelationsChange,
+  assessment,
+  capital,
+  maxCorrelatedRisk,
+  onMaxCorrelatedRiskChange,
+  threshold,
+  onThresholdChange,
+}) => {
+  const [importMessage, setImportMessage] = useState("");
+
+  // Accepts a JSON matrix ({ symbols, matrix }) or a CSV of closes (date,BTCUSDT,ETHUSDT,...)
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = "";
+
+    let text;
+    try {
+      text = await file.text();
+    } catch (err) {
+      setImportMessage(`Could not read ${file.name}: ${err.message}`);
+      return;
+    }
+
+    let imported = null;
+    if (file.name.endsWith(".json")) {
+      try {
+        const data = JSON.parse(text);
+        imported = isValidCorrelationMatrix(data) ? data : null;
+      } catch {
+        imported = null;
+      }
+    } else {
+      imported = computeCorrelationMatrix(parseCsv(text));
+    }
+
+    if (imported) {
+      onCorrelationsChange(imported);
+      setImportMessage(`Loaded correlations for ${imported.symbols.length} symbols from ${file.name}`);
+    } else {
+      setImportMessage(`Could not read a correlation matrix or price history from ${file.name}`);
+    }
+  };
+
+  const limitAmount = (capital * (parseFloat(maxCorrelatedRisk) || 0)) / 100;
+
+  return (
+    <div className="position-card">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+        <h4 className="text-amber-300 font-semibold flex items-center gap-2 text-sm sm:text-base">
+          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+          </svg>
+          Correlated Exposure
+        </h4>
+        <div className="flex gap-2">
+          <label className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-amber-500/20 text-amber-300 border border-amber-500/30 cursor-pointer">
+            Import Matrix / Prices
+            <input type="file" accept=".json,.csv" onChange={handleFile} className="hidden" />
+          </label>
+          <button
+            onClick={() => onCorrelationsChange(DEFAULT_CORRELATIONS)}
+            className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30"
+          >
+            Defaults
+          </button>
+        </div>
+      </div>
+
+      {importMessage && <div className="text-xs text-slate-400 mb-3">{importMessage}</div>}
+
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <label className="text-xs text-slate-400">
+          Max Correlated Risk (% of capital)
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            value={maxCorrelatedRisk}
+            onChange={(e) => onMaxCorrelatedRiskChange(e.target.value)}
+            className="mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm"
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          Same-Bet Correlation Threshold
+          <input
+            type="number"
+            step="0.05"
+            min="0"
+            max="1"
+            value={threshold}
+            onChange={(e) => onThresholdChange(e.target.value)}
+            className="mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm"
+          />
+        </label>
+      </div>
+
+      {assessment && (
+        <div className="space-y-2 mb-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div className="leverage-stat">
+              <div className="text-slate-400 text-xs mb-1">Correlated Risk (all stops hit)</div>
+              <div className={`text-lg font-bold ${assessment.correlatedRisk > limitAmount && limitAmount > 0 ? "text-rose-400" : "text-white"}`}>
+                ${assessment.correlatedRisk.toFixed(2)}
+              </div>
+              <div className="text-xs text-slate-500 mt-1">
+                New trade + {assessment.linkedPositions.length} linked position{assessment.linkedPositions.length === 1 ? "" : "s"}
+                {limitAmount > 0 && ` • limit $${limitAmount.toFixed(2)}`}
+              </div>
+            </div>
+            <div className="leverage-stat">
+              <div className="text-slate-400 text-xs mb-1">Effective Portfolio Risk</div>
+              <div className="text-white text-lg font-bold">${assessment.effectiveRisk.toFixed(2)}</div>
+              <div className="text-xs text-slate-500 mt-1">Correlation-weighted, including the new trade</div>
+            </div>
+          </div>
+          {assessment.linkedPositions.map((position) => (
+            <div key={position.id} className="text-xs text-slate-400">
+              {position.side.toUpperCase()} {position.symbol} moves with this trade (ρ {position.correlation.toFixed(2)}) • risk ${position.risk.toFixed(2)}
+            </div>
+          ))}
+          {assessment.missingSymbols.length > 0 && (
+            <div className="text-xs text-amber-400">
+              No correlation data for {assessment.missingSymbols.join(", ")} - treated as uncorrelated
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="text-xs w-full">
+          <thead>
+            <tr>
+              <th></th>
+              {correlations.symbols.map((symbol) => (
+                <th key={symbol} className="px-1 py-1 text-slate-400 font-semibold">{symbol.replace(/USDT$/, "")}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {correlations.symbols.map((symbol, rowIndex) => (
+              <tr key={symbol}>
+                <td className="px-1 py-1 text-slate-400 font-semibold">{symbol.replace(/USDT$/, "")}</td>
+                {correlations.matrix[rowIndex].map((value, colIndex) => (
+                  <td key={colIndex} className={`px-1 py-1 text-center ${getCellColor(value)}`}>{value.toFixed(2)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CorrelationPanel;
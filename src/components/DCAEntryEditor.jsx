@@ -0,0 +1,105 @@
+import React from "react";
+
+// Scaled entry rows for spot plans. `plan` is getAverageEntry() of the valid rows, or null.
+const DCAEntryEditor = ({ entries, onChange, plan, stop, target, priceDecimals }) => {
+  const smallInputClass = "w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm";
+  const totalWeight = entries.reduce((sum, entry) => sum + (parseFloat(entry.weight) || 0), 0);
+
+  const updateEntry = (id, field, value) => {
+    onChange(entries.map((entry) => (entry.id === id ? { ...entry, [field]: value } : entry)));
+  };
+
+  const removeEntry = (id) => {
+    onChange(entries.filter((entry) => entry.id !== id));
+  };
+
+  const addEntry = () => {
+    const nextId = Math.max(0, ...entries.map((entry) => entry.id)) + 1;
+    onChange([...entries, { id: nextId, price: "", weight: "0" }]);
+  };
+
+  // Blended figures from the average entry
+  const averageEntry = plan?.averageEntry;
+  const stopDistance = averageEntry && stop > 0 ? averageEntry - stop : null;
+  const ratio = stopDistance > 0 && target > averageEntry ? (target - averageEntry) / stopDistance : null;
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        {entries.map((entry, index) => {
+          const fill = plan?.fills.find((item) => item.id === entry.id);
+          return (
+            <div key={entry.id} className="grid grid-cols-2 sm:grid-cols-4 gap-2 items-end p-2 bg-slate-800/30 border border-slate-700/40 rounded-lg">
+              <label className="text-xs text-slate-400">
+                Entry {index + 1} Price ($)
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={entry.price}
+                  onChange={(e) => updateEntry(entry.id, "price", e.target.value)}
+                  className={`mt-1 ${smallInputClass}`}
+                />
+              </label>
+              <label className="text-xs text-slate-400">
+                Spend Weight
+                <input
+                  type="number"
+                  step="5"
+                  min="0"
+                  value={entry.weight}
+                  onChange={(e) => updateEntry(entry.id, "weight", e.target.value)}
+                  className={`mt-1 ${smallInputClass}`}
+                />
+              </label>
+              <div className="text-xs text-slate-400">
+                Share
+                <div className="mt-1 px-2 py-1.5 text-slate-300 text-sm">
+                  {fill ? `${(fill.share * 100).toFixed(1)}% of spend • ${(fill.coinShare * 100).toFixed(1)}% of coins` : "-"}
+                </div>
+              </div>
+              <button
+                onClick={() => removeEntry(entry.id)}
+                disabled={entries.length === 1}
+                className="px-2 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30 disabled:opacity-40"
+              >
+                Remove
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button
+          onClick={addEntry}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-indigo-500/20 text-indigo-300 border border-indigo-500/30"
+        >
+          + Add Entry
+        </button>
+        <span className="text-xs text-slate-400">Weights total {totalWeight.toFixed(0)} - split proportionally</span>
+      </div>
+
+      {averageEntry && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 text-sm">
+          <div className="p-2 bg-slate-800/30 border border-slate-700/40 rounded-lg">
+            <div className="text-xs text-slate-400">Average Entry</div>
+            <div className="text-white font-bold">${averageEntry.toFixed(priceDecimals)}</div>
+          </div>
+          <div className="p-2 bg-slate-800/30 border border-slate-700/40 rounded-lg">
+            <div className="text-xs text-slate-400">Blended Stop Distance</div>
+            <div className="text-rose-400 font-bold">
+              {stopDistance > 0 ? `$${stopDistance.toFixed(priceDecimals)} (${((stopDistance / averageEntry) * 100).toFixed(2)}%)` : "-"}
+            </div>
+          </div>
+          <div className="p-2 bg-slate-800/30 border border-slate-700/40 rounded-lg">
+            <div className="text-xs text-slate-400">R:R from Average</div>
+            <div className="text-purple-400 font-bold">{ratio ? `1:${ratio.toFixed(2)}` : "-"}</div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DCAEntryEditor;
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useRef } from "react";
+import { PERCENTILES } from "../utils/monteCarlo";
+
+const CURVE_COLORS = {
+  5: "rgb(244, 63, 94)",
+  25: "rgb(251, 191, 36)",
+  50: "rgb(129, 140, 248)",
+  75: "rgb(20, 184, 166)",
+  95: "rgb(16, 185, 129)",
+};
+
+const PercentileChart = ({ curves }) => {
+  const all = PERCENTILES.flatMap((p) => curves[p]);
+  const min = Math.min(...all);
+  const max = Math.max(...all);
+  const range = max - min || 1;
+  const steps = curves[50].length - 1 || 1;
+
+  const toPoints = (values) =>
+    values.map((value, index) => `${(index / steps) * 300},${100 - ((value - min) / range) * 100}`).join(" ");
+
+  return (
+    <div>
+      <svg viewBox="0 0 300 100" preserveAspectRatio="none" className="w-full h-40">
+        {PERCENTILES.map((p) => (
+          <polyline
+            key={p}
+            points={toPoints(curves[p])}
+            fill="none"
+            stroke={CURVE_COLORS[p]}
+            strokeWidth={p === 50 ? 2.5 : 1.5}
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-3 text-xs mt-1">
+        {PERCENTILES.map((p) => (
+          <span key={p} style={{ color: CURVE_COLORS[p] }}>
+            P{p}: ${curves[p][curves[p].length - 1].toFixed(0)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const MonteCarloSimulator = ({ rewardRatio, ratioSource, riskPercent, startingCapital }) => {
+  const [winRate, setWinRate] = useState("50");
+  const [tradeCount, setTradeCount] = useState("100");
+  const [pathCount, setPathCount] = useState("5000");
+  const [ruinLevel, setRuinLevel] = useState("10");
+  const [isRunning, setIsRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  useEffect(() => {
+    return () => workerRef.current?.terminate();
+  }, []);
+
+  const runSimulation = () => {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL("../workers/monteCarlo.worker.js", import.meta.url), { type: "module" });
+    }
+
+    // Only the latest run's answer is shown if the user clicks again mid-run
+    const id = ++runIdRef.current;
+    workerRef.current.onmessage = (event) => {
+      if (event.data.id !== runIdRef.current) return;
+      setIsRunning(false);
+      if (event.data.error) {
+        setError(event.data.error);
+      } else {
+        setError("");
+        setResult(event.data.result);
+      }
+    };
+    // A worker that fails to load or crashes never answers; drop it so the next run starts a fresh one
+    const handleFailure = (message) => {
+      workerRef.current?.terminate();
+      workerRef.current = null;
+      setIsRunning(false);
+      setError(message);
+    };
+    workerRef.current.onerror = (event) => handleFailure(`Simulation failed: ${event.message || "the worker stopped"}`);
+    workerRef.current.onmessageerror = () => handleFailure("Simulation failed: the result could not be read");
+
+    setIsRunning(true);
+    workerRef.current.postMessage({
+      id,
+      params: {
+        winRate: parseFloat(winRate) || 0,
+        rewardRatio,
+        riskPercent,
+        tradeCount: Math.max(1, Math.min(1000, parseInt(tradeCount, 10) || 100)),
+        pathCount: Math.max(100, Math.min(20000, parseInt(pathCount, 10) || 5000)),
+        startingCapital: startingCapital || 10000,
+        ruinLevel: parseFloat(ruinLevel) || 10,
+      },
+    });
+  };
+
+  const breakEvenWinRate = rewardRatio ? 100 / (1 + rewardRatio) : null;
+  const inputClass = "mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm";
+
+  return (
+    <div className="position-card">
+      <h4 className="text-indigo-300 font-semibold mb-4 flex items-center gap-2 text-sm sm:text-base">
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
+        </svg>
+        Monte Carlo Account Growth
+      </h4>
+
+      {!rewardRatio ? (
+        <div className="text-slate-500 text-sm text-center py-4">Enter a valid trade setup to simulate account growth</div>
+      ) : (
+        <>
+          <div className="text-xs text-slate-400 mb-3">
+            R:R 1:{rewardRatio.toFixed(2)} ({ratioSource}) • Risk {riskPercent}% per trade
+            {breakEvenWinRate !== null && ` • Break-even win rate ${breakEvenWinRate.toFixed(1)}%`}
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4">
+            <label className="text-xs text-slate-400">
+              Win Rate (%)
+              <input type="number" step="1" min="0" max="100" value={winRate} onChange={(e) => setWinRate(e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-xs text-slate-400">
+              Trades
+              <input type="number" step="10" min="1" max="1000" value={tradeCount} onChange={(e) => setTradeCount(e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-xs text-slate-400">
+              Paths
+              <input type="number" step="1000" min="100" max="20000" value={pathCount} onChange={(e) => setPathCount(e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-xs text-slate-400">
+              Ruin at (% of start)
+              <input type="number" step="5" min="1" max="99" value={ruinLevel} onChange={(e) => setRuinLevel(e.target.value)} className={inputClass} />
+            </label>
+          </div>
+
+          <button
+            onClick={runSimulation}
+            disabled={isRunning}
+            className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-indigo-500/20 text-indigo-300 border border-indigo-500/30 disabled:opacity-40"
+          >
+            {isRunning ? "Simulating..." : "Run Simulation"}
+          </button>
+
+          {error && <div className="text-rose-400 text-xs mt-3">{error}</div>}
+
+          {result && (
+            <div className="mt-4 space-y-4">
+              <PercentileChart curves={result.curves} />
+
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                {result.drawdownProbabilities.map((item) => (
+                  <div key={item.level} className="leverage-stat">
+                    <div className="text-slate-400 text-xs mb-1">{item.level}% Drawdown</div>
+                    <div className={`text-lg font-bold ${item.probability > 10 ? "text-rose-400" : "text-white"}`}>
+                      {item.probability.toFixed(1)}%
+                    </div>
+                    <div className="text-xs text-slate-500 mt-1">Chance of hitting</div>
+                  </div>
+                ))}
+                <div className="leverage-stat">
+                  <div className="text-slate-400 text-xs mb-1">Risk of Ruin</div>
+                  <div className={`text-lg font-bold ${result.riskOfRuin > 0 ? "text-rose-400" : "text-emerald-400"}`}>
+                    {result.riskOfRuin.toFixed(2)}%
+                  </div>
+                  <div className="text-xs text-slate-500 mt-1">Equity falls to {result.ruinLevel}% of start</div>
+                </div>
+                <div className="leverage-stat">
+                  <div className="text-slate-400 text-xs mb-1">Worst Losing Streak</div>
+                  <div className="text-white text-lg font-bold">{result.worstLosingStreak}</div>
+                  <div className="text-xs text-slate-500 mt-1">Median {result.medianLosingStreak} per path</div>
+                </div>
+                <div className="leverage-stat">
+                  <div className="text-slate-400 text-xs mb-1">Median Final Equity</div>
+                  <div className="text-white text-lg font-bold">${result.medianFinalEquity.toFixed(0)}</div>
+                  <div className="text-xs text-slate-500 mt-1">{result.profitableProbability.toFixed(1)}% of paths profitable</div>
+                </div>
+                <div className="leverage-stat">
+                  <div className="text-slate-400 text-xs mb-1">Median Max Drawdown</div>
+                  <div className="text-white text-lg font-bold">{result.medianMaxDrawdown.toFixed(1)}%</div>
+                  <div className="text-xs text-slate-500 mt-1">Peak to trough</div>
+                </div>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloSimulator;
@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+
+const OrderExportPanel = ({ requests, errors, exchangeName }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [copyStatus, setCopyStatus] = useState("");
+
+  const json = JSON.stringify(requests, null, 2);
+
+  const handleCopy = () => {
+    navigator.clipboard
+      .writeText(json)
+      .then(() => setCopyStatus("Copied"))
+      .catch(() => setCopyStatus("Copy failed - select the text and copy it manually"));
+  };
+
+  return (
+    <div className="position-card">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <h4 className="text-sky-300 font-semibold flex items-center gap-2 text-sm sm:text-base">
+          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" />
+          </svg>
+          {exchangeName} Order Ticket
+        </h4>
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-sky-500/20 text-sky-300 border border-sky-500/30"
+        >
+          {isOpen ? "Hide" : "Export Order"}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 space-y-3">
+          {errors.length > 0 ? (
+            <div className="error-message">
+              <div className="text-rose-300 text-xs space-y-1">
+                {errors.map((error) => (
+                  <p key={error}>{error}</p>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <div className="text-xs text-emerald-400">
+              Schema check passed for {requests.length} requests
+            </div>
+          )}
+
+          <ol className="text-xs text-slate-400 list-decimal list-inside space-y-1">
+            {requests.map((request, index) => (
+              <li key={index}>
+                <span className="text-slate-300 font-semibold">{request.label}</span> • {request.method} {request.path}
+              </li>
+            ))}
+          </ol>
+
+          <pre className="max-h-80 overflow-auto p-3 bg-slate-900/70 border border-slate-700/50 rounded-lg text-xs text-slate-200 font-mono">
+            {json}
+          </pre>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={handleCopy}
+              className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-sky-500/20 text-sky-300 border border-sky-500/30"
+            >
+              Copy to Clipboard
+            </button>
+            {copyStatus && <span className="text-xs text-slate-400">{copyStatus}</span>}
+          </div>
+
+          <div className="text-xs text-slate-500">
+            Send the requests in order. Reduce-only take profits are rejected until the entry has filled.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderExportPanel;
@@ -0,0 +1,212 @@
+import React, { useState } from "react";
+import { saveTrade } from "../data/journalDb";
+import { parseCsv } from "../utils/csv";
+import { calculatePerformance, getClosedTrades, groupPerformance } from "../utils/performance";
+
+const CSV_TEMPLATE = "symbol,side,entry,exit,size,planned_rr,stop,closed_at";
+
+// Converts an imported CSV row into a closed journal record
+const rowToTrade = (row) => {
+  const entry = parseFloat(row.entry);
+  const exit = parseFloat(row.exit);
+  const size = parseFloat(row.size);
+  const side = row.side?.trim().toLowerCase();
+  const plannedRatio = parseFloat(row.planned_rr ?? row.rr);
+  const stopLoss = parseFloat(row.stop);
+
+  // An unreadable date or side makes the row invalid rather than throwing out of the import
+  // or guessing the direction
+  const closedDate = row.closed_at ? new Date(row.closed_at) : new Date();
+
+  if (!row.symbol || !entry || !exit || !size || isNaN(closedDate.getTime())) return null;
+  if (side !== "long" && side !== "short") return null;
+
+  const direction = side === "long" ? 1 : -1;
+  const closedAt = closedDate.toISOString();
+
+  return {
+    createdAt: closedAt,
+    status: "closed",
+    source: "import",
+    plan: {
+      symbol: row.symbol.toUpperCase(),
+      side,
+      entry,
+      stopLoss: isNaN(stopLoss) ? null : stopLoss,
+      takeProfit: null,
+      partialTP: { enabled: false },
+      leverage: null,
+      size,
+    },
+    results: { ratio: isNaN(plannedRatio) ? null : plannedRatio },
+    execution: {
+      entryFill: entry,
+      exitFill: exit,
+      exitReason: "Imported",
+      realizedPnl: (exit - entry) * size * direction,
+      closedAt,
+      notes: "",
+    },
+  };
+};
+
+const formatR = (value) => (value === null ? "-" : `${value >= 0 ? "+" : ""}${value.toFixed(2)}R`);
+
+const EquityCurve = ({ points }) => {
+  if (points.length < 2) return null;
+
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const range = max - min || 1;
+  const path = points
+    .map((value, index) => `${(index / (points.length - 1)) * 300},${100 - ((value - min) / range) * 100}`)
+    .join(" ");
+
+  return (
+    <svg viewBox="0 0 300 100" preserveAspectRatio="none" className="w-full h-28">
+      <polyline points={path} fill="none" stroke="rgb(129, 140, 248)" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+const BreakdownTable = ({ title, rows }) => (
+  <div>
+    <div className="text-slate-400 text-xs font-semibold uppercase tracking-wide mb-2">{title}</div>
+    <div className="space-y-1">
+      {rows.map((row) => (
+        <div key={row.key} className="grid grid-cols-5 gap-2 text-xs">
+          <span className="text-white font-semibold truncate">{row.key}</span>
+          <span className="text-slate-400">{row.count} trades</span>
+          <span className="text-slate-300">{row.winRate.toFixed(0)}% win</span>
+          <span className={row.avgR >= 0 ? "text-emerald-400" : "text-rose-400"}>{formatR(row.avgR)}</span>
+          <span className={row.netPnl >= 0 ? "text-emerald-400" : "text-rose-400"}>${row.netPnl.toFixed(2)}</span>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+const PerformanceDashboard = ({ trades, startingCapital, getRatioLabel, onChange }) => {
+  const [csvText, setCsvText] = useState("");
+  const [importMessage, setImportMessage] = useState("");
+
+  const closedTrades = getClosedTrades(trades);
+  const stats = calculatePerformance(closedTrades, startingCapital || 0);
+
+  const handleImport = async () => {
+    const records = parseCsv(csvText).map(rowToTrade);
+    const valid = records.filter(Boolean);
+    let saved = 0;
+    try {
+      for (const record of valid) {
+        await saveTrade(record);
+        saved++;
+      }
+    } catch (error) {
+      setImportMessage(`Import stopped after ${saved} of ${valid.length} trades: ${error.message}`);
+      if (saved > 0) onChange();
+      return;
+    }
+    setImportMessage(`Imported ${valid.length} trades${records.length > valid.length ? `, skipped ${records.length - valid.length} invalid rows` : ""}`);
+    setCsvText("");
+    onChange();
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (file) file.text().then(setCsvText);
+  };
+
+  const bySide = groupPerformance(closedTrades, (trade) => trade.side.toUpperCase());
+  const bySymbol = groupPerformance(closedTrades, (trade) => trade.symbol);
+  const byBucket = groupPerformance(closedTrades, (trade) =>
+    trade.plannedRatio ? getRatioLabel(trade.plannedRatio) : "Unknown"
+  );
+
+  const statTiles = [
+    { label: "Win Rate", value: `${stats.winRate.toFixed(1)}%`, sub: `${stats.wins}W / ${stats.losses}L` },
+    { label: "Average R", value: formatR(stats.avgR), sub: "Per closed trade" },
+    { label: "Expectancy", value: `$${stats.expectancy.toFixed(2)}`, sub: "Per trade" },
+    {
+      label: "Profit Factor",
+      value: stats.profitFactor === Infinity ? "∞" : stats.profitFactor.toFixed(2),
+      sub: `Net $${stats.netPnl.toFixed(2)}`,
+    },
+    { label: "Max Drawdown", value: `$${stats.maxDrawdown.toFixed(2)}`, sub: `${stats.maxDrawdownPercent.toFixed(1)}% from peak` },
+    { label: "Losing Streak", value: stats.longestLosingStreak, sub: "Longest in a row" },
+  ];
+
+  return (
+    <div className="position-card">
+      <h4 className="text-purple-300 font-semibold mb-4 flex items-center gap-2 text-sm sm:text-base">
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 8v8m-4-5v5m-4-2v2m-2 4h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+        </svg>
+        Performance Analytics
+      </h4>
+
+      {stats.count === 0 ? (
+        <div className="text-slate-500 text-sm text-center py-6">
+          Close trades in the journal or import a CSV to see performance
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+            {statTiles.map((tile) => (
+              <div key={tile.label} className="leverage-stat">
+                <div className="text-slate-400 text-xs mb-1">{tile.label}</div>
+                <div className="text-white text-lg font-bold">{tile.value}</div>
+                <div className="text-xs text-slate-500 mt-1">{tile.sub}</div>
+              </div>
+            ))}
+          </div>
+
+          {stats.plannedWinRateNeeded !== null && (
+            <div className={stats.beatsPlannedThreshold ? "p-3 bg-emerald-500/10 border border-emerald-500/20 rounded-lg" : "warning-message"}>
+              <p className={`text-sm ${stats.beatsPlannedThreshold ? "text-emerald-300" : "text-amber-300"}`}>
+                Realized win rate {stats.winRate.toFixed(1)}% vs {stats.plannedWinRateNeeded.toFixed(1)}% needed for the planned R:R
+                {stats.realizedRatio !== null && ` • Realized R:R 1:${stats.realizedRatio.toFixed(2)} needs ${stats.realizedWinRateNeeded.toFixed(1)}%`}
+                {stats.beatsPlannedThreshold ? " - edge confirmed" : " - below the calculator's threshold"}
+              </p>
+            </div>
+          )}
+
+          <div>
+            <div className="text-slate-400 text-xs font-semibold uppercase tracking-wide mb-2">Equity Curve</div>
+            <EquityCurve points={stats.equityCurve} />
+          </div>
+
+          <BreakdownTable title="By Side" rows={bySide} />
+          <BreakdownTable title="By Symbol" rows={bySymbol} />
+          <BreakdownTable title="By Planned R:R" rows={byBucket} />
+        </div>
+      )}
+
+      <div className="mt-4 pt-4 border-t border-slate-700">
+        <div className="text-slate-400 text-xs mb-2">
+          Import closed trades as CSV: <span className="font-mono text-slate-300">{CSV_TEMPLATE}</span>
+        </div>
+        <textarea
+          rows={3}
+          value={csvText}
+          onChange={(e) => setCsvText(e.target.value)}
+          placeholder={`${CSV_TEMPLATE}\nBTCUSDT,long,65000,67000,0.05,2.5,64000,2025-01-15`}
+          className="w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-xs font-mono"
+        />
+        <div className="flex flex-wrap items-center gap-2 mt-2">
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="text-xs text-slate-400" />
+          <button
+            onClick={handleImport}
+            disabled={!csvText.trim()}
+            className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-purple-500/20 text-purple-300 border border-purple-500/30 disabled:opacity-40"
+          >
+            Import Trades
+          </button>
+          {importMessage && <span className="text-xs text-slate-400">{importMessage}</span>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PerformanceDashboard;
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import { downloadFile } from "../utils/download";
+import { PLAN_VERSION, planFromFile, planToFile } from "../utils/planShare";
+
+// Note shown after loading a plan; redacted plans leave the reader's own capital in place
+const describeLoadedPlan = (plan, source) =>
+  `Loaded plan from ${source}${plan.capital === undefined ? " - capital not included, using your own" : ""}`;
+
+/**
+ * Share link, plan file export and import. `search` is the plan's query string (already
+ * redacted when `redactCapital` is on); `linkedPlan` is what the page was opened with.
+ */
+const PlanSharePanel = ({ plan, search, redactCapital, onRedactCapitalChange, onImport, linkedPlan }) => {
+  const [status, setStatus] = useState(() => {
+    if (linkedPlan.error) return { error: true, text: linkedPlan.error };
+    if (Object.keys(linkedPlan.plan).length > 0) return { error: false, text: describeLoadedPlan(linkedPlan.plan, "link") };
+    return null;
+  });
+
+  const handleCopyLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}${search}`;
+    navigator.clipboard
+      .writeText(url)
+      .then(() => setStatus({ error: false, text: "Link copied" }))
+      .catch(() => setStatus({ error: true, text: "Copy failed - copy the address bar instead" }));
+  };
+
+  const handleExport = () => {
+    const name = (plan.symbol || "custom").toLowerCase();
+    downloadFile(planToFile(plan, { redactCapital }), `plan-${name}-${plan.side}.json`, "application/json");
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const imported = planFromFile(text);
+        onImport(imported);
+        setStatus({ error: false, text: describeLoadedPlan(imported, file.name) });
+      } catch (error) {
+        setStatus({ error: true, text: error.message });
+      }
+    });
+  };
+
+  return (
+    <div className="position-card">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <h4 className="text-indigo-300 font-semibold flex items-center gap-2 text-sm sm:text-base">
+          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+          </svg>
+          Share Plan
+        </h4>
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={handleCopyLink}
+            className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-indigo-500/20 text-indigo-300 border border-indigo-500/30"
+          >
+            Copy Link
+          </button>
+          <button
+            onClick={handleExport}
+            className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30"
+          >
+            Export JSON
+          </button>
+          <label className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30 cursor-pointer">
+            Import JSON
+            <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 mt-3 text-xs text-slate-400">
+        <input type="checkbox" checked={redactCapital} onChange={(e) => onRedactCapitalChange(e.target.checked)} />
+        Leave total capital out of links and exported files
+      </label>
+
+      {status && <div className={`mt-2 text-xs ${status.error ? "text-rose-400" : "text-slate-400"}`}>{status.text}</div>}
+
+      <div className="mt-2 text-xs text-slate-500">
+        Links and files carry every calculator input under plan schema v{PLAN_VERSION}; plans saved by older versions are upgraded when opened.
+      </div>
+    </div>
+  );
+};
+
+export default PlanSharePanel;
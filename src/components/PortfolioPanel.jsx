@@ -0,0 +1,118 @@
+import React from "react";
+
+const HeatBar = ({ label, amount, percent, capPercent, color }) => {
+  const fill = capPercent > 0 ? Math.min(100, (percent / capPercent) * 100) : Math.min(100, percent);
+  return (
+    <div>
+      <div className="flex justify-between text-xs mb-1">
+        <span className="text-slate-400">{label}</span>
+        <span className="text-white font-semibold">
+          ${amount.toFixed(2)} ({percent.toFixed(1)}%{capPercent > 0 ? ` of ${capPercent}% cap` : " of capital"})
+        </span>
+      </div>
+      <div className="h-2 bg-slate-800 rounded-full overflow-hidden">
+        <div className={`h-full ${color}`} style={{ width: `${fill}%` }}></div>
+      </div>
+    </div>
+  );
+};
+
+const PortfolioPanel = ({
+  positions,
+  summary,
+  capital,
+  maxOpenRisk,
+  onMaxOpenRiskChange,
+  maxPositionsPerSide,
+  onMaxPositionsPerSideChange,
+  includePlanned,
+  onIncludePlannedChange,
+}) => {
+  const riskCapPercent = parseFloat(maxOpenRisk) || 0;
+  const sideLimit = parseFloat(maxPositionsPerSide) || 0;
+  const heatColor = summary.riskPercent >= riskCapPercent * 0.8 && riskCapPercent > 0 ? "bg-rose-500" : "bg-emerald-500";
+
+  return (
+    <div className="position-card">
+      <h4 className="text-rose-300 font-semibold mb-4 flex items-center gap-2 text-sm sm:text-base">
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 18.657A8 8 0 016.343 7.343S7 9 9 10c0-2 .5-5 2.986-7C14 5 16.09 5.777 17.656 7.343A7.975 7.975 0 0120 13a7.975 7.975 0 01-2.343 5.657z" />
+        </svg>
+        Portfolio Heat
+      </h4>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+        <label className="text-xs text-slate-400">
+          Max Total Open Risk (%)
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            value={maxOpenRisk}
+            onChange={(e) => onMaxOpenRiskChange(e.target.value)}
+            className="mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm"
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          Max Positions per Direction
+          <input
+            type="number"
+            step="1"
+            min="0"
+            value={maxPositionsPerSide}
+            onChange={(e) => onMaxPositionsPerSideChange(e.target.value)}
+            className="mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-xs text-slate-400 sm:mt-5">
+          <input type="checkbox" checked={includePlanned} onChange={(e) => onIncludePlannedChange(e.target.checked)} />
+          Count planned (not yet filled) trades
+        </label>
+      </div>
+
+      {!capital ? (
+        <div className="text-slate-500 text-sm text-center py-4">Enter total capital to measure portfolio heat</div>
+      ) : (
+        <div className="space-y-3">
+          <HeatBar label="Capital at Risk" amount={summary.totalRisk} percent={summary.riskPercent} capPercent={riskCapPercent} color={heatColor} />
+          <HeatBar label="Margin Used" amount={summary.totalMargin} percent={summary.marginPercent} capPercent={0} color="bg-indigo-500" />
+          <HeatBar label="Notional Exposure" amount={summary.totalNotional} percent={summary.notionalPercent} capPercent={0} color="bg-purple-500" />
+
+          <div className="flex gap-4 text-xs">
+            <span className={sideLimit > 0 && summary.longCount >= sideLimit ? "text-rose-400" : "text-emerald-400"}>
+              Longs {summary.longCount}{sideLimit > 0 ? `/${sideLimit}` : ""}
+            </span>
+            <span className={sideLimit > 0 && summary.shortCount >= sideLimit ? "text-rose-400" : "text-rose-300"}>
+              Shorts {summary.shortCount}{sideLimit > 0 ? `/${sideLimit}` : ""}
+            </span>
+            {Number.isFinite(summary.remainingRisk) && (
+              <span className="text-slate-400">Risk budget left ${summary.remainingRisk.toFixed(2)}</span>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="mt-4 space-y-2">
+        {positions.length === 0 && (
+          <div className="text-slate-500 text-xs text-center py-2">
+            No open positions - mark journal trades as Open to track them here
+          </div>
+        )}
+        {positions.map((position) => (
+          <div key={position.id} className="grid grid-cols-5 gap-2 text-xs p-2 bg-slate-900/40 border border-slate-700/50 rounded-lg">
+            <span className="text-white font-semibold">{position.symbol}</span>
+            <span className={position.side === "long" ? "text-emerald-400" : "text-rose-400"}>
+              {position.side.toUpperCase()} {position.leverage}x
+              {position.status === "planned" && <span className="text-slate-500"> (plan)</span>}
+            </span>
+            <span className="text-rose-300">Risk ${position.risk.toFixed(2)}</span>
+            <span className="text-indigo-300">Margin ${position.margin.toFixed(2)}</span>
+            <span className="text-purple-300">${position.notional.toFixed(2)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PortfolioPanel;
@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+
+const KIND_STYLES = {
+  live: "text-emerald-200",
+  stale: "text-amber-200",
+  override: "text-sky-200",
+  fallback: "text-rose-200",
+  pegged: "text-white/70",
+};
+
+const formatAge = (timestamp) => {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+  return `${Math.floor(minutes / 1440)}d ago`;
+};
+
+const getStatusText = (rateInfo) => {
+  if (rateInfo.kind === "pegged") return "1:1 with USD - no conversion";
+  if (rateInfo.kind === "fallback") return "Offline - using built-in default rate";
+  if (rateInfo.kind === "override") return `Manual override set ${formatAge(rateInfo.timestamp)}`;
+  const prefix = rateInfo.kind === "stale" ? "Stale: " : "";
+  return `${prefix}${rateInfo.source} • ${formatAge(rateInfo.timestamp)}`;
+};
+
+const RateStatus = ({ rateInfo, rateLabel, isLoading, lastError, history, onRefresh, onOverride }) => {
+  const [showDetails, setShowDetails] = useState(false);
+  const [overrideInput, setOverrideInput] = useState("");
+
+  const providers = rateInfo.cached?.providers || [];
+  const recentHistory = history.slice(-8).reverse();
+
+  return (
+    <div className="text-left sm:text-right w-full sm:w-auto">
+      <div className="text-white/90 text-xs sm:text-sm font-medium">Exchange Rate</div>
+      <div className="text-lg sm:text-2xl font-bold text-white flex items-center sm:justify-end gap-2">
+        {rateLabel}
+        <button
+          onClick={onRefresh}
+          disabled={isLoading}
+          className="p-1.5 hover:bg-white/10 rounded-lg transition-colors touch-manipulation"
+          title="Refresh exchange rate"
+        >
+          <svg className={`w-4 h-4 text-white ${isLoading ? "animate-spin" : ""}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+          </svg>
+        </button>
+      </div>
+      <button onClick={() => setShowDetails(!showDetails)} className={`text-xs ${KIND_STYLES[rateInfo.kind]} hover:underline`}>
+        {getStatusText(rateInfo)}
+        {rateInfo.kind === "live" && rateInfo.cached && !rateInfo.cached.verified && " (unverified)"}
+      </button>
+      {lastError && <div className="text-xs text-rose-200">{lastError}</div>}
+
+      {showDetails && rateInfo.kind !== "pegged" && (
+        <div className="mt-2 p-3 bg-black/30 rounded-lg text-xs text-white/90 text-left space-y-2 sm:w-72">
+          {providers.length > 0 && (
+            <div>
+              <div className="font-semibold mb-1">Last fetch by provider</div>
+              {providers.map((provider) => (
+                <div key={provider.name} className="flex justify-between gap-2">
+                  <span>{provider.name}</span>
+                  <span className={provider.rate ? (provider.agrees ? "text-emerald-200" : "text-amber-200") : "text-rose-200"}>
+                    {provider.rate ? `${provider.rate.toFixed(4)}${provider.agrees ? "" : " (outlier)"}` : provider.error}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div>
+            <div className="font-semibold mb-1">Manual override</div>
+            <div className="flex gap-1">
+              <input
+                type="number"
+                step="0.0001"
+                min="0"
+                value={overrideInput}
+                onChange={(e) => setOverrideInput(e.target.value)}
+                placeholder={rateInfo.rate.toFixed(4)}
+                className="w-full px-2 py-1 bg-white/10 border border-white/20 rounded text-white"
+              />
+              <button
+                onClick={() => onOverride(parseFloat(overrideInput))}
+                disabled={!(parseFloat(overrideInput) > 0)}
+                className="px-2 py-1 rounded bg-white/20 font-semibold disabled:opacity-40"
+              >
+                Set
+              </button>
+              {rateInfo.kind === "override" && (
+                <button
+                  onClick={() => {
+                    setOverrideInput("");
+                    onOverride(null);
+                  }}
+                  className="px-2 py-1 rounded bg-white/10 font-semibold"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          </div>
+
+          {recentHistory.length > 0 && (
+            <div>
+              <div className="font-semibold mb-1">History</div>
+              {recentHistory.map((entry) => (
+                <div key={entry.fetchedAt} className="flex justify-between gap-2 text-white/70">
+                  <span>{new Date(entry.fetchedAt).toLocaleString()}</span>
+                  <span>{entry.rate.toFixed(4)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RateStatus;
@@ -0,0 +1,209 @@
+import React, { useState } from "react";
+import {
+  BUILT_IN_TP_PRESETS,
+  LEVEL_TYPES,
+  STOP_ACTIONS,
+  loadCustomTPPresets,
+  saveCustomTPPresets,
+} from "../data/tpPresets";
+
+// Types that take their price from the plan instead of a value input
+const VALUELESS_TYPES = ["target", "auto"];
+
+const VALUE_SUFFIX = { r: "R", price: "$", percent: "%" };
+
+const TPLadderEditor = ({ ladder, onChange }) => {
+  const [customPresets, setCustomPresets] = useState(loadCustomTPPresets);
+  const [selectedPreset, setSelectedPreset] = useState("");
+  const [presetName, setPresetName] = useState("");
+
+  const presets = [...BUILT_IN_TP_PRESETS, ...customPresets];
+  const totalPercent = ladder.reduce((sum, level) => sum + (parseFloat(level.closePercent) || 0), 0);
+
+  const updateLevel = (id, field, value) => {
+    onChange(ladder.map((level) => (level.id === id ? { ...level, [field]: value } : level)));
+  };
+
+  const removeLevel = (id) => {
+    onChange(ladder.filter((level) => level.id !== id));
+  };
+
+  const addLevel = () => {
+    const nextId = Math.max(0, ...ladder.map((level) => level.id)) + 1;
+    const newLevel = { id: nextId, type: "r", value: String(ladder.length + 1), closePercent: "0", stopAction: "none" };
+    // Keep the final target last when it is already in the ladder
+    const last = ladder[ladder.length - 1];
+    onChange(last?.type === "target" ? [...ladder.slice(0, -1), newLevel, last] : [...ladder, newLevel]);
+  };
+
+  const applyPreset = (name) => {
+    setSelectedPreset(name);
+    const preset = presets.find((item) => item.name === name);
+    if (preset) onChange(preset.levels.map((level) => ({ ...level })));
+  };
+
+  const updateCustomPresets = (next) => {
+    setCustomPresets(next);
+    saveCustomTPPresets(next);
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name || BUILT_IN_TP_PRESETS.some((preset) => preset.name === name)) return;
+    updateCustomPresets([...customPresets.filter((preset) => preset.name !== name), { name, levels: ladder }]);
+    setSelectedPreset(name);
+    setPresetName("");
+  };
+
+  const deletePreset = () => {
+    updateCustomPresets(customPresets.filter((preset) => preset.name !== selectedPreset));
+    setSelectedPreset("");
+  };
+
+  const isCustomSelected = customPresets.some((preset) => preset.name === selectedPreset);
+  const smallInputClass = "w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={selectedPreset}
+          onChange={(e) => applyPreset(e.target.value)}
+          className="px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-xs"
+        >
+          <option value="">Load preset...</option>
+          {presets.map((preset) => (
+            <option key={preset.name} value={preset.name}>
+              {preset.name}{preset.builtIn ? "" : " (custom)"}
+            </option>
+          ))}
+        </select>
+        {isCustomSelected && (
+          <button
+            onClick={deletePreset}
+            className="px-2 py-1.5 rounded-lg text-xs font-semibold bg-rose-500/20 text-rose-300 border border-rose-500/30"
+          >
+            Delete Preset
+          </button>
+        )}
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name"
+          className="px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-xs w-32"
+        />
+        <button
+          onClick={savePreset}
+          disabled={!presetName.trim()}
+          className="px-2 py-1.5 rounded-lg text-xs font-semibold bg-emerald-500/20 text-emerald-300 border border-emerald-500/30 disabled:opacity-40"
+        >
+          Save Preset
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {ladder.map((level, index) => (
+          <div key={level.id} className="grid grid-cols-2 sm:grid-cols-6 gap-2 items-end p-2 bg-slate-800/30 border border-slate-700/40 rounded-lg">
+            <label className="text-xs text-slate-400">
+              TP{index + 1} Placement
+              <select
+                value={level.type}
+                onChange={(e) => updateLevel(level.id, "type", e.target.value)}
+                className={`mt-1 ${smallInputClass}`}
+              >
+                {LEVEL_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">
+              Value {VALUE_SUFFIX[level.type] && `(${VALUE_SUFFIX[level.type]})`}
+              {VALUELESS_TYPES.includes(level.type) ? (
+                <div className="mt-1 px-2 py-1.5 text-slate-500 text-sm">From plan</div>
+              ) : (
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={level.value}
+                  onChange={(e) => updateLevel(level.id, "value", e.target.value)}
+                  className={`mt-1 ${smallInputClass}`}
+                />
+              )}
+            </label>
+            <label className="text-xs text-slate-400">
+              Close %
+              <input
+                type="number"
+                step="5"
+                min="0"
+                max="100"
+                value={level.closePercent}
+                onChange={(e) => updateLevel(level.id, "closePercent", e.target.value)}
+                className={`mt-1 ${smallInputClass}`}
+              />
+            </label>
+            <label className="text-xs text-slate-400">
+              Hit Chance %
+              <input
+                type="number"
+                step="5"
+                min="0"
+                max="100"
+                value={level.probability ?? ""}
+                onChange={(e) => updateLevel(level.id, "probability", e.target.value)}
+                placeholder="Auto"
+                className={`mt-1 ${smallInputClass}`}
+              />
+            </label>
+            <label className="text-xs text-slate-400">
+              After Fill
+              <select
+                value={level.stopAction}
+                onChange={(e) => updateLevel(level.id, "stopAction", e.target.value)}
+                className={`mt-1 ${smallInputClass}`}
+              >
+                {STOP_ACTIONS.map((action) => (
+                  <option key={action.value} value={action.value}>{action.label}</option>
+                ))}
+              </select>
+              {level.stopAction === "price" && (
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={level.stopPrice ?? ""}
+                  onChange={(e) => updateLevel(level.id, "stopPrice", e.target.value)}
+                  placeholder="Stop price"
+                  className={`mt-1 ${smallInputClass}`}
+                />
+              )}
+            </label>
+            <button
+              onClick={() => removeLevel(level.id)}
+              disabled={ladder.length === 1}
+              className="px-2 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30 disabled:opacity-40"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button
+          onClick={addLevel}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-emerald-500/20 text-emerald-300 border border-emerald-500/30"
+        >
+          + Add Level
+        </button>
+        <span className={`text-xs font-semibold ${Math.abs(totalPercent - 100) < 0.01 ? "text-emerald-400" : "text-rose-400"}`}>
+          Total closed: {totalPercent.toFixed(0)}%{Math.abs(totalPercent - 100) < 0.01 ? "" : " (must be 100%)"}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default TPLadderEditor;
@@ -0,0 +1,298 @@
+import React, { useState } from "react";
+import { deleteTrade, getTradeOutcome, saveTrade } from "../data/journalDb";
+
+const EXIT_REASONS = [
+  "Take Profit",
+  "Partial TP + Stop",
+  "Break-even Stop",
+  "Stop Loss",
+  "Manual Close",
+  "Liquidated",
+];
+
+const OUTCOME_STYLES = {
+  planned: "bg-slate-500/20 text-slate-300 border-slate-500/30",
+  open: "bg-indigo-500/20 text-indigo-300 border-indigo-500/30",
+  win: "bg-emerald-500/20 text-emerald-300 border-emerald-500/30",
+  loss: "bg-rose-500/20 text-rose-300 border-rose-500/30",
+  breakeven: "bg-amber-500/20 text-amber-300 border-amber-500/30",
+};
+
+const emptyExecution = {
+  entryFill: null,
+  exitFill: null,
+  exitReason: "",
+  realizedPnl: null,
+  closedAt: "",
+  notes: "",
+};
+
+// Older records stored a fixed three-level split as tp1Percent / tp2Percent
+const formatLadderSplits = (partialTP) => {
+  if (partialTP.levels) return partialTP.levels.map((level) => level.closePercent).join("/");
+  return `${partialTP.tp1Percent}/${partialTP.tp2Percent}/${100 - partialTP.tp1Percent - partialTP.tp2Percent}`;
+};
+
+const toFormValues = (execution) =>
+  Object.fromEntries(Object.entries(execution).map(([key, value]) => [key, value ?? ""]));
+
+const ExecutionForm = ({ trade, onSave, onCancel }) => {
+  const [status, setStatus] = useState(trade.status);
+  const [execution, setExecution] = useState(toFormValues(trade.execution));
+
+  const update = (key, value) => setExecution({ ...execution, [key]: value });
+
+  const handleSave = () => {
+    const entryFill = parseFloat(execution.entryFill);
+    const exitFill = parseFloat(execution.exitFill);
+    let realizedPnl = parseFloat(execution.realizedPnl);
+
+    // Fall back to gross P&L from the fills when no realized figure is entered
+    if (isNaN(realizedPnl) && entryFill && exitFill) {
+      const direction = trade.plan.side === "long" ? 1 : -1;
+      realizedPnl = (exitFill - entryFill) * trade.plan.size * direction;
+    }
+
+    onSave({
+      ...trade,
+      status,
+      execution: {
+        ...execution,
+        entryFill: isNaN(entryFill) ? null : entryFill,
+        exitFill: isNaN(exitFill) ? null : exitFill,
+        realizedPnl: isNaN(realizedPnl) ? null : realizedPnl,
+        closedAt: status === "closed" ? execution.closedAt || new Date().toISOString() : "",
+      },
+    });
+  };
+
+  const fieldClass = "mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm";
+
+  return (
+    <div className="mt-3 pt-3 border-t border-slate-700/50 grid grid-cols-2 sm:grid-cols-3 gap-2">
+      <label className="text-xs text-slate-400">
+        Status
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className={fieldClass}>
+          <option value="planned">Planned</option>
+          <option value="open">Open</option>
+          <option value="closed">Closed</option>
+        </select>
+      </label>
+      <label className="text-xs text-slate-400">
+        Entry Fill
+        <input type="number" step="any" value={execution.entryFill} onChange={(e) => update("entryFill", e.target.value)} className={fieldClass} />
+      </label>
+      <label className="text-xs text-slate-400">
+        Avg Exit Fill
+        <input type="number" step="any" value={execution.exitFill} onChange={(e) => update("exitFill", e.target.value)} className={fieldClass} />
+      </label>
+      <label className="text-xs text-slate-400">
+        Exit Reason
+        <select value={execution.exitReason} onChange={(e) => update("exitReason", e.target.value)} className={fieldClass}>
+          <option value="">-</option>
+          {EXIT_REASONS.map((reason) => (
+            <option key={reason} value={reason}>{reason}</option>
+          ))}
+        </select>
+      </label>
+      <label className="text-xs text-slate-400">
+        Realized P&amp;L ($)
+        <input
+          type="number"
+          step="any"
+          value={execution.realizedPnl}
+          onChange={(e) => update("realizedPnl", e.target.value)}
+          placeholder="From fills"
+          className={fieldClass}
+        />
+      </label>
+      <label className="text-xs text-slate-400">
+        Notes
+        <input type="text" value={execution.notes} onChange={(e) => update("notes", e.target.value)} className={fieldClass} />
+      </label>
+      <div className="col-span-2 sm:col-span-3 flex gap-2 justify-end">
+        <button onClick={onCancel} className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30">
+          Cancel
+        </button>
+        <button onClick={handleSave} className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-emerald-500/20 text-emerald-300 border border-emerald-500/30">
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TradeJournal = ({ currentPlan, trades, error, onChange }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [symbolFilter, setSymbolFilter] = useState("all");
+  const [sideFilter, setSideFilter] = useState("all");
+  const [outcomeFilter, setOutcomeFilter] = useState("all");
+  const [writeError, setWriteError] = useState("");
+
+  // Runs a journal write and reloads; a failed write is shown next to load errors
+  const writeJournal = async (write, failure) => {
+    try {
+      await write();
+    } catch (err) {
+      setWriteError(`${failure}: ${err.message}`);
+      return false;
+    }
+    setWriteError("");
+    onChange();
+    return true;
+  };
+
+  const handleSavePlan = async () => {
+    if (!currentPlan) return;
+    await writeJournal(
+      () =>
+        saveTrade({
+          createdAt: new Date().toISOString(),
+          status: "planned",
+          plan: currentPlan.plan,
+          // Snapshot of every computed field exactly as it was at planning time
+          results: currentPlan.results,
+          execution: emptyExecution,
+        }),
+      "Could not save the plan"
+    );
+  };
+
+  const handleUpdate = async (trade) => {
+    if (await writeJournal(() => saveTrade(trade), "Could not save the trade")) setEditingId(null);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Delete this trade from the journal?")) return;
+    await writeJournal(() => deleteTrade(id), "Could not delete the trade");
+  };
+
+  const symbols = [...new Set(trades.map((trade) => trade.plan.symbol))];
+
+  const filteredTrades = trades.filter((trade) => {
+    if (symbolFilter !== "all" && trade.plan.symbol !== symbolFilter) return false;
+    if (sideFilter !== "all" && trade.plan.side !== sideFilter) return false;
+    if (outcomeFilter !== "all" && getTradeOutcome(trade) !== outcomeFilter) return false;
+    return true;
+  });
+
+  const filterClass = "px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded-lg text-white text-xs";
+
+  return (
+    <div className="position-card">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+        <h4 className="text-indigo-300 font-semibold flex items-center gap-2 text-sm sm:text-base">
+          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
+          </svg>
+          Trade Journal
+        </h4>
+        <button
+          onClick={handleSavePlan}
+          disabled={!currentPlan}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-indigo-500/20 text-indigo-300 border border-indigo-500/30 disabled:opacity-40"
+        >
+          Save Current Plan
+        </button>
+      </div>
+
+      {error && <div className="text-rose-400 text-xs mb-3">{error}</div>}
+      {writeError && <div className="text-rose-400 text-xs mb-3">{writeError}</div>}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <select value={symbolFilter} onChange={(e) => setSymbolFilter(e.target.value)} className={filterClass}>
+          <option value="all">All symbols</option>
+          {symbols.map((symbol) => (
+            <option key={symbol} value={symbol}>{symbol}</option>
+          ))}
+        </select>
+        <select value={sideFilter} onChange={(e) => setSideFilter(e.target.value)} className={filterClass}>
+          <option value="all">Long &amp; short</option>
+          <option value="long">Long</option>
+          <option value="short">Short</option>
+        </select>
+        <select value={outcomeFilter} onChange={(e) => setOutcomeFilter(e.target.value)} className={filterClass}>
+          <option value="all">All outcomes</option>
+          <option value="planned">Planned</option>
+          <option value="open">Open</option>
+          <option value="win">Win</option>
+          <option value="loss">Loss</option>
+          <option value="breakeven">Break-even</option>
+        </select>
+      </div>
+
+      {filteredTrades.length === 0 && (
+        <div className="text-slate-500 text-sm text-center py-6">No trades in the journal yet</div>
+      )}
+
+      <div className="space-y-3">
+        {filteredTrades.map((trade) => {
+          const outcome = getTradeOutcome(trade);
+          return (
+            <div key={trade.id} className="p-3 bg-slate-900/40 border border-slate-700/50 rounded-lg">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded-full border text-xs font-bold uppercase ${OUTCOME_STYLES[outcome]}`}>
+                    {outcome}
+                  </span>
+                  <span className="text-white font-bold text-sm">{trade.plan.symbol}</span>
+                  <span className={`text-xs font-semibold ${trade.plan.side === "long" ? "text-emerald-400" : "text-rose-400"}`}>
+                    {trade.plan.side.toUpperCase()} {trade.plan.leverage ? `${trade.plan.leverage}x` : ""}
+                  </span>
+                </div>
+                <div className="text-slate-500 text-xs">{new Date(trade.createdAt).toLocaleString()}</div>
+              </div>
+
+              <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 mt-2 text-xs">
+                <div><span className="text-slate-500">Entry</span> <span className="text-white">${trade.plan.entry}</span></div>
+                <div><span className="text-slate-500">SL</span> <span className="text-rose-300">{trade.plan.stopLoss ? `$${trade.plan.stopLoss}` : "-"}</span></div>
+                <div><span className="text-slate-500">TP</span> <span className="text-emerald-300">{trade.plan.takeProfit ? `$${trade.plan.takeProfit}` : "-"}</span></div>
+                <div><span className="text-slate-500">Size</span> <span className="text-white">{trade.plan.size}</span></div>
+                <div>
+                  <span className="text-slate-500">P&amp;L</span>{" "}
+                  {trade.execution.realizedPnl !== null ? (
+                    <span className={trade.execution.realizedPnl >= 0 ? "text-emerald-400" : "text-rose-400"}>
+                      ${trade.execution.realizedPnl.toFixed(2)}
+                    </span>
+                  ) : (
+                    <span className="text-slate-500">-</span>
+                  )}
+                </div>
+              </div>
+
+              {trade.plan.partialTP.enabled && (
+                <div className="text-xs text-slate-500 mt-1">
+                  Partial TP {formatLadderSplits(trade.plan.partialTP)} • Planned R:R 1:{trade.results.ratio.toFixed(2)}
+                </div>
+              )}
+              {trade.execution.exitReason && (
+                <div className="text-xs text-slate-400 mt-1">Exit: {trade.execution.exitReason}</div>
+              )}
+
+              {editingId === trade.id ? (
+                <ExecutionForm trade={trade} onSave={handleUpdate} onCancel={() => setEditingId(null)} />
+              ) : (
+                <div className="flex gap-2 justify-end mt-2">
+                  <button
+                    onClick={() => setEditingId(trade.id)}
+                    className="px-2 py-1 rounded text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(trade.id)}
+                    className="px-2 py-1 rounded text-xs font-semibold bg-rose-500/10 text-rose-300 border border-rose-500/20"
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TradeJournal;
@@ -0,0 +1,113 @@
+import React from "react";
+import { createPortal } from "react-dom";
+import { downloadFile } from "../utils/download";
+import { tradeReportToPdf } from "../utils/tradeReport";
+
+/**
+ * Paper-style view of buildTradeReport() output. It renders into <body> so print.css can
+ * print it on its own.
+ */
+const TradeReport = ({ report, onClose }) => {
+  const handlePdf = () => {
+    const name = report.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    downloadFile(tradeReportToPdf(report), `${name}-${new Date().toISOString().slice(0, 10)}.pdf`, "application/pdf");
+  };
+
+  return createPortal(
+    <div className="report-overlay fixed inset-0 z-50 overflow-y-auto bg-slate-950/80 p-4 sm:p-8">
+      <div className="report-actions max-w-3xl mx-auto mb-3 flex flex-wrap justify-end gap-2">
+        <button
+          onClick={() => window.print()}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-indigo-500/20 text-indigo-300 border border-indigo-500/30"
+        >
+          Print
+        </button>
+        <button
+          onClick={handlePdf}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-emerald-500/20 text-emerald-300 border border-emerald-500/30"
+        >
+          Download PDF
+        </button>
+        <button
+          onClick={onClose}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30"
+        >
+          Close
+        </button>
+      </div>
+
+      <article className="trade-report max-w-3xl mx-auto bg-white text-slate-900 rounded-lg shadow-2xl p-6 sm:p-10">
+        <header className="border-b-2 border-slate-900 pb-3 mb-5">
+          <h1 className="text-2xl font-bold">{report.title}</h1>
+          <div className="text-xs text-slate-500 mt-1">Generated {report.generatedAt}</div>
+          {report.rateLines.map((line) => (
+            <div key={line} className="text-xs text-slate-500">
+              Exchange rate: {line}
+            </div>
+          ))}
+        </header>
+
+        <div className="report-sections grid grid-cols-1 sm:grid-cols-2 gap-x-8 gap-y-5">
+          {report.sections.map((section) => (
+            <section key={section.heading} className="report-section">
+              <h2 className="text-sm font-bold uppercase tracking-wide border-b border-slate-300 pb-1 mb-2">{section.heading}</h2>
+              <table className="w-full text-sm">
+                <tbody>
+                  {section.rows.map(([label, value]) => (
+                    <tr key={label} className="align-top">
+                      <td className="py-0.5 pr-3 text-slate-500 whitespace-nowrap">{label}</td>
+                      <td className="py-0.5 font-medium">{value}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          ))}
+        </div>
+
+        {report.ladder && (
+          <section className="report-section mt-5">
+            <h2 className="text-sm font-bold uppercase tracking-wide border-b border-slate-300 pb-1 mb-2">Partial Take Profits</h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500 text-xs">
+                  {report.ladder.headers.map((header) => (
+                    <th key={header} className="py-1 pr-3 font-semibold">
+                      {header}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {report.ladder.rows.map((row) => (
+                  <tr key={row[0]} className="border-t border-slate-200 align-top">
+                    {row.map((cell, index) => (
+                      <td key={index} className={`py-1 pr-3 ${index === 0 ? "font-semibold" : ""}`}>
+                        {cell}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-xs text-slate-500 mt-2">{report.ladder.total}</div>
+          </section>
+        )}
+
+        {report.warnings.length > 0 && (
+          <section className="report-section mt-5">
+            <h2 className="text-sm font-bold uppercase tracking-wide text-rose-700 border-b border-rose-200 pb-1 mb-2">Warnings</h2>
+            <ul className="list-disc pl-5 text-sm space-y-0.5">
+              {report.warnings.map((warning) => (
+                <li key={warning}>{warning}</li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </article>
+    </div>,
+    document.body
+  );
+};
+
+export default TradeReport;
@@ -0,0 +1,175 @@
+import React, { useState } from "react";
+import { analyzeVolatility, parsePriceHistory, suggestStops } from "../utils/volatility";
+
+const formatInterval = (ms) => {
+  const minutes = ms / 60000;
+  if (minutes < 60) return `${minutes.toFixed(0)}m`;
+  if (minutes < 1440) return `${(minutes / 60).toFixed(0)}h`;
+  return `${(minutes / 1440).toFixed(0)}d`;
+};
+
+const VolatilityPanel = ({
+  volatility,
+  onVolatilityChange,
+  leverageMode,
+  onLeverageModeChange,
+  entry,
+  positionType,
+  priceDecimals,
+  onUseStop,
+  onUseATR,
+}) => {
+  const [pasted, setPasted] = useState("");
+  const [message, setMessage] = useState("");
+
+  const loadHistory = (text, source) => {
+    const analysis = analyzeVolatility(parsePriceHistory(text));
+    if (analysis) {
+      onVolatilityChange(analysis);
+      setMessage(`Loaded ${analysis.candleCount} candles from ${source}`);
+    } else {
+      setMessage(`Need at least 15 OHLC candles - could not read enough from ${source}`);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    loadHistory(await file.text(), file.name);
+    e.target.value = "";
+  };
+
+  const suggestions = volatility && entry > 0 ? suggestStops(volatility, entry, positionType) : [];
+
+  return (
+    <div className="mb-6 sm:mb-8 p-4 sm:p-6 bg-gradient-to-br from-sky-500/10 to-indigo-500/10 border border-sky-500/20 rounded-xl sm:rounded-2xl">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+        <h3 className="text-base sm:text-lg font-bold text-sky-300 flex items-center gap-2">
+          <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
+          </svg>
+          Volatility &amp; Stop Suggestions
+        </h3>
+        <div className="flex gap-2">
+          <label className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-sky-500/20 text-sky-300 border border-sky-500/30 cursor-pointer">
+            Import OHLC
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="hidden" />
+          </label>
+          {volatility && (
+            <button
+              onClick={() => onVolatilityChange(null)}
+              className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="mb-3">
+        <textarea
+          rows={3}
+          value={pasted}
+          onChange={(e) => setPasted(e.target.value)}
+          placeholder="Paste CSV (time,open,high,low,close) or JSON klines"
+          className="w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-xs font-mono"
+        />
+        <div className="flex flex-wrap items-center gap-2 mt-1">
+          <button
+            onClick={() => loadHistory(pasted, "pasted data")}
+            disabled={!pasted.trim()}
+            className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-sky-500/20 text-sky-300 border border-sky-500/30 disabled:opacity-40"
+          >
+            Analyze
+          </button>
+          {message && <span className="text-xs text-slate-400">{message}</span>}
+        </div>
+      </div>
+
+      <div className="mb-3">
+        <label className="input-label">
+          <span className="text-slate-300">Leverage Caps</span>
+        </label>
+        <div className="flex gap-2">
+          <button
+            onClick={() => onLeverageModeChange("volatility")}
+            className={`risk-toggle ${leverageMode === "volatility" ? "active-conservative" : "inactive-risk"}`}
+          >
+            <div className="flex flex-col items-start">
+              <span className="font-bold text-sm">Volatility</span>
+              <span className="text-xs opacity-75">Scaled to the coin's ATR</span>
+            </div>
+          </button>
+          <button
+            onClick={() => onLeverageModeChange("classic")}
+            className={`risk-toggle ${leverageMode === "classic" ? "active-aggressive" : "inactive-risk"}`}
+          >
+            <div className="flex flex-col items-start">
+              <span className="font-bold text-sm">Classic</span>
+              <span className="text-xs opacity-75">Fixed 2/3/5/10% stop bands</span>
+            </div>
+          </button>
+        </div>
+        {leverageMode === "volatility" && !volatility && (
+          <div className="mt-1 text-xs text-amber-400">Import price history to enable volatility caps - classic bands apply until then</div>
+        )}
+      </div>
+
+      {volatility && (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+            <div className="leverage-stat">
+              <div className="text-slate-400 text-xs mb-1">ATR ({volatility.atrPeriod})</div>
+              <div className="text-white text-lg font-bold">{volatility.atr.toFixed(priceDecimals)}</div>
+              <div className="text-xs text-slate-500 mt-1">{volatility.atrPercent.toFixed(2)}% of last close</div>
+            </div>
+            <div className="leverage-stat">
+              <div className="text-slate-400 text-xs mb-1">Realized Volatility</div>
+              <div className="text-white text-lg font-bold">{volatility.realizedVolatility.toFixed(2)}%</div>
+              <div className="text-xs text-slate-500 mt-1">
+                Per {formatInterval(volatility.interval)} bar
+                {volatility.annualizedVolatility !== null && ` • ${volatility.annualizedVolatility.toFixed(0)}% annualized`}
+              </div>
+            </div>
+            <div className="leverage-stat">
+              <div className="text-slate-400 text-xs mb-1">Last Swing High</div>
+              <div className="text-white text-lg font-bold">
+                {volatility.swingHigh !== null ? volatility.swingHigh.toFixed(priceDecimals) : "-"}
+              </div>
+            </div>
+            <div className="leverage-stat">
+              <div className="text-slate-400 text-xs mb-1">Last Swing Low</div>
+              <div className="text-white text-lg font-bold">
+                {volatility.swingLow !== null ? volatility.swingLow.toFixed(priceDecimals) : "-"}
+              </div>
+            </div>
+          </div>
+
+          {suggestions.length > 0 ? (
+            <div className="flex flex-wrap gap-2">
+              {suggestions.map((suggestion) => (
+                <button
+                  key={suggestion.label}
+                  onClick={() => onUseStop(suggestion.price)}
+                  className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-200 border border-slate-600/30 hover:border-sky-500/40"
+                >
+                  {suggestion.label}: {suggestion.price.toFixed(priceDecimals)}
+                </button>
+              ))}
+              <button
+                onClick={() => onUseATR(volatility.atr)}
+                className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-sky-500/20 text-sky-300 border border-sky-500/30"
+              >
+                Use ATR for trailing stop
+              </button>
+            </div>
+          ) : (
+            <div className="text-xs text-slate-500">Enter an entry price to get stop suggestions</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VolatilityPanel;
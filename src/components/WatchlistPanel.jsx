@@ -0,0 +1,236 @@
+import React, { useState } from "react";
+import { parseCsv, toCsv } from "../utils/csv";
+import { downloadFile } from "../utils/download";
+import { DEFAULT_WATCHLIST_RULES, WATCHLIST_TEMPLATE, checkWatchlistRules, parseWatchlist } from "../utils/watchlist";
+
+const COLUMNS = [
+  { key: "symbol", label: "Symbol" },
+  { key: "side", label: "Side" },
+  { key: "entry", label: "Entry" },
+  { key: "ratio", label: "R:R" },
+  { key: "rating", label: "Rating" },
+  { key: "leverage", label: "Leverage" },
+  { key: "size", label: "Size" },
+  { key: "risk", label: "Risk" },
+  { key: "pass", label: "Rules" },
+];
+
+const SIDE_COLORS = { long: "text-emerald-400", short: "text-rose-400" };
+
+const RATING_STYLES = {
+  Excellent: "text-emerald-400",
+  Good: "text-blue-400",
+  Fair: "text-amber-400",
+  Poor: "text-rose-400",
+};
+
+/**
+ * Batch screen for a CSV watchlist. `evaluate(setup)` sizes one parsed row with the calculator's
+ * current capital, risk and cost settings and returns calculateRiskReward()'s result. Short rows
+ * fail when `canShort` is off (spot mode).
+ */
+const WatchlistPanel = ({ evaluate, getRatioLabel, canShort }) => {
+  const [csvText, setCsvText] = useState("");
+  const [rules, setRules] = useState(DEFAULT_WATCHLIST_RULES);
+  const [setups, setSetups] = useState([]);
+  const [message, setMessage] = useState("");
+  const [sort, setSort] = useState({ key: "ratio", direction: -1 });
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (file) file.text().then(setCsvText);
+  };
+
+  const handleRun = () => {
+    const parsed = parseWatchlist(parseCsv(csvText));
+    setSetups(parsed);
+    setMessage(parsed.length ? `Screened ${parsed.length} setups` : `No rows found - the first line must be the header: ${WATCHLIST_TEMPLATE}`);
+  };
+
+  // Re-evaluated on every render so rule and calculator changes apply to the loaded list
+  const rows = setups.map((setup) => {
+    const rowError = setup.parseError || (!canShort && setup.side === "short" ? "Spot trading is long only" : null);
+    const result = rowError ? null : evaluate(setup);
+    const isValid = result && !result.error;
+    const isSized = isValid && result.leverageInfo !== null;
+    const check = rowError ? { pass: false, failures: [rowError] } : checkWatchlistRules(result, rules);
+    return {
+      ...setup,
+      ratio: isValid ? result.ratio : null,
+      rating: isValid ? getRatioLabel(result.ratio) : null,
+      leverage: isSized ? result.leverageInfo.optimal : null,
+      size: isSized ? result.recommendedAssets : null,
+      positionValue: isSized ? result.positionValue : null,
+      risk: isSized ? result.potentialLoss : null,
+      pass: check.pass,
+      failures: check.failures,
+    };
+  });
+
+  // Blank cells sort last in either direction
+  const sortedRows = [...rows].sort((a, b) => {
+    const left = a[sort.key];
+    const right = b[sort.key];
+    if (left === null || right === null) return (left === null) - (right === null);
+    if (typeof left === "string") return left.localeCompare(right) * sort.direction;
+    return (left - right) * sort.direction;
+  });
+
+  const toggleSort = (key) => {
+    setSort(sort.key === key ? { key, direction: -sort.direction } : { key, direction: key === "symbol" || key === "side" ? 1 : -1 });
+  };
+
+  const handleExport = () => {
+    const headers = ["symbol", "side", "entry", "sl", "tp", "max_leverage", "ratio", "rating", "leverage", "size", "position_value", "risk", "result", "reasons"];
+    const csv = toCsv(
+      headers,
+      sortedRows.map((row) => [
+        row.symbol,
+        row.side,
+        row.entry,
+        row.stop,
+        row.target,
+        row.maxLeverage,
+        row.ratio?.toFixed(2),
+        row.rating,
+        row.leverage,
+        row.size,
+        row.positionValue?.toFixed(2),
+        row.risk?.toFixed(2),
+        row.pass ? "pass" : "fail",
+        row.failures.join("; "),
+      ])
+    );
+    downloadFile(csv, `watchlist-${new Date().toISOString().slice(0, 10)}.csv`, "text/csv");
+  };
+
+  const passCount = rows.filter((row) => row.pass).length;
+
+  return (
+    <div className="position-card">
+      <h4 className="text-cyan-300 font-semibold mb-4 flex items-center gap-2 text-sm sm:text-base">
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+        </svg>
+        Watchlist Screen
+      </h4>
+
+      <div className="text-slate-400 text-xs mb-1">
+        Paste or upload a CSV: <span className="font-mono text-slate-300">{WATCHLIST_TEMPLATE}</span> (max_leverage optional)
+      </div>
+      <textarea
+        rows={4}
+        value={csvText}
+        onChange={(e) => setCsvText(e.target.value)}
+        placeholder={`${WATCHLIST_TEMPLATE}\nBTCUSDT,long,65000,63500,70000,\nETHUSDT,short,3400,3500,3100,50`}
+        className="w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-xs font-mono"
+      />
+
+      <div className="grid grid-cols-3 gap-2 mt-2">
+        <label className="text-xs text-slate-400">
+          Min R:R
+          <input
+            type="number"
+            step="0.1"
+            min="0"
+            value={rules.minRatio}
+            onChange={(e) => setRules({ ...rules, minRatio: e.target.value })}
+            className="mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm"
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          Max Leverage (x)
+          <input
+            type="number"
+            step="1"
+            min="0"
+            value={rules.maxLeverage}
+            onChange={(e) => setRules({ ...rules, maxLeverage: e.target.value })}
+            className="mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm"
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          Max Stop Distance (%)
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            value={rules.maxStopPercent}
+            onChange={(e) => setRules({ ...rules, maxStopPercent: e.target.value })}
+            className="mt-1 w-full px-2 py-1.5 bg-slate-800/60 border border-slate-600/40 rounded text-white text-sm"
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <input type="file" accept=".csv,text/csv" onChange={handleFile} className="text-xs text-slate-400" />
+        <button
+          onClick={handleRun}
+          disabled={!csvText.trim()}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-cyan-500/20 text-cyan-300 border border-cyan-500/30 disabled:opacity-40"
+        >
+          Screen Setups
+        </button>
+        <button
+          onClick={handleExport}
+          disabled={rows.length === 0}
+          className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-slate-700/50 text-slate-300 border border-slate-600/30 disabled:opacity-40"
+        >
+          Export CSV
+        </button>
+        {message && <span className="text-xs text-slate-400">{message}</span>}
+      </div>
+
+      <div className="mt-2 text-xs text-slate-500">
+        Every row uses the calculator's capital, risk, allocation, sizing, margin, exchange and cost settings. Blank max_leverage uses the pair's limit, or the Max Leverage input for custom pairs.
+      </div>
+
+      {rows.length > 0 && (
+        <div className="mt-4 overflow-x-auto">
+          <div className="text-xs text-slate-400 mb-2">
+            {passCount} of {rows.length} pass
+          </div>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-slate-400 text-left">
+                {COLUMNS.map((column) => (
+                  <th key={column.key} className="py-1 pr-2">
+                    <button onClick={() => toggleSort(column.key)} className="font-semibold hover:text-white">
+                      {column.label}
+                      {sort.key === column.key && (sort.direction > 0 ? " ▲" : " ▼")}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedRows.map((row) => (
+                <tr key={row.id} className="border-t border-slate-700/50 text-slate-300 align-top">
+                  <td className="py-1 pr-2 font-semibold">{row.symbol || "-"}</td>
+                  <td className={`py-1 pr-2 ${SIDE_COLORS[row.side] || "text-slate-500"}`}>{row.side.toUpperCase() || "-"}</td>
+                  <td className="py-1 pr-2">{Number.isFinite(row.entry) ? row.entry : "-"}</td>
+                  <td className="py-1 pr-2">{row.ratio === null ? "-" : `1:${row.ratio.toFixed(2)}`}</td>
+                  <td className={`py-1 pr-2 ${RATING_STYLES[row.rating] || ""}`}>{row.rating || "-"}</td>
+                  <td className="py-1 pr-2">{row.leverage === null ? "-" : `${row.leverage}x`}</td>
+                  <td className="py-1 pr-2">{row.size === null ? "-" : parseFloat(row.size.toFixed(6))}</td>
+                  <td className="py-1 pr-2">{row.risk === null ? "-" : `$${row.risk.toFixed(2)}`}</td>
+                  <td className="py-1 pr-2">
+                    {row.pass ? (
+                      <span className="text-emerald-400 font-semibold">PASS</span>
+                    ) : (
+                      <span className="text-rose-400">
+                        <span className="font-semibold">FAIL</span> {row.failures.join(" • ")}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistPanel;
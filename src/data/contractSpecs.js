@@ -0,0 +1,141 @@
+import { getExchangeProfile } from "./exchanges";
+
+// Bitget-style USDT-M maintenance margin tiers (by position notional in USD)
+export const DEFAULT_LEVERAGE_TIERS = [
+  { tier: 1, maxNotional: 50000, maxLeverage: 125, maintenanceMarginRate: 0.004 },
+  { tier: 2, maxNotional: 250000, maxLeverage: 100, maintenanceMarginRate: 0.005 },
+  { tier: 3, maxNotional: 1000000, maxLeverage: 50, maintenanceMarginRate: 0.01 },
+  { tier: 4, maxNotional: 5000000, maxLeverage: 20, maintenanceMarginRate: 0.025 },
+  { tier: 5, maxNotional: 20000000, maxLeverage: 10, maintenanceMarginRate: 0.05 },
+  { tier: 6, maxNotional: Infinity, maxLeverage: 5, maintenanceMarginRate: 0.1 },
+];
+
+const ALTCOIN_LEVERAGE_TIERS = [
+  { tier: 1, maxNotional: 25000, maxLeverage: 75, maintenanceMarginRate: 0.01 },
+  { tier: 2, maxNotional: 100000, maxLeverage: 50, maintenanceMarginRate: 0.015 },
+  { tier: 3, maxNotional: 500000, maxLeverage: 25, maintenanceMarginRate: 0.025 },
+  { tier: 4, maxNotional: 2000000, maxLeverage: 10, maintenanceMarginRate: 0.05 },
+  { tier: 5, maxNotional: Infinity, maxLeverage: 5, maintenanceMarginRate: 0.1 },
+];
+
+export const DEFAULT_CONTRACT_SPECS = [
+  {
+    symbol: "BTCUSDT",
+    tickSize: 0.1,
+    quantityStep: 0.0001,
+    minOrderSize: 0.0001,
+    minNotional: 5,
+    maxLeverage: 125,
+    leverageTiers: DEFAULT_LEVERAGE_TIERS,
+  },
+  {
+    symbol: "ETHUSDT",
+    tickSize: 0.01,
+    quantityStep: 0.01,
+    minOrderSize: 0.01,
+    minNotional: 5,
+    maxLeverage: 100,
+    leverageTiers: [
+      { tier: 1, maxNotional: 50000, maxLeverage: 100, maintenanceMarginRate: 0.005 },
+      { tier: 2, maxNotional: 250000, maxLeverage: 75, maintenanceMarginRate: 0.0065 },
+      { tier: 3, maxNotional: 1000000, maxLeverage: 50, maintenanceMarginRate: 0.01 },
+      { tier: 4, maxNotional: 5000000, maxLeverage: 20, maintenanceMarginRate: 0.025 },
+      { tier: 5, maxNotional: Infinity, maxLeverage: 10, maintenanceMarginRate: 0.05 },
+    ],
+  },
+  {
+    symbol: "SOLUSDT",
+    tickSize: 0.001,
+    quantityStep: 0.1,
+    minOrderSize: 0.1,
+    minNotional: 5,
+    maxLeverage: 75,
+    leverageTiers: ALTCOIN_LEVERAGE_TIERS,
+  },
+  {
+    symbol: "BNBUSDT",
+    tickSize: 0.01,
+    quantityStep: 0.01,
+    minOrderSize: 0.01,
+    minNotional: 5,
+    maxLeverage: 75,
+    leverageTiers: ALTCOIN_LEVERAGE_TIERS,
+  },
+  {
+    symbol: "XRPUSDT",
+    tickSize: 0.0001,
+    quantityStep: 1,
+    minOrderSize: 1,
+    minNotional: 5,
+    maxLeverage: 75,
+    leverageTiers: ALTCOIN_LEVERAGE_TIERS,
+  },
+  {
+    symbol: "DOGEUSDT",
+    tickSize: 0.00001,
+    quantityStep: 1,
+    minOrderSize: 1,
+    minNotional: 5,
+    maxLeverage: 75,
+    leverageTiers: ALTCOIN_LEVERAGE_TIERS,
+  },
+];
+
+// Bitget keeps the original key so existing edits survive; other exchanges get their own
+const getStorageKey = (exchangeId) => (exchangeId === "bitget" ? "contractSpecs" : `contractSpecs.${exchangeId}`);
+
+export const getDefaultContractSpecs = (exchangeId) => {
+  const { specOverrides } = getExchangeProfile(exchangeId);
+  return DEFAULT_CONTRACT_SPECS.map((spec) => ({ ...spec, ...specOverrides[spec.symbol] }));
+};
+
+// JSON has no Infinity, so the open-ended top tier is stored as null
+const serializeTiers = (tiers) =>
+  tiers.map((tier) => ({ ...tier, maxNotional: Number.isFinite(tier.maxNotional) ? tier.maxNotional : null }));
+
+const deserializeTiers = (tiers) =>
+  tiers.map((tier) => ({ ...tier, maxNotional: tier.maxNotional ?? Infinity }));
+
+export const loadContractSpecs = (exchangeId = "bitget") => {
+  try {
+    const stored = localStorage.getItem(getStorageKey(exchangeId));
+    if (!stored) return getDefaultContractSpecs(exchangeId);
+    return JSON.parse(stored).map((spec) => ({ ...spec, leverageTiers: deserializeTiers(spec.leverageTiers) }));
+  } catch {
+    return getDefaultContractSpecs(exchangeId);
+  }
+};
+
+export const saveContractSpecs = (specs, exchangeId = "bitget") => {
+  const serialized = specs.map((spec) => ({ ...spec, leverageTiers: serializeTiers(spec.leverageTiers) }));
+  localStorage.setItem(getStorageKey(exchangeId), JSON.stringify(serialized));
+};
+
+export const formatTiers = (tiers) =>
+  tiers
+    .map((tier) => `${Number.isFinite(tier.maxNotional) ? tier.maxNotional : "max"}:${tier.maxLeverage}:${tier.maintenanceMarginRate * 100}`)
+    .join("\n");
+
+// Parses one "maxNotional:maxLeverage:mmr%" tier per line, e.g. "50000:125:0.4"
+export const parseTiers = (text) => {
+  const tiers = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      const [notional, leverage, mmr] = line.split(":").map((part) => part.trim());
+      return {
+        tier: index + 1,
+        maxNotional: notional === "max" ? Infinity : parseFloat(notional),
+        maxLeverage: parseFloat(leverage),
+        maintenanceMarginRate: parseFloat(mmr) / 100,
+      };
+    });
+
+  const isValid =
+    tiers.length > 0 &&
+    tiers.every((tier) => tier.maxNotional > 0 && tier.maxLeverage >= 1 && tier.maintenanceMarginRate >= 0) &&
+    tiers[tiers.length - 1].maxNotional === Infinity;
+
+  return isValid ? tiers : null;
+};
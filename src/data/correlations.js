@@ -0,0 +1,27 @@
+// Approximate 90-day correlations of daily returns between major USDT perpetuals
+export const DEFAULT_CORRELATIONS = {
+  symbols: ["BTCUSDT", "ETHUSDT", "SOLUSDT", "BNBUSDT", "XRPUSDT", "DOGEUSDT"],
+  matrix: [
+    [1, 0.85, 0.78, 0.72, 0.62, 0.74],
+    [0.85, 1, 0.8, 0.7, 0.6, 0.72],
+    [0.78, 0.8, 1, 0.65, 0.58, 0.7],
+    [0.72, 0.7, 0.65, 1, 0.55, 0.62],
+    [0.62, 0.6, 0.58, 0.55, 1, 0.6],
+    [0.74, 0.72, 0.7, 0.62, 0.6, 1],
+  ],
+};
+
+const STORAGE_KEY = "correlationMatrix";
+
+export const loadCorrelations = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : DEFAULT_CORRELATIONS;
+  } catch {
+    return DEFAULT_CORRELATIONS;
+  }
+};
+
+export const saveCorrelations = (correlations) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(correlations));
+};
@@ -0,0 +1,32 @@
+// Currencies results can be shown in and capital can be held in. Sizing always runs in USD;
+// pegged currencies convert 1:1 and never need a rate.
+export const CURRENCIES = [
+  { code: "USD", name: "US Dollar", locale: "en-US", pegged: true },
+  { code: "USDT", name: "Tether (USDT)", locale: "en-US", pegged: true },
+  { code: "PHP", name: "Philippine Peso", locale: "en-PH" },
+  // en-SG renders a bare "$", which reads as USD next to the sizing figures
+  { code: "SGD", name: "Singapore Dollar", locale: "en-SG", symbol: "S$" },
+  { code: "EUR", name: "Euro", locale: "de-DE" },
+];
+
+export const getCurrency = (code) => CURRENCIES.find((currency) => currency.code === code) || CURRENCIES[0];
+
+export const isPegged = (code) => getCurrency(code).pegged === true;
+
+// Currencies that need a fetched USD rate
+export const RATE_QUOTES = CURRENCIES.filter((currency) => !currency.pegged).map((currency) => currency.code);
+
+const HOME_STORAGE_KEY = "homeCurrency";
+const CAPITAL_STORAGE_KEY = "capitalCurrency";
+
+export const loadHomeCurrency = () => getCurrency(localStorage.getItem(HOME_STORAGE_KEY) || "PHP").code;
+
+export const saveHomeCurrency = (code) => {
+  localStorage.setItem(HOME_STORAGE_KEY, code);
+};
+
+export const loadCapitalCurrency = () => getCurrency(localStorage.getItem(CAPITAL_STORAGE_KEY) || "USD").code;
+
+export const saveCapitalCurrency = (code) => {
+  localStorage.setItem(CAPITAL_STORAGE_KEY, code);
+};
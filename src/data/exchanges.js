@@ -0,0 +1,143 @@
+/**
+ * Exchange profiles. `specOverrides` are applied on top of the Bitget contract specs in
+ * contractSpecs.js; `leverageTiers` are the tiers used for custom pairs. `orderFormat` picks the
+ * payload builder in utils/orderPayloads. Fees are in %, VIP 0 first.
+ */
+const BINANCE_MAJOR_TIERS = [
+  { tier: 1, maxNotional: 50000, maxLeverage: 125, maintenanceMarginRate: 0.004 },
+  { tier: 2, maxNotional: 600000, maxLeverage: 100, maintenanceMarginRate: 0.005 },
+  { tier: 3, maxNotional: 3000000, maxLeverage: 75, maintenanceMarginRate: 0.0065 },
+  { tier: 4, maxNotional: 12000000, maxLeverage: 50, maintenanceMarginRate: 0.01 },
+  { tier: 5, maxNotional: 70000000, maxLeverage: 25, maintenanceMarginRate: 0.02 },
+  { tier: 6, maxNotional: 100000000, maxLeverage: 20, maintenanceMarginRate: 0.025 },
+  { tier: 7, maxNotional: Infinity, maxLeverage: 10, maintenanceMarginRate: 0.05 },
+];
+
+const BINANCE_ALT_TIERS = [
+  { tier: 1, maxNotional: 10000, maxLeverage: 75, maintenanceMarginRate: 0.01 },
+  { tier: 2, maxNotional: 50000, maxLeverage: 50, maintenanceMarginRate: 0.015 },
+  { tier: 3, maxNotional: 250000, maxLeverage: 25, maintenanceMarginRate: 0.02 },
+  { tier: 4, maxNotional: 1000000, maxLeverage: 10, maintenanceMarginRate: 0.05 },
+  { tier: 5, maxNotional: Infinity, maxLeverage: 5, maintenanceMarginRate: 0.1 },
+];
+
+const BYBIT_MAJOR_TIERS = [
+  { tier: 1, maxNotional: 2000000, maxLeverage: 100, maintenanceMarginRate: 0.005 },
+  { tier: 2, maxNotional: 4000000, maxLeverage: 80, maintenanceMarginRate: 0.0075 },
+  { tier: 3, maxNotional: 10000000, maxLeverage: 50, maintenanceMarginRate: 0.01 },
+  { tier: 4, maxNotional: 20000000, maxLeverage: 25, maintenanceMarginRate: 0.02 },
+  { tier: 5, maxNotional: Infinity, maxLeverage: 10, maintenanceMarginRate: 0.05 },
+];
+
+const BYBIT_ALT_TIERS = [
+  { tier: 1, maxNotional: 200000, maxLeverage: 50, maintenanceMarginRate: 0.01 },
+  { tier: 2, maxNotional: 1000000, maxLeverage: 25, maintenanceMarginRate: 0.02 },
+  { tier: 3, maxNotional: 5000000, maxLeverage: 10, maintenanceMarginRate: 0.05 },
+  { tier: 4, maxNotional: Infinity, maxLeverage: 5, maintenanceMarginRate: 0.1 },
+];
+
+const OKX_MAJOR_TIERS = [
+  { tier: 1, maxNotional: 100000, maxLeverage: 100, maintenanceMarginRate: 0.004 },
+  { tier: 2, maxNotional: 500000, maxLeverage: 75, maintenanceMarginRate: 0.006 },
+  { tier: 3, maxNotional: 2000000, maxLeverage: 50, maintenanceMarginRate: 0.008 },
+  { tier: 4, maxNotional: 10000000, maxLeverage: 20, maintenanceMarginRate: 0.02 },
+  { tier: 5, maxNotional: Infinity, maxLeverage: 10, maintenanceMarginRate: 0.05 },
+];
+
+const OKX_ALT_TIERS = [
+  { tier: 1, maxNotional: 50000, maxLeverage: 50, maintenanceMarginRate: 0.01 },
+  { tier: 2, maxNotional: 250000, maxLeverage: 20, maintenanceMarginRate: 0.02 },
+  { tier: 3, maxNotional: 1000000, maxLeverage: 10, maintenanceMarginRate: 0.05 },
+  { tier: 4, maxNotional: Infinity, maxLeverage: 5, maintenanceMarginRate: 0.1 },
+];
+
+export const EXCHANGE_PROFILES = [
+  {
+    id: "bitget",
+    name: "Bitget",
+    orderFormat: "bitget",
+    defaultMaxLeverage: 75,
+    feeTiers: [
+      { name: "VIP 0", maker: 0.02, taker: 0.06 },
+      { name: "VIP 1", maker: 0.016, taker: 0.05 },
+      { name: "VIP 2", maker: 0.014, taker: 0.045 },
+    ],
+    leverageTiers: null, // Bitget specs already carry their own tiers
+    rounding: { price: "nearest", quantity: "floor" },
+    specOverrides: {},
+  },
+  {
+    id: "binance",
+    name: "Binance",
+    orderFormat: "binance",
+    defaultMaxLeverage: 75,
+    feeTiers: [
+      { name: "VIP 0", maker: 0.02, taker: 0.05 },
+      { name: "VIP 1", maker: 0.016, taker: 0.04 },
+      { name: "VIP 2", maker: 0.014, taker: 0.035 },
+    ],
+    leverageTiers: BINANCE_ALT_TIERS,
+    rounding: { price: "nearest", quantity: "floor" },
+    specOverrides: {
+      BTCUSDT: { tickSize: 0.1, quantityStep: 0.001, minOrderSize: 0.001, minNotional: 100, maxLeverage: 125, leverageTiers: BINANCE_MAJOR_TIERS },
+      ETHUSDT: { tickSize: 0.01, quantityStep: 0.001, minOrderSize: 0.001, minNotional: 20, maxLeverage: 125, leverageTiers: BINANCE_MAJOR_TIERS },
+      SOLUSDT: { tickSize: 0.01, quantityStep: 1, minOrderSize: 1, minNotional: 5, maxLeverage: 75, leverageTiers: BINANCE_ALT_TIERS },
+      BNBUSDT: { tickSize: 0.01, quantityStep: 0.01, minOrderSize: 0.01, minNotional: 5, maxLeverage: 75, leverageTiers: BINANCE_ALT_TIERS },
+      XRPUSDT: { tickSize: 0.0001, quantityStep: 0.1, minOrderSize: 0.1, minNotional: 5, maxLeverage: 75, leverageTiers: BINANCE_ALT_TIERS },
+      DOGEUSDT: { tickSize: 0.00001, quantityStep: 1, minOrderSize: 1, minNotional: 5, maxLeverage: 75, leverageTiers: BINANCE_ALT_TIERS },
+    },
+  },
+  {
+    id: "bybit",
+    name: "Bybit",
+    orderFormat: "bybit",
+    defaultMaxLeverage: 50,
+    feeTiers: [
+      { name: "VIP 0", maker: 0.02, taker: 0.055 },
+      { name: "VIP 1", maker: 0.018, taker: 0.04 },
+      { name: "VIP 2", maker: 0.016, taker: 0.0375 },
+    ],
+    leverageTiers: BYBIT_ALT_TIERS,
+    rounding: { price: "nearest", quantity: "floor" },
+    specOverrides: {
+      BTCUSDT: { tickSize: 0.1, quantityStep: 0.001, minOrderSize: 0.001, minNotional: 5, maxLeverage: 100, leverageTiers: BYBIT_MAJOR_TIERS },
+      ETHUSDT: { tickSize: 0.01, quantityStep: 0.01, minOrderSize: 0.01, minNotional: 5, maxLeverage: 100, leverageTiers: BYBIT_MAJOR_TIERS },
+      SOLUSDT: { tickSize: 0.01, quantityStep: 0.1, minOrderSize: 0.1, minNotional: 5, maxLeverage: 50, leverageTiers: BYBIT_ALT_TIERS },
+      BNBUSDT: { tickSize: 0.01, quantityStep: 0.01, minOrderSize: 0.01, minNotional: 5, maxLeverage: 50, leverageTiers: BYBIT_ALT_TIERS },
+      XRPUSDT: { tickSize: 0.0001, quantityStep: 1, minOrderSize: 1, minNotional: 5, maxLeverage: 50, leverageTiers: BYBIT_ALT_TIERS },
+      DOGEUSDT: { tickSize: 0.00001, quantityStep: 1, minOrderSize: 1, minNotional: 5, maxLeverage: 50, leverageTiers: BYBIT_ALT_TIERS },
+    },
+  },
+  {
+    id: "okx",
+    name: "OKX",
+    orderFormat: "okx",
+    defaultMaxLeverage: 50,
+    feeTiers: [
+      { name: "Regular", maker: 0.02, taker: 0.05 },
+      { name: "VIP 1", maker: 0.015, taker: 0.04 },
+      { name: "VIP 2", maker: 0.01, taker: 0.035 },
+    ],
+    leverageTiers: OKX_ALT_TIERS,
+    // Sizes are whole 0.01-contract lots, so the quantity step is a hundredth of the contract value
+    rounding: { price: "nearest", quantity: "floor" },
+    specOverrides: {
+      BTCUSDT: { tickSize: 0.1, contractValue: 0.01, quantityStep: 0.0001, minOrderSize: 0.0001, minNotional: 0, maxLeverage: 100, leverageTiers: OKX_MAJOR_TIERS },
+      ETHUSDT: { tickSize: 0.01, contractValue: 0.1, quantityStep: 0.001, minOrderSize: 0.001, minNotional: 0, maxLeverage: 100, leverageTiers: OKX_MAJOR_TIERS },
+      SOLUSDT: { tickSize: 0.01, contractValue: 1, quantityStep: 0.01, minOrderSize: 0.01, minNotional: 0, maxLeverage: 50, leverageTiers: OKX_ALT_TIERS },
+      BNBUSDT: { tickSize: 0.01, contractValue: 0.01, quantityStep: 0.0001, minOrderSize: 0.0001, minNotional: 0, maxLeverage: 50, leverageTiers: OKX_ALT_TIERS },
+      XRPUSDT: { tickSize: 0.0001, contractValue: 100, quantityStep: 1, minOrderSize: 1, minNotional: 0, maxLeverage: 50, leverageTiers: OKX_ALT_TIERS },
+      DOGEUSDT: { tickSize: 0.00001, contractValue: 1000, quantityStep: 10, minOrderSize: 10, minNotional: 0, maxLeverage: 50, leverageTiers: OKX_ALT_TIERS },
+    },
+  },
+];
+
+export const getExchangeProfile = (id) => EXCHANGE_PROFILES.find((profile) => profile.id === id) || EXCHANGE_PROFILES[0];
+
+const STORAGE_KEY = "exchange";
+
+export const loadExchangeId = () => localStorage.getItem(STORAGE_KEY) || "bitget";
+
+export const saveExchangeId = (id) => {
+  localStorage.setItem(STORAGE_KEY, id);
+};
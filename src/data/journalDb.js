@@ -0,0 +1,62 @@
+const DB_NAME = "tradeJournal";
+const DB_VERSION = 1;
+const STORE_NAME = "trades";
+
+let dbPromise = null;
+
+const openJournalDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+          store.createIndex("symbol", "plan.symbol");
+          store.createIndex("createdAt", "createdAt");
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Wraps a single-store transaction in a promise that settles when it completes
+const runTransaction = async (mode, operation) => {
+  const db = await openJournalDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const getAllTrades = async () => {
+  const trades = await runTransaction("readonly", (store) => store.getAll());
+  return trades.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const saveTrade = async (trade) => {
+  const record = { ...trade, updatedAt: new Date().toISOString() };
+  const id = await runTransaction("readwrite", (store) => store.put(record));
+  return { ...record, id };
+};
+
+export const deleteTrade = (id) => runTransaction("readwrite", (store) => store.delete(id));
+
+export const getTradeOutcome = (trade) => {
+  if (trade.status !== "closed") return trade.status;
+  const pnl = trade.execution.realizedPnl;
+  if (pnl > 0) return "win";
+  if (pnl < 0) return "loss";
+  return "breakeven";
+};
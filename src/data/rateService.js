@@ -0,0 +1,164 @@
+import { isPegged } from "./currencies";
+
+// USD exchange rates from three public APIs, cross-checked against each other and cached in
+// localStorage with their source and timestamp so the app keeps working offline.
+export const RATE_PROVIDERS = [
+  { name: "Frankfurter", getUrl: (quotes) => `https://api.frankfurter.app/latest?from=USD&to=${quotes.join(",")}` },
+  { name: "open.er-api", getUrl: () => "https://open.er-api.com/v6/latest/USD" },
+  { name: "ExchangeRate-API", getUrl: () => "https://api.exchangerate-api.com/v4/latest/USD" },
+];
+
+// Last-resort rates when nothing has ever been fetched
+export const FALLBACK_RATES = { PHP: 58.52, SGD: 1.35, EUR: 0.92 };
+
+// Providers further than this from the median are treated as bad data
+export const MAX_PROVIDER_DEVIATION = 0.02;
+
+// Rates older than this are flagged as stale
+export const STALE_AFTER_MS = 12 * 60 * 60 * 1000;
+
+const HISTORY_LIMIT = 200;
+const STORAGE_KEY = "exchangeRates";
+
+// Stand-in for localStorage outside the browser
+const createMemoryStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => items[key] ?? null,
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Pass `fetchImpl`, `storage` and `now` to run without network or a browser, e.g. with a
+ * fetch stub that resolves { json: () => ({ rates: { PHP: 58 } }) }.
+ */
+export const createRateService = ({
+  fetchImpl = (...args) => fetch(...args),
+  storage = globalThis.localStorage ?? createMemoryStorage(),
+  now = Date.now,
+} = {}) => {
+  const readStore = () => {
+    try {
+      return JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  };
+
+  const writeStore = (store) => {
+    storage.setItem(STORAGE_KEY, JSON.stringify(store));
+  };
+
+  const getEntry = (quote) => readStore()[quote] || { cached: null, override: null, history: [] };
+
+  const updateEntry = (quote, changes) => {
+    const store = readStore();
+    store[quote] = { ...getEntry(quote), ...changes };
+    writeStore(store);
+  };
+
+  // One request per provider covers every quote; resolves to { name, rates } or { name, error }
+  const fetchProvider = async (provider, quotes) => {
+    try {
+      const response = await fetchImpl(provider.getUrl(quotes));
+      const data = await response.json();
+      return { name: provider.name, rates: data?.rates || {} };
+    } catch (error) {
+      return { name: provider.name, error: error.message || "Request failed" };
+    }
+  };
+
+  const toQuoteAnswer = (response, quote) => {
+    if (response.error) return { name: response.name, error: response.error };
+    const rate = response.rates[quote];
+    return rate > 0 ? { name: response.name, rate } : { name: response.name, error: `No ${quote} rate in response` };
+  };
+
+  // Cross-checks one quote's answers and caches the agreed rate
+  const storeQuote = (quote, providers) => {
+    const answered = providers.filter((provider) => provider.rate);
+    if (answered.length === 0) {
+      return { ok: false, error: "every provider failed", providers, cached: getEntry(quote).cached };
+    }
+
+    const middle = median(answered.map((provider) => provider.rate));
+    providers.forEach((provider) => {
+      if (provider.rate) provider.agrees = Math.abs(provider.rate - middle) / middle <= MAX_PROVIDER_DEVIATION;
+    });
+    const agreeing = answered.filter((provider) => provider.agrees);
+
+    // Two answers far apart are both off their own median; neither can be trusted
+    if (agreeing.length === 0) {
+      return { ok: false, error: "providers disagree", providers, cached: getEntry(quote).cached };
+    }
+
+    const cached = {
+      rate: agreeing.reduce((sum, provider) => sum + provider.rate, 0) / agreeing.length,
+      source: agreeing.map((provider) => provider.name).join(" + "),
+      fetchedAt: now(),
+      // A single answer can't be cross-checked
+      verified: agreeing.length >= 2,
+      providers,
+    };
+    const history = [...getEntry(quote).history, { rate: cached.rate, source: cached.source, fetchedAt: cached.fetchedAt }];
+    updateEntry(quote, { cached, history: history.slice(-HISTORY_LIMIT) });
+
+    return { ok: true, providers, cached };
+  };
+
+  /**
+   * Queries every provider, drops answers that disagree with the median and caches the mean of
+   * the rest, separately for each quote. Resolves to { ok, quotes: { [quote]: { ok, error,
+   * providers, cached } } } - when no rate could be agreed for a quote (every provider failed or
+   * none agree) `ok` is false and `cached` is the previous good rate, left in place.
+   */
+  const refresh = async (quotes = ["PHP"]) => {
+    const fetchable = [].concat(quotes).filter((quote) => !isPegged(quote));
+    if (fetchable.length === 0) return { ok: true, quotes: {} };
+
+    const responses = await Promise.all(RATE_PROVIDERS.map((provider) => fetchProvider(provider, fetchable)));
+    const results = Object.fromEntries(
+      fetchable.map((quote) => [quote, storeQuote(quote, responses.map((response) => toQuoteAnswer(response, quote)))])
+    );
+    return { ok: Object.values(results).every((result) => result.ok), quotes: results };
+  };
+
+  // Manual rate that wins over fetched ones until cleared with null
+  const setOverride = (quote, rate) => {
+    updateEntry(quote, { override: rate > 0 ? { rate, setAt: now() } : null });
+  };
+
+  /**
+   * The rate to use right now: override, then the cached fetch, then FALLBACK_RATES.
+   * `kind` is "override", "live", "stale", "fallback" or "pegged" (USD and USDT).
+   */
+  const getRate = (quote = "PHP") => {
+    if (isPegged(quote)) {
+      return { rate: 1, kind: "pegged", source: "Pegged to USD", timestamp: null, cached: null };
+    }
+    const { cached, override } = getEntry(quote);
+    if (override) {
+      return { rate: override.rate, kind: "override", source: "Manual override", timestamp: override.setAt, cached };
+    }
+    if (cached) {
+      const isStale = now() - cached.fetchedAt > STALE_AFTER_MS;
+      return { rate: cached.rate, kind: isStale ? "stale" : "live", source: cached.source, timestamp: cached.fetchedAt, cached };
+    }
+    return { rate: FALLBACK_RATES[quote] ?? 1, kind: "fallback", source: "Built-in default", timestamp: null, cached: null };
+  };
+
+  const getHistory = (quote = "PHP") => getEntry(quote).history;
+
+  return { refresh, setOverride, getRate, getHistory };
+};
+
+export const rateService = createRateService();
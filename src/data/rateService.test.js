@@ -0,0 +1,129 @@
+import { describe, expect, it } from "vitest";
+import { RATE_PROVIDERS, STALE_AFTER_MS, createRateService } from "./rateService";
+
+// Answers keyed by provider name: a rates object, or an Error for a failed request
+const stubFetch = (answers) => async (url) => {
+  const provider = RATE_PROVIDERS.find((candidate) => candidate.getUrl(["PHP"]) === url);
+  const answer = answers[provider.name];
+  if (answer instanceof Error) throw answer;
+  return { json: async () => ({ rates: answer }) };
+};
+
+const createStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => items[key] ?? null,
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+};
+
+// A service sharing storage and a settable clock across several fetch stubs
+const setup = () => {
+  const storage = createStorage();
+  const clock = { time: 1_000_000 };
+  const withFetch = (answers) => createRateService({ fetchImpl: stubFetch(answers), storage, now: () => clock.time });
+  return { clock, withFetch };
+};
+
+const agreeing = { Frankfurter: { PHP: 58 }, "open.er-api": { PHP: 58.2 }, "ExchangeRate-API": { PHP: 58.4 } };
+const offline = { Frankfurter: new Error("offline"), "open.er-api": new Error("offline"), "ExchangeRate-API": new Error("offline") };
+
+describe("createRateService", () => {
+  it("caches the mean of three agreeing providers", async () => {
+    const service = setup().withFetch(agreeing);
+    const result = await service.refresh(["PHP"]);
+
+    expect(result.ok).toBe(true);
+    const rate = service.getRate("PHP");
+    expect(rate.kind).toBe("live");
+    expect(rate.rate).toBeCloseTo(58.2, 8);
+    expect(rate.source).toBe("Frankfurter + open.er-api + ExchangeRate-API");
+    expect(rate.cached.verified).toBe(true);
+  });
+
+  it("drops an outlier", async () => {
+    const service = setup().withFetch({ ...agreeing, "ExchangeRate-API": { PHP: 70 } });
+    const result = await service.refresh(["PHP"]);
+
+    expect(result.quotes.PHP.providers.find((provider) => provider.name === "ExchangeRate-API").agrees).toBe(false);
+    expect(service.getRate("PHP").rate).toBeCloseTo(58.1, 8);
+    expect(service.getRate("PHP").source).toBe("Frankfurter + open.er-api");
+  });
+
+  it("keeps the cached rate when every provider fails", async () => {
+    const { withFetch } = setup();
+    await withFetch(agreeing).refresh(["PHP"]);
+    const service = withFetch(offline);
+    const result = await service.refresh(["PHP"]);
+
+    expect(result.ok).toBe(false);
+    expect(result.quotes.PHP.error).toBe("every provider failed");
+    expect(result.quotes.PHP.cached.rate).toBeCloseTo(58.2, 8);
+    expect(service.getRate("PHP").rate).toBeCloseTo(58.2, 8);
+  });
+
+  it("falls back to the built-in rate with nothing cached", async () => {
+    const service = setup().withFetch(offline);
+    await service.refresh(["PHP"]);
+    expect(service.getRate("PHP")).toMatchObject({ kind: "fallback", rate: 58.52 });
+  });
+
+  it("keeps the cached rate when the providers disagree", async () => {
+    const { withFetch } = setup();
+    await withFetch(agreeing).refresh(["PHP"]);
+    const service = withFetch({ Frankfurter: { PHP: 50 }, "open.er-api": { PHP: 60 }, "ExchangeRate-API": new Error("offline") });
+    const result = await service.refresh(["PHP"]);
+
+    expect(result.ok).toBe(false);
+    expect(result.quotes.PHP.error).toBe("providers disagree");
+    expect(service.getRate("PHP")).toMatchObject({ kind: "live", source: "Frankfurter + open.er-api + ExchangeRate-API" });
+    expect(service.getRate("PHP").rate).toBeCloseTo(58.2, 8);
+    expect(service.getHistory("PHP")).toHaveLength(1);
+  });
+
+  it("flags a rate as stale after STALE_AFTER_MS", async () => {
+    const { clock, withFetch } = setup();
+    const service = withFetch(agreeing);
+    await service.refresh(["PHP"]);
+
+    clock.time += STALE_AFTER_MS;
+    expect(service.getRate("PHP").kind).toBe("live");
+    clock.time += 1;
+    expect(service.getRate("PHP").kind).toBe("stale");
+  });
+
+  it("prefers a manual override until it is cleared", async () => {
+    const service = setup().withFetch(agreeing);
+    await service.refresh(["PHP"]);
+
+    service.setOverride("PHP", 60);
+    expect(service.getRate("PHP")).toMatchObject({ kind: "override", rate: 60 });
+    await service.refresh(["PHP"]);
+    expect(service.getRate("PHP").rate).toBe(60);
+
+    service.setOverride("PHP", null);
+    expect(service.getRate("PHP").kind).toBe("live");
+  });
+
+  it("keeps the latest 200 rates in the history", async () => {
+    const { clock, withFetch } = setup();
+    const service = withFetch(agreeing);
+    const firstFetch = clock.time;
+    for (let i = 0; i < 201; i++) {
+      await service.refresh(["PHP"]);
+      clock.time += 1000;
+    }
+
+    const history = service.getHistory("PHP");
+    expect(history).toHaveLength(200);
+    expect(history[0].fetchedAt).toBe(firstFetch + 1000);
+  });
+
+  it("never fetches pegged currencies", async () => {
+    const service = setup().withFetch(offline);
+    expect(await service.refresh(["USD", "USDT"])).toEqual({ ok: true, quotes: {} });
+    expect(service.getRate("USDT")).toMatchObject({ kind: "pegged", rate: 1 });
+  });
+});
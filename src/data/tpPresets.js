@@ -0,0 +1,71 @@
+/**
+ * A take-profit level is placed by `type`:
+ * - "r": R multiple of the stop distance (value = 1.5 → 1.5R)
+ * - "price": absolute price
+ * - "percent": percent move from entry
+ * - "target": the Take Profit input
+ * - "auto": 2R for 3R+ setups, 1.5R for 2R+ setups, otherwise midway to the target
+ * `stopAction` runs after the level fills: "entry" (break-even), "previous" (previous level),
+ * "price" (`stopPrice`) or "none".
+ * `probability` is the optional % chance of reaching the level; blank uses a random-walk estimate.
+ */
+export const DEFAULT_TP_LADDER = [
+  { id: 1, type: "r", value: "1", closePercent: "50", stopAction: "entry" },
+  { id: 2, type: "auto", value: "", closePercent: "30", stopAction: "previous" },
+  { id: 3, type: "target", value: "", closePercent: "20", stopAction: "none" },
+];
+
+export const BUILT_IN_TP_PRESETS = [
+  { name: "Smart 50/30/20", builtIn: true, levels: DEFAULT_TP_LADDER },
+  {
+    name: "All-in / all-out",
+    builtIn: true,
+    levels: [{ id: 1, type: "target", value: "", closePercent: "100", stopAction: "none" }],
+  },
+  {
+    name: "Thirds 1R / 2R / target",
+    builtIn: true,
+    levels: [
+      { id: 1, type: "r", value: "1", closePercent: "33", stopAction: "entry" },
+      { id: 2, type: "r", value: "2", closePercent: "33", stopAction: "previous" },
+      { id: 3, type: "target", value: "", closePercent: "34", stopAction: "none" },
+    ],
+  },
+  {
+    name: "Scalp 70/30",
+    builtIn: true,
+    levels: [
+      { id: 1, type: "r", value: "1", closePercent: "70", stopAction: "entry" },
+      { id: 2, type: "target", value: "", closePercent: "30", stopAction: "none" },
+    ],
+  },
+];
+
+export const LEVEL_TYPES = [
+  { value: "r", label: "R multiple" },
+  { value: "price", label: "Price" },
+  { value: "percent", label: "% move" },
+  { value: "target", label: "Final target" },
+  { value: "auto", label: "Auto (1.5-2R)" },
+];
+
+export const STOP_ACTIONS = [
+  { value: "none", label: "Keep stop" },
+  { value: "entry", label: "SL to entry" },
+  { value: "previous", label: "SL to previous TP" },
+  { value: "price", label: "SL to price" },
+];
+
+const STORAGE_KEY = "tpPresets";
+
+export const loadCustomTPPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveCustomTPPresets = (presets) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+};
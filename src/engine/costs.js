@@ -0,0 +1,36 @@
+/**
+ * `costs` holds the trading cost settings, all in %: { entryOrderType ("market" or "limit"),
+ * makerFeeRate, takerFeeRate, entrySlippage, stopSlippage, tpSlippage, fundingRate (per 8h),
+ * holdingHours }, plus `spot` (no funding) and `inverseEntry` (set for inverse contracts).
+ */
+export const calculateEntryCosts = (entry, assets, positionType, costs) => {
+  const notional = assets * entry;
+  const feeRate = ((costs.entryOrderType === "limit" ? costs.makerFeeRate : costs.takerFeeRate) || 0) / 100;
+  const slippageRate = costs.entryOrderType === "limit" ? 0 : (costs.entrySlippage || 0) / 100;
+
+  // Longs pay positive funding, shorts receive it; spot holdings pay none
+  const fundingPeriods = costs.spot ? 0 : (costs.holdingHours || 0) / 8;
+  const fundingPerPeriod = notional * ((costs.fundingRate || 0) / 100);
+  const funding = (positionType === "long" ? 1 : -1) * fundingPerPeriod * fundingPeriods;
+
+  return {
+    fee: notional * feeRate,
+    slippage: notional * slippageRate,
+    funding,
+    total: notional * feeRate + notional * slippageRate + funding,
+  };
+};
+
+export const calculateExitCosts = (exitPrice, assets, exitType, costs) => {
+  // Inverse contracts have a fixed USD value, so fees don't scale with the exit price
+  const notional = costs.inverseEntry ? assets * costs.inverseEntry : assets * exitPrice;
+  // Stop losses are market orders (taker), take profits are resting limit orders (maker)
+  const feeRate = ((exitType === "stop" ? costs.takerFeeRate : costs.makerFeeRate) || 0) / 100;
+  const slippageRate = ((exitType === "stop" ? costs.stopSlippage : costs.tpSlippage) || 0) / 100;
+
+  return {
+    fee: notional * feeRate,
+    slippage: notional * slippageRate,
+    total: notional * feeRate + notional * slippageRate,
+  };
+};
@@ -0,0 +1,9 @@
+// Position sizing engine: the calculator UI and any CLI or worker size trades through this.
+// Everything here is pure: inputs are explicit and nothing reads React state, storage or the network.
+export { calculateEntryCosts, calculateExitCosts } from "./costs";
+export { calculatePartialTPLevels, validateTPLadder } from "./ladder";
+export { calculateOptimalLeverage, calculateRiskExactSize } from "./leverage";
+export { applyLiquidationGuard, calculateLiquidationPrice, calculateLiquidationRisk } from "./liquidation";
+export { createMarket } from "./market";
+export { calculateExpectedValue, calculatePartialTPProfits, getStopRule } from "./outcomes";
+export { calculateRiskReward } from "./riskReward";
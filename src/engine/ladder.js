@@ -0,0 +1,124 @@
+/**
+ * Prices and labels for a TP ladder as stored by the ladder editor (string values, see
+ * data/tpPresets). Levels are snapped to `market`'s tick size.
+ */
+export const calculatePartialTPLevels = (entry, stop, target, positionType, ladder, market) => {
+  const { roundPrice, priceDecimals } = market;
+  const riskPerCoin = Math.abs(entry - stop);
+  const direction = positionType === "long" ? 1 : -1;
+  const rrRatio = Math.abs(target - entry) / riskPerCoin;
+
+  const prices = [];
+  ladder.forEach((level, index) => {
+    const value = parseFloat(level.value);
+    let price;
+    if (level.type === "r") {
+      price = entry + direction * riskPerCoin * value;
+    } else if (level.type === "price") {
+      price = value;
+    } else if (level.type === "percent") {
+      price = entry * (1 + (direction * value) / 100);
+    } else if (level.type === "auto") {
+      // Smart level: 2R for high R:R (3+), 1.5R for medium R:R (2-3),
+      // otherwise halfway between the previous level (or 1R) and the final target
+      if (rrRatio >= 3) {
+        price = entry + direction * riskPerCoin * 2;
+      } else if (rrRatio >= 2) {
+        price = entry + direction * riskPerCoin * 1.5;
+      } else {
+        const previous = index > 0 ? prices[index - 1] : entry + direction * riskPerCoin;
+        price = (previous + target) / 2;
+      }
+    } else {
+      price = target;
+    }
+    // Snap every level to the contract's tick size
+    prices.push(roundPrice(price));
+  });
+
+  const levels = ladder.map((level, index) => {
+    const price = prices[index];
+    const rMultiple = ((price - entry) * direction) / riskPerCoin;
+    const isLast = index === ladder.length - 1;
+
+    let action = null;
+    if (level.stopAction === "entry") {
+      action = "Move stop loss to entry price (break-even)";
+    } else if (level.stopAction === "previous") {
+      action = index === 0 ? "Move stop loss to entry price (break-even)" : `Move stop loss to TP${index} (risk-free trade)`;
+    }
+    const stopPrice = level.stopAction === "price" ? roundPrice(parseFloat(level.stopPrice)) : null;
+    if (level.stopAction === "price") {
+      action = `Move stop loss to $${Number.isFinite(stopPrice) ? stopPrice.toFixed(priceDecimals) : "-"}`;
+    }
+
+    // Without an estimate, a driftless market reaches +kR before -1R with probability 1 / (1 + k)
+    const probability = parseFloat(level.probability);
+    const hasProbability = Number.isFinite(probability);
+
+    return {
+      price,
+      rMultiple,
+      closePercent: parseFloat(level.closePercent) || 0,
+      stopAction: level.stopAction,
+      stopPrice,
+      hitProbability: hasProbability ? probability / 100 : 1 / (1 + Math.max(rMultiple, 0)),
+      probabilityEstimated: !hasProbability,
+      action,
+      label: isLast && level.type === "target" ? `Final Target (${rMultiple.toFixed(1)}R)` : `TP${index + 1} (${rMultiple.toFixed(1)}R)`,
+      description: isLast ? "Maximum profit target" : action ? "Secure profits and protect the rest" : "Scale out",
+    };
+  });
+
+  // Price has to pass a level to reach the next one, so an estimate is kept between the odds
+  // around it: no likelier than the level before, no less likely than a later entered level
+  levels.forEach((level, index) => {
+    if (!level.probabilityEstimated) return;
+    const previous = index > 0 ? levels[index - 1].hitProbability : 1;
+    const laterEntered = levels.slice(index + 1).filter((later) => !later.probabilityEstimated);
+    const floor = Math.max(0, ...laterEntered.map((later) => later.hitProbability));
+    level.hitProbability = Math.max(Math.min(level.hitProbability, previous), floor);
+  });
+
+  return levels;
+};
+
+export const validateTPLadder = (levels, entry, positionType) => {
+  const errors = [];
+  if (levels.length === 0) {
+    errors.push("Add at least one take-profit level");
+    return errors;
+  }
+
+  const totalPercent = levels.reduce((sum, level) => sum + level.closePercent, 0);
+  if (Math.abs(totalPercent - 100) > 0.01) {
+    errors.push(`Close percentages add up to ${totalPercent}% - they must total 100%`);
+  }
+  if (levels.some((level) => level.closePercent < 0)) {
+    errors.push("Close percentages cannot be negative");
+  }
+
+  const direction = positionType === "long" ? 1 : -1;
+  let lastEntered = null; // Index of the previous level with a probability the user entered
+  levels.forEach((level, index) => {
+    if (!Number.isFinite(level.price) || (level.price - entry) * direction <= 0) {
+      errors.push(`TP${index + 1} must be on the profit side of entry`);
+    } else if (index > 0 && (level.price - levels[index - 1].price) * direction < 0) {
+      errors.push(`TP${index + 1} must be further from entry than TP${index}`);
+    }
+    if (level.stopAction === "price" && (!Number.isFinite(level.stopPrice) || (level.price - level.stopPrice) * direction <= 0)) {
+      errors.push(`The stop after TP${index + 1} must be a price behind TP${index + 1}`);
+    }
+    // Estimates already fit around the entered odds; only entered ones can contradict each other
+    if (level.hitProbability < 0 || level.hitProbability > 1) {
+      errors.push(`TP${index + 1} hit probability must be between 0% and 100%`);
+    } else if (!level.probabilityEstimated) {
+      if (lastEntered !== null && level.hitProbability > levels[lastEntered].hitProbability + 1e-9) {
+        errors.push(`TP${index + 1} can't be more likely to hit than TP${lastEntered + 1}`);
+      }
+      lastEntered = index;
+    }
+  });
+
+  return errors;
+};
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { createMarket } from "./market";
+import { calculatePartialTPLevels, validateTPLadder } from "./ladder";
+
+const market = createMarket({});
+
+// Long from 100 with the stop at 95: levels at 1R, 2R and 3R
+const ladderWith = (probabilities) =>
+  probabilities.map((probability, index) => ({
+    id: index + 1,
+    type: "r",
+    value: String(index + 1),
+    closePercent: index === 0 ? "50" : "25",
+    stopAction: "none",
+    probability,
+  }));
+
+const levelsFor = (probabilities) => calculatePartialTPLevels(100, 95, 115, "long", ladderWith(probabilities), market);
+
+describe("TP ladder probabilities", () => {
+  it("estimates blank levels with 1 / (1 + R)", () => {
+    const levels = levelsFor(["", "", ""]);
+    expect(levels.map((level) => level.hitProbability)).toEqual([0.5, 1 / 3, 0.25]);
+    expect(validateTPLadder(levels, 100, "long")).toEqual([]);
+  });
+
+  it("keeps estimates at or below an entered level before them", () => {
+    const levels = levelsFor(["20", "", ""]);
+    expect(levels.map((level) => level.hitProbability)).toEqual([0.2, 0.2, 0.2]);
+    expect(levels[1].probabilityEstimated).toBe(true);
+    expect(validateTPLadder(levels, 100, "long")).toEqual([]);
+  });
+
+  it("keeps estimates at or above an entered level after them", () => {
+    const levels = levelsFor(["", "", "45"]);
+    expect(levels.map((level) => level.hitProbability)).toEqual([0.5, 0.45, 0.45]);
+    expect(validateTPLadder(levels, 100, "long")).toEqual([]);
+  });
+
+  it("reports entered probabilities that rise further out", () => {
+    const levels = levelsFor(["30", "", "40"]);
+    expect(validateTPLadder(levels, 100, "long")).toEqual(["TP3 can't be more likely to hit than TP1"]);
+  });
+});
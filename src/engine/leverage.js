@@ -0,0 +1,97 @@
+import { LIQUIDATION_ATR_BUFFER, getVolatilityLeverageCap } from "../utils/volatility";
+
+const getLeverageExplanation = (leverage, riskMove) => {
+  if (riskMove >= 10) {
+    return "High risk distance - using minimal leverage for safety";
+  } else if (riskMove >= 5) {
+    return "Moderate risk distance - conservative leverage recommended";
+  } else if (riskMove >= 3) {
+    return "Balanced risk distance - moderate leverage suitable";
+  } else if (riskMove >= 2) {
+    return "Low risk distance - higher leverage acceptable";
+  } else {
+    return "Tight stop loss - maximum safe leverage calculated";
+  }
+};
+
+/**
+ * Leverage that risks `riskPct` of capital when `allocation` % of it is posted as margin.
+ * `volatility` is analyzeVolatility() output; with `leverageMode` "volatility" it caps leverage by
+ * ATR, otherwise fixed stop-distance bands apply.
+ */
+export const calculateOptimalLeverage = (entry, stop, capital, riskPct, allocation, maxLev, { leverageMode, volatility } = {}) => {
+  // Calculate risk per coin (price distance to stop loss)
+  const riskPerCoin = Math.abs(entry - stop);
+  const riskPercentageMove = (riskPerCoin / entry) * 100;
+  
+  // Max capital we're willing to risk (1% of total)
+  const maxRiskAmount = (capital * riskPct) / 100;
+  
+  // Allocated capital for this trade (10-25% of total)
+  const allocatedCapital = (capital * allocation) / 100;
+  
+  // Calculate optimal leverage
+  // Formula: Leverage = (Max Risk Amount) / (Allocated Capital × Risk %)
+  const optimalLeverage = maxRiskAmount / (allocatedCapital * (riskPercentageMove / 100));
+  
+  // Round to nearest integer and cap at max available leverage
+  let recommendedLeverage = Math.max(1, Math.min(Math.round(optimalLeverage), maxLev));
+  
+  // Volatility mode caps leverage by the coin's ATR from imported history; classic mode
+  // (or no history) uses fixed stop-distance bands
+  if (leverageMode === "volatility" && volatility) {
+    const atrPercent = (volatility.atr / entry) * 100;
+    const volatilityCap = getVolatilityLeverageCap(atrPercent);
+    recommendedLeverage = Math.min(recommendedLeverage, volatilityCap);
+    const stopInATR = riskPerCoin / volatility.atr;
+
+    return {
+      optimal: recommendedLeverage,
+      riskPercentageMove,
+      volatilityCap,
+      stopInATR,
+      explanation: stopInATR < 1
+        ? `Stop is inside 1 ATR (${atrPercent.toFixed(2)}%) - normal noise may tag it`
+        : `ATR ${atrPercent.toFixed(2)}% caps leverage at ${volatilityCap}x to keep liquidation ${LIQUIDATION_ATR_BUFFER}+ ATRs away`,
+    };
+  }
+
+  if (riskPercentageMove >= 10) {
+    recommendedLeverage = Math.min(recommendedLeverage, 2); // Very volatile
+  } else if (riskPercentageMove >= 5) {
+    recommendedLeverage = Math.min(recommendedLeverage, 5); // Volatile
+  } else if (riskPercentageMove >= 3) {
+    recommendedLeverage = Math.min(recommendedLeverage, 10); // Moderate
+  } else if (riskPercentageMove >= 2) {
+    recommendedLeverage = Math.min(recommendedLeverage, 20); // Low volatility
+  }
+  // else allow full calculated leverage up to max
+  
+  return {
+    optimal: recommendedLeverage,
+    riskPercentageMove,
+    explanation: getLeverageExplanation(recommendedLeverage, riskPercentageMove)
+  };
+};
+
+export const calculateRiskExactSize = (entry, riskPerCoin, maxRiskAmount, allocatedAmount, maxLev) => {
+  // Quantity whose loss at the stop equals the risk budget exactly
+  const exactAssets = maxRiskAmount / riskPerCoin;
+  const exactPositionValue = exactAssets * entry;
+
+  // Minimum whole leverage that fits the notional inside the allocation
+  const requiredLeverage = Math.max(1, Math.ceil(exactPositionValue / allocatedAmount));
+  const leverage = Math.min(requiredLeverage, maxLev);
+
+  // If the exchange limit is too low, size down to what the allocation can carry
+  const isCapped = requiredLeverage > maxLev;
+  const positionValue = isCapped ? allocatedAmount * leverage : exactPositionValue;
+
+  return {
+    leverage,
+    requiredLeverage,
+    positionValue,
+    marginRequired: positionValue / leverage,
+    isCapped,
+  };
+};
@@ -0,0 +1,93 @@
+import { getInverseLiquidationPrice } from "../utils/inverse";
+
+// `market` is createMarket() output; it supplies the maintenance tier and contract type
+export const calculateLiquidationPrice = (entry, leverage, assets, positionType, marginMode, capital, market) => {
+  const notional = assets * entry;
+  const tier = market.getMaintenanceTier(notional);
+  const mmr = tier.maintenanceMarginRate;
+
+  let liquidationPrice;
+  if (market.contractType === "inverse") {
+    // Coin-margined: the capital is held in the coin itself
+    liquidationPrice = getInverseLiquidationPrice({
+      entry,
+      leverage,
+      maintenanceMarginRate: mmr,
+      direction: positionType === "long" ? 1 : -1,
+      marginMode,
+      notional,
+      balanceCoin: capital / entry,
+    });
+  } else if (marginMode === "cross") {
+    // Cross: the whole account balance backs the position
+    if (positionType === "long") {
+      liquidationPrice = (notional - capital) / (assets * (1 - mmr));
+    } else {
+      liquidationPrice = (notional + capital) / (assets * (1 + mmr));
+    }
+  } else {
+    // Isolated: only the position margin (notional / leverage) backs the position
+    if (positionType === "long") {
+      liquidationPrice = (entry * (1 - 1 / leverage)) / (1 - mmr);
+    } else {
+      liquidationPrice = (entry * (1 + 1 / leverage)) / (1 + mmr);
+    }
+  }
+
+  // A position that cannot lose enough to be liquidated has no liquidation price
+  if (liquidationPrice <= 0) liquidationPrice = 0;
+
+  return { price: liquidationPrice, tier };
+};
+
+export const calculateLiquidationRisk = (entry, stop, leverage, positionValue, capital, positionType, marginMode, market) => {
+  const assets = positionValue / entry;
+  const { price, tier } = calculateLiquidationPrice(entry, leverage, assets, positionType, marginMode, capital, market);
+
+  // Distance from stop to liquidation, positive when the stop triggers first
+  let distanceFromStop;
+  if (price === 0) {
+    distanceFromStop = Infinity;
+  } else if (positionType === "long") {
+    distanceFromStop = stop - price;
+  } else {
+    distanceFromStop = price - stop;
+  }
+
+  const exceedsTierLeverage = leverage > tier.maxLeverage;
+
+  return {
+    price,
+    tier: tier.tier,
+    maintenanceMarginRate: tier.maintenanceMarginRate,
+    maxTierLeverage: tier.maxLeverage,
+    distanceFromStop,
+    distanceFromStopPercent: (distanceFromStop / entry) * 100,
+    isSafe: distanceFromStop > 0 && !exceedsTierLeverage,
+  };
+};
+
+export const applyLiquidationGuard = (entry, stop, leverage, allocatedAmount, capital, positionType, marginMode, fixedPositionValue, market) => {
+  // Position value follows leverage in allocation sizing, but is fixed in risk-exact sizing
+  const getPositionValue = (lev) => fixedPositionValue ?? allocatedAmount * lev;
+
+  // Step leverage down until the stop loss triggers before liquidation
+  let safeLeverage = leverage;
+  let liquidation = calculateLiquidationRisk(entry, stop, safeLeverage, getPositionValue(safeLeverage), capital, positionType, marginMode, market);
+
+  while (!liquidation.isSafe && safeLeverage > 1) {
+    safeLeverage -= 1;
+    liquidation = calculateLiquidationRisk(entry, stop, safeLeverage, getPositionValue(safeLeverage), capital, positionType, marginMode, market);
+  }
+
+  return {
+    leverage: safeLeverage,
+    liquidation: {
+      ...liquidation,
+      mode: marginMode,
+      originalLeverage: leverage,
+      leverageReduced: safeLeverage < leverage,
+      blocked: !liquidation.isSafe,
+    },
+  };
+};
@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { getInversePnl } from "../utils/inverse";
+import { applyLiquidationGuard, calculateLiquidationPrice } from "./liquidation";
+import { createMarket } from "./market";
+
+describe("calculateLiquidationPrice", () => {
+  it("puts isolated longs below and shorts above the entry", () => {
+    const market = createMarket();
+    const long = calculateLiquidationPrice(100, 10, 100, "long", "isolated", 10000, market);
+    const short = calculateLiquidationPrice(100, 10, 100, "short", "isolated", 10000, market);
+    expect(long.price).toBeCloseTo(90.361, 3);
+    expect(short.price).toBeCloseTo(109.562, 3);
+  });
+
+  it("reports no liquidation when the balance covers the whole position", () => {
+    const { price } = calculateLiquidationPrice(100, 1, 10, "long", "cross", 10000, createMarket());
+    expect(price).toBe(0);
+  });
+});
+
+describe("applyLiquidationGuard", () => {
+  it("steps leverage down until the stop triggers first", () => {
+    const guard = applyLiquidationGuard(100, 95, 50, 1000, 10000, "long", "isolated", null, createMarket());
+    expect(guard.leverage).toBe(18);
+    expect(guard.liquidation.leverageReduced).toBe(true);
+    expect(guard.liquidation.originalLeverage).toBe(50);
+    expect(guard.liquidation.blocked).toBe(false);
+    expect(guard.liquidation.price).toBeLessThan(95);
+  });
+
+  it("keeps leverage that is already safe", () => {
+    const guard = applyLiquidationGuard(100, 95, 5, 1000, 10000, "long", "isolated", null, createMarket());
+    expect(guard.leverage).toBe(5);
+    expect(guard.liquidation.leverageReduced).toBe(false);
+  });
+
+  it("guards shorts against liquidation above the stop", () => {
+    const guard = applyLiquidationGuard(100, 105, 50, 1000, 10000, "short", "isolated", null, createMarket());
+    expect(guard.liquidation.price).toBeGreaterThan(105);
+    expect(guard.leverage).toBeLessThan(50);
+  });
+});
+
+describe("getInversePnl", () => {
+  it("pays the same USD either way but a different amount of coin", () => {
+    const up = getInversePnl(10000, 100, 110, 1);
+    const down = getInversePnl(10000, 100, 90, 1);
+    expect(up.usd).toBeCloseTo(1000, 8);
+    expect(down.usd).toBeCloseTo(-1000, 8);
+    expect(up.coin).toBeCloseTo(9.0909, 4);
+    expect(down.coin).toBeCloseTo(-11.1111, 4);
+  });
+
+  it("mirrors the long for a short", () => {
+    expect(getInversePnl(10000, 100, 110, -1).coin).toBeCloseTo(-9.0909, 4);
+  });
+});
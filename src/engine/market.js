@@ -0,0 +1,38 @@
+import { DEFAULT_LEVERAGE_TIERS } from "../data/contractSpecs";
+import { floorToStep, getStepDecimals, roundToStep } from "../utils/rounding";
+
+const applyRounding = (value, step, mode) => (mode === "floor" ? floorToStep(value, step) : roundToStep(value, step));
+
+/**
+ * Rounding and tier lookups for one instrument. `contractSpec` is a row from data/contractSpecs
+ * or null for a custom pair, `rounding` the exchange profile's { price, quantity } modes and
+ * `leverageTiers` the tiers used when there is no spec.
+ */
+export const createMarket = ({
+  contractSpec = null,
+  rounding = { price: "nearest", quantity: "floor" },
+  leverageTiers = DEFAULT_LEVERAGE_TIERS,
+  contractType = "linear",
+  inverseContractSize = 100,
+} = {}) => {
+  // Without a spec there is no step to round to
+  const roundPrice = (price) => (contractSpec ? applyRounding(price, contractSpec.tickSize, rounding.price) : price);
+  const roundQuantity = (quantity) =>
+    contractSpec ? applyRounding(quantity, contractSpec.quantityStep, rounding.quantity) : quantity;
+
+  const getMaintenanceTier = (notional) => {
+    const tiers = contractSpec ? contractSpec.leverageTiers : leverageTiers || DEFAULT_LEVERAGE_TIERS;
+    return tiers.find((tier) => notional <= tier.maxNotional) || tiers[tiers.length - 1];
+  };
+
+  return {
+    contractSpec,
+    contractType,
+    inverseContractSize,
+    priceDecimals: contractSpec ? Math.max(2, getStepDecimals(contractSpec.tickSize)) : 2,
+    quantityDecimals: contractSpec ? getStepDecimals(contractSpec.quantityStep) : 4,
+    roundPrice,
+    roundQuantity,
+    getMaintenanceTier,
+  };
+};
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_LEVERAGE_TIERS } from "../data/contractSpecs";
+import { createMarket } from "./market";
+
+const spec = {
+  symbol: "TESTUSDT",
+  tickSize: 0.1,
+  quantityStep: 0.001,
+  minOrderSize: 0.001,
+  minNotional: 5,
+  maxLeverage: 50,
+  leverageTiers: DEFAULT_LEVERAGE_TIERS,
+};
+
+describe("createMarket", () => {
+  it("rounds prices to the nearest tick and floors quantities by default", () => {
+    const market = createMarket({ contractSpec: spec });
+    expect(market.roundPrice(100.04)).toBe(100);
+    expect(market.roundPrice(100.06)).toBe(100.1);
+    expect(market.roundQuantity(1.2349)).toBe(1.234);
+  });
+
+  it("follows the exchange's rounding modes", () => {
+    const market = createMarket({ contractSpec: spec, rounding: { price: "floor", quantity: "nearest" } });
+    expect(market.roundPrice(100.09)).toBe(100);
+    expect(market.roundQuantity(1.2346)).toBe(1.235);
+  });
+
+  it("keeps exact multiples of the step despite float noise", () => {
+    const market = createMarket({ contractSpec: { ...spec, quantityStep: 0.1 } });
+    expect(market.roundQuantity(0.3)).toBe(0.3);
+    expect(market.roundQuantity(0.1 + 0.2)).toBe(0.3);
+  });
+
+  it("derives display decimals from the steps", () => {
+    const market = createMarket({ contractSpec: { ...spec, tickSize: 0.0001 } });
+    expect(market.priceDecimals).toBe(4);
+    expect(market.quantityDecimals).toBe(3);
+    expect(createMarket({ contractSpec: spec }).priceDecimals).toBe(2);
+  });
+
+  it("leaves values alone for a custom pair", () => {
+    const market = createMarket();
+    expect(market.roundPrice(100.0437)).toBe(100.0437);
+    expect(market.roundQuantity(1.23456)).toBe(1.23456);
+    expect(market.quantityDecimals).toBe(4);
+  });
+
+  it("picks the maintenance tier by notional", () => {
+    const market = createMarket();
+    expect(market.getMaintenanceTier(50000).tier).toBe(1);
+    expect(market.getMaintenanceTier(60000).tier).toBe(2);
+    expect(market.getMaintenanceTier(1e9).tier).toBe(6);
+  });
+});
@@ -0,0 +1,159 @@
+import { toContracts } from "../utils/inverse";
+import { roundToStep } from "../utils/rounding";
+import { getManagedStop } from "../utils/stopManagement";
+import { calculateExitCosts } from "./costs";
+
+/**
+ * Runner stop rule for utils/stopManagement. `stopManagement` is { type, trailPercent, atr,
+ * atrMultiple, stepR } as numbers.
+ */
+export const getStopRule = (entry, assets, entryCosts, stopManagement, costs) => ({
+  type: stopManagement.type,
+  trailPercent: stopManagement.trailPercent || 0,
+  atr: stopManagement.atr || 0,
+  atrMultiple: stopManagement.atrMultiple || 0,
+  stepR: stopManagement.stepR || 1,
+  // Distance past entry that covers entry costs plus a market stop exit
+  feeOffset: assets > 0 ? (entryCosts.total + calculateExitCosts(entry, assets, "stop", costs).total) / assets : 0,
+});
+
+// Gross P&L of `assets` closed at `exitPrice`. Inverse P&L is the coin won or lost, valued at
+// entry like the risk budget (see utils/inverse)
+const getTranchePnl = (assets, entry, exitPrice, direction, costs) => {
+  const linear = assets * (exitPrice - entry) * direction;
+  return costs.inverseEntry ? (linear * entry) / exitPrice : linear;
+};
+
+// Expected and worst-case profit per tranche under the runner stop rule
+export const calculatePartialTPProfits = (tpLevels, outcomes, recommendedAssets, riskPerCoin, entry, entryCosts, { positionType, market, costs }) => {
+  let assignedAssets = 0;
+  const direction = positionType === "long" ? 1 : -1;
+  const { contractSpec, contractType, inverseContractSize: contractSize, roundQuantity } = market;
+
+  const roundTranche = (quantity) =>
+    contractType === "inverse" ? (toContracts(quantity * entry, contractSize) * contractSize) / entry : roundQuantity(quantity);
+
+  const levels = tpLevels.map((level, index) => {
+    const percent = level.closePercent / 100;
+    const isLast = index === tpLevels.length - 1;
+    const outcome = outcomes[index];
+
+    // Round tranches down to the quantity step (whole contracts for inverse); the last level
+    // takes the remainder
+    let assets = roundTranche(recommendedAssets * percent);
+    if (isLast && contractType === "inverse") {
+      assets = recommendedAssets - assignedAssets;
+    } else if (isLast && contractSpec) {
+      assets = roundToStep(recommendedAssets - assignedAssets, contractSpec.quantityStep);
+    }
+    assignedAssets += assets;
+
+    const targetProfit = getTranchePnl(assets, entry, level.price, direction, costs);
+    const profit = getTranchePnl(assets, entry, outcome.expectedPrice, direction, costs);
+    const worstProfit = getTranchePnl(assets, entry, outcome.worstPrice, direction, costs);
+
+    // Net figures per tranche: exit costs plus its share of the entry costs
+    const entryShare = entryCosts.total * percent;
+    const netProfit = profit - calculateExitCosts(outcome.expectedPrice, assets, outcome.expectedExit, costs).total - entryShare;
+    const worstNetProfit = worstProfit - calculateExitCosts(outcome.worstPrice, assets, "stop", costs).total - entryShare;
+
+    return {
+      ...outcome,
+      assets,
+      entryShare,
+      targetProfit,
+      profit,
+      netProfit,
+      worstProfit,
+      worstNetProfit,
+      percent: level.closePercent,
+    };
+  });
+
+  const totalTargetProfit = levels.reduce((sum, level) => sum + level.targetProfit, 0);
+  const totalProfit = levels.reduce((sum, level) => sum + level.profit, 0);
+  const totalNetProfit = levels.reduce((sum, level) => sum + level.netProfit, 0);
+  // null when nothing is sized (heat cap spent, 0% allocation): there is no R to measure in
+  const sizedRisk = recommendedAssets * riskPerCoin;
+  const avgExitRMultiple = sizedRisk > 0 ? totalProfit / sizedRisk : null;
+
+  return {
+    levels,
+    totalTargetProfit,
+    totalProfit,
+    totalNetProfit,
+    avgExitRMultiple
+  };
+};
+
+/**
+ * Probability-weighted outcome of a partial TP plan. Scenario k reaches TP1..TPk, then reverses
+ * and closes the rest at the stop in force after TPk (the original stop when k is 0).
+ */
+export const calculateExpectedValue = (tpLevels, tpProfits, stopContext, riskAmount, { costs, priceDecimals }) => {
+  const { entry, direction } = stopContext;
+  const scenarios = [];
+
+  for (let reached = 0; reached <= tpLevels.length; reached++) {
+    const reachProbability = reached === 0 ? 1 : tpLevels[reached - 1].hitProbability;
+    const nextProbability = reached < tpLevels.length ? tpLevels[reached].hitProbability : 0;
+    const stopPrice = getManagedStop(tpLevels, reached - 1, stopContext);
+
+    let pnl = 0;
+    let netPnl = 0;
+    tpProfits.levels.forEach((tranche, index) => {
+      if (index < reached) {
+        pnl += tranche.profit;
+        netPnl += tranche.netProfit;
+      } else {
+        const gross = getTranchePnl(tranche.assets, entry, stopPrice, direction, costs);
+        pnl += gross;
+        netPnl += gross - tranche.entryShare - calculateExitCosts(stopPrice, tranche.assets, "stop", costs).total;
+      }
+    });
+
+    let label = `TP${reached} fills, rest stopped at $${stopPrice.toFixed(priceDecimals)}`;
+    if (reached === 0) label = `Stopped at $${stopPrice.toFixed(priceDecimals)} before TP1`;
+    if (reached === tpLevels.length) label = "Every level fills";
+
+    scenarios.push({ reached, label, probability: reachProbability - nextProbability, stopPrice, pnl, netPnl });
+  }
+
+  const expectedProfit = scenarios.reduce((sum, scenario) => sum + scenario.probability * scenario.pnl, 0);
+  const expectedNetProfit = scenarios.reduce((sum, scenario) => sum + scenario.probability * scenario.netPnl, 0);
+  const lossProbability = scenarios
+    .filter((scenario) => scenario.netPnl < 0)
+    .reduce((sum, scenario) => sum + scenario.probability, 0);
+
+  // TP1 hit rate where EV is zero, keeping the odds of each later level once TP1 fills
+  const stopped = scenarios[0];
+  const tp1Probability = tpLevels[0].hitProbability;
+  const winningNet = tp1Probability > 0
+    ? scenarios.slice(1).reduce((sum, scenario) => sum + scenario.probability * scenario.netPnl, 0) / tp1Probability
+    : null;
+  let breakEvenHitRate = null;
+  if (stopped.netPnl >= 0) {
+    breakEvenHitRate = 0;
+  } else if (winningNet !== null && winningNet > 0) {
+    breakEvenHitRate = (-stopped.netPnl / (winningNet - stopped.netPnl)) * 100;
+  }
+
+  const best = scenarios[scenarios.length - 1];
+  const mostLikely = scenarios.reduce((a, b) => (b.probability > a.probability ? b : a));
+
+  return {
+    scenarios,
+    expectedProfit,
+    expectedNetProfit,
+    expectedR: riskAmount > 0 ? expectedProfit / riskAmount : 0,
+    expectedNetR: riskAmount > 0 ? expectedNetProfit / riskAmount : 0,
+    bestProfit: best.pnl,
+    bestNetProfit: best.netPnl,
+    bestR: riskAmount > 0 ? best.pnl / riskAmount : 0,
+    lossProbability: lossProbability * 100,
+    breakEvenHitRate,
+    mostLikely,
+    tp1Probability: tp1Probability * 100,
+    hasEstimates: tpLevels.some((level) => level.probabilityEstimated),
+  };
+};
@@ -0,0 +1,322 @@
+import { validateDCAEntries } from "../utils/dca";
+import { getInversePnl, getInverseRiskPerCoin, toContracts } from "../utils/inverse";
+import { getTrancheOutcomes } from "../utils/stopManagement";
+import { calculateEntryCosts, calculateExitCosts } from "./costs";
+import { calculatePartialTPLevels, validateTPLadder } from "./ladder";
+import { calculateOptimalLeverage, calculateRiskExactSize } from "./leverage";
+import { applyLiquidationGuard } from "./liquidation";
+import { createMarket } from "./market";
+import { calculateExpectedValue, calculatePartialTPProfits, getStopRule } from "./outcomes";
+
+// Exchange minimums for the whole order and for each partial TP tranche
+const getContractWarnings = (assets, positionValue, entry, market, partialTP) => {
+  const { contractSpec, roundQuantity } = market;
+  const warnings = [];
+  if (assets < contractSpec.minOrderSize) {
+    warnings.push(`Position size ${assets} is below the ${contractSpec.symbol} minimum order size of ${contractSpec.minOrderSize}`);
+  }
+  if (positionValue < contractSpec.minNotional) {
+    warnings.push(`Position value $${positionValue.toFixed(2)} is below the $${contractSpec.minNotional} minimum notional`);
+  }
+
+  // Each partial TP is its own reduce-only order and must clear the minimums too
+  if (partialTP.enabled) {
+    const tranchePercents = partialTP.ladder.map((level) => parseFloat(level.closePercent) || 0);
+    tranchePercents.forEach((percent, index) => {
+      const trancheAssets = roundQuantity((assets * percent) / 100);
+      if (percent > 0 && (trancheAssets < contractSpec.minOrderSize || trancheAssets * entry < contractSpec.minNotional)) {
+        warnings.push(`TP${index + 1} tranche (${percent}%) is below the exchange minimum order`);
+      }
+    });
+  }
+
+  return warnings;
+};
+
+/**
+ * Full position plan for one trade idea. `inputs` (numbers already parsed):
+ *   entry, stop, target         prices in USD; entry is the average when scaling in
+ *   positionType                "long" or "short"
+ *   capital                     account size in USD
+ *   riskPercentage, allocation  % of capital risked / posted as margin per trade
+ *   maxLeverage                 pair limit, used when the market has no contract spec
+ *   sizingMode                  "allocation" or "risk" (risk-exact)
+ *   marginMode                  "isolated" or "cross"
+ *   tradingMode                 "futures" or "spot"
+ *   market                      createMarket() output
+ *   leverageMode, volatility    see calculateOptimalLeverage
+ *   partialTP                   { enabled, ladder } with the ladder in editor format
+ *   stopManagement              see getStopRule
+ *   costs                       see engine/costs
+ *   portfolio                   summarizePortfolio() output for the heat cap, optional
+ *   maxPositionsPerSide         optional
+ *   dcaPlan                     getAverageEntry() of scaled entries, optional
+ * Returns null until entry, stop and target are set, and { error: true, positionType } when
+ * they are on the wrong sides of each other.
+ */
+export const calculateRiskReward = (inputs) => {
+  const {
+    entry,
+    stop,
+    target,
+    positionType,
+    capital,
+    riskPercentage: riskPct,
+    allocation,
+    sizingMode = "allocation",
+    marginMode = "isolated",
+    tradingMode = "futures",
+    market = createMarket(),
+    leverageMode = "classic",
+    volatility = null,
+    partialTP = { enabled: false, ladder: [] },
+    stopManagement = { type: "none" },
+    portfolio = { remainingRisk: Infinity, longCount: 0, shortCount: 0 },
+    maxPositionsPerSide = 0,
+    dcaPlan = null,
+  } = inputs;
+  const { contractSpec, roundQuantity } = market;
+  const maxLev = contractSpec ? contractSpec.maxLeverage : inputs.maxLeverage;
+  const isSpot = tradingMode === "spot";
+
+  if (!entry || !stop || !target) return null;
+
+  let riskPerCoin, rewardPerCoin, isValid;
+
+  if (positionType === "long") {
+    riskPerCoin = entry - stop;
+    rewardPerCoin = target - entry;
+    isValid = stop < entry && target > entry;
+  } else {
+    riskPerCoin = stop - entry;
+    rewardPerCoin = entry - target;
+    isValid = stop > entry && target < entry;
+  }
+
+  if (!isValid || riskPerCoin <= 0 || rewardPerCoin <= 0) {
+    return { error: true, positionType };
+  }
+
+  const ratio = rewardPerCoin / riskPerCoin;
+
+  // Inverse positions are budgeted in coin: a long loses extra coin as the coin itself falls
+  const isInverse = market.contractType === "inverse" && !isSpot;
+  const sizingRiskPerCoin = isInverse ? getInverseRiskPerCoin(entry, stop) : riskPerCoin;
+  const sizingRewardPerCoin = isInverse ? getInverseRiskPerCoin(entry, target) : rewardPerCoin;
+  const costs = { ...inputs.costs, spot: isSpot, inverseEntry: isInverse ? entry : null };
+
+  // Calculate position sizing
+  let maxRiskAmount = 0;
+  let allocatedAmount = 0;
+  let leverageInfo = null;
+  let recommendedAssets = 0;
+  let potentialLoss = 0;
+  let potentialProfit = 0;
+  let positionValue = 0;
+  let partialTPLevels = null;
+  let partialTPProfits = null;
+  let expectedValue = null;
+  let liquidation = null;
+  let tradeCosts = null;
+  let sizing = null;
+  let contractWarnings = [];
+  let heat = null;
+  let ladderErrors = [];
+  let inverse = null;
+  let dca = null;
+
+  if (capital) {
+    // Max risk amount (1% of capital)
+    maxRiskAmount = (capital * riskPct) / 100;
+    
+    // Allocated capital for this trade
+    allocatedAmount = (capital * allocation) / 100;
+    
+    let allocationLoss;
+    let riskExact = null;
+    let isCapped = false;
+    if (isSpot) {
+      // Spot: no leverage, so the risk budget sets the size and the allocation caps the spend
+      const riskAssets = maxRiskAmount / riskPerCoin;
+      const balanceAssets = allocatedAmount / entry;
+      isCapped = riskAssets > balanceAssets;
+      positionValue = Math.min(riskAssets, balanceAssets) * entry;
+      allocationLoss = balanceAssets * riskPerCoin;
+      leverageInfo = {
+        optimal: 1,
+        riskPercentageMove: (riskPerCoin / entry) * 100,
+        explanation: isCapped
+          ? `The risk budget needs $${(riskAssets * entry).toFixed(2)} of coins but only $${allocatedAmount.toFixed(2)} is allocated - sized to the balance`
+          : "Spot - sized so the loss at the stop equals the risk budget",
+      };
+    } else {
+      // Calculate optimal leverage
+      leverageInfo = calculateOptimalLeverage(entry, stop, capital, riskPct, allocation, maxLev, { leverageMode, volatility });
+
+      // Loss at stop under allocation-based sizing, compared against the risk budget
+      allocationLoss = ((allocatedAmount * leverageInfo.optimal) / entry) * sizingRiskPerCoin;
+
+      if (sizingMode === "risk") {
+        riskExact = calculateRiskExactSize(entry, sizingRiskPerCoin, maxRiskAmount, allocatedAmount, maxLev);
+        leverageInfo = {
+          ...leverageInfo,
+          optimal: riskExact.leverage,
+          explanation: riskExact.isCapped
+            ? `Risk-exact size needs ${riskExact.requiredLeverage}x but the pair allows ${maxLev}x - position sized down`
+            : "Risk-exact sizing - minimum leverage to carry the position within the allocation",
+        };
+      }
+
+      // Lower leverage if liquidation would trigger before the stop loss
+      const guard = applyLiquidationGuard(
+        entry, stop, leverageInfo.optimal, allocatedAmount, capital, positionType, marginMode,
+        riskExact ? riskExact.positionValue : null, market
+      );
+      liquidation = guard.liquidation;
+      if (liquidation.leverageReduced) {
+        leverageInfo = {
+          ...leverageInfo,
+          optimal: guard.leverage,
+          explanation: `Reduced from ${liquidation.originalLeverage}x - liquidation would trigger before the stop loss`,
+        };
+      }
+
+      // Total position value with leverage
+      positionValue = riskExact ? riskExact.positionValue : allocatedAmount * leverageInfo.optimal;
+      isCapped = riskExact ? riskExact.isCapped : false;
+    }
+
+    // Shrink the new trade when open risk is close to the portfolio heat cap. The scale comes from
+    // the trade's own loss at the stop, which allocation sizing can push past the risk budget.
+    // A full direction limit blocks the trade outright.
+    const unscaledLoss = (positionValue / entry) * sizingRiskPerCoin;
+    const budgetScale = unscaledLoss > 0 ? Math.min(1, portfolio.remainingRisk / unscaledLoss) : 1;
+    const sideCount = positionType === "long" ? portfolio.longCount : portfolio.shortCount;
+    const directionLimitReached = maxPositionsPerSide > 0 && sideCount >= maxPositionsPerSide;
+    const heatScale = directionLimitReached ? 0 : budgetScale;
+    positionValue *= heatScale;
+    heat = {
+      scale: heatScale,
+      remainingRisk: portfolio.remainingRisk,
+      isReduced: budgetScale < 1,
+      directionLimitReached,
+    };
+
+    sizing = {
+      mode: isSpot ? "spot" : sizingMode,
+      marginRequired: positionValue / leverageInfo.optimal,
+      exceedsAllocation: positionValue / leverageInfo.optimal > allocatedAmount + 0.005,
+      isCapped,
+      allocationLoss,
+      allocationDeviation: allocationLoss - maxRiskAmount,
+      allocationDeviationPercent: maxRiskAmount > 0 ? ((allocationLoss - maxRiskAmount) / maxRiskAmount) * 100 : 0,
+    };
+    
+    if (isInverse) {
+      // Whole USD contracts; recommendedAssets is the coin exposure they carry at entry
+      const contractSize = market.inverseContractSize || 0;
+      const contracts = toContracts(positionValue, contractSize);
+      const direction = positionType === "long" ? 1 : -1;
+      positionValue = contracts * contractSize;
+      recommendedAssets = positionValue / entry;
+      if (contracts < 1) contractWarnings = [`Position is smaller than one $${contractSize} contract`];
+      inverse = {
+        contracts,
+        contractSize,
+        coin: contractSpec ? contractSpec.symbol.replace(/USDT$/, "") : "coin",
+        marginCoin: positionValue / leverageInfo.optimal / entry,
+        riskBudgetCoin: maxRiskAmount / entry,
+        // Coin P&L at the stop and target, with its USD value at that price
+        loss: getInversePnl(positionValue, entry, stop, direction),
+        profit: getInversePnl(positionValue, entry, target, direction),
+      };
+    } else {
+      // Number of coins we can buy, in valid quantity steps
+      recommendedAssets = roundQuantity(positionValue / entry);
+      if (contractSpec) {
+        positionValue = recommendedAssets * entry;
+        contractWarnings = getContractWarnings(recommendedAssets, positionValue, entry, market, partialTP);
+      }
+    }
+    
+    if (dcaPlan) {
+      dca = {
+        averageEntry: entry,
+        fills: dcaPlan.fills.map((fill) => ({ ...fill, assets: recommendedAssets * fill.coinShare })),
+        errors: validateDCAEntries(dcaPlan.fills, stop, target),
+      };
+    }
+
+    // Actual potential loss and profit; inverse coin P&L is valued at entry like the risk budget
+    potentialLoss = recommendedAssets * sizingRiskPerCoin;
+    potentialProfit = recommendedAssets * sizingRewardPerCoin;
+
+    // Fees, slippage and funding on top of the gross figures
+    const entryCosts = calculateEntryCosts(entry, recommendedAssets, positionType, costs);
+    const stopCosts = calculateExitCosts(stop, recommendedAssets, "stop", costs);
+    const targetCosts = calculateExitCosts(target, recommendedAssets, "tp", costs);
+    const netLoss = potentialLoss + entryCosts.total + stopCosts.total;
+    const netProfit = potentialProfit - entryCosts.total - targetCosts.total;
+    const netRatio = netLoss > 0 ? netProfit / netLoss : 0;
+    tradeCosts = {
+      entry: entryCosts,
+      stop: stopCosts,
+      target: targetCosts,
+      netLoss,
+      netProfit,
+      netRatio,
+      costShareOfRisk: maxRiskAmount > 0 ? ((netLoss - potentialLoss) / maxRiskAmount) * 100 : 0,
+      winRateNeeded: netProfit > 0 ? (netLoss / (netLoss + netProfit)) * 100 : 100,
+    };
+    
+    // Calculate partial TP levels
+    partialTPLevels = calculatePartialTPLevels(entry, stop, target, positionType, partialTP.ladder, market);
+    ladderErrors = validateTPLadder(partialTPLevels, entry, positionType);
+    
+    // Calculate partial TP profits if enabled and the ladder is valid
+    if (partialTP.enabled && ladderErrors.length === 0) {
+      const stopContext = {
+        entry,
+        stop,
+        direction: positionType === "long" ? 1 : -1,
+        rule: getStopRule(entry, recommendedAssets, entryCosts, stopManagement, costs),
+      };
+      const outcomes = getTrancheOutcomes(partialTPLevels, stopContext);
+      partialTPProfits = calculatePartialTPProfits(partialTPLevels, outcomes, recommendedAssets, sizingRiskPerCoin, entry, entryCosts, {
+        positionType,
+        market,
+        costs,
+      });
+      expectedValue = calculateExpectedValue(partialTPLevels, partialTPProfits, stopContext, potentialLoss, {
+        costs,
+        priceDecimals: market.priceDecimals,
+      });
+    }
+  }
+
+  return {
+    riskPerCoin,
+    rewardPerCoin,
+    ratio,
+    maxRiskAmount,
+    allocatedAmount,
+    leverageInfo,
+    recommendedAssets,
+    potentialLoss,
+    potentialProfit,
+    positionValue,
+    partialTPLevels,
+    partialTPProfits,
+    expectedValue,
+    ladderErrors,
+    liquidation,
+    costs: tradeCosts,
+    sizing,
+    contractWarnings,
+    heat,
+    inverse,
+    dca,
+    spot: isSpot,
+    error: false,
+  };
+};
@@ -0,0 +1,199 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_LEVERAGE_TIERS } from "../data/contractSpecs";
+import { DEFAULT_TP_LADDER } from "../data/tpPresets";
+import { createMarket } from "./market";
+import { calculateRiskReward } from "./riskReward";
+
+const size = (overrides) =>
+  calculateRiskReward({
+    entry: 100,
+    stop: 95,
+    target: 115,
+    positionType: "long",
+    capital: 10000,
+    riskPercentage: 1,
+    allocation: 10,
+    maxLeverage: 50,
+    ...overrides,
+  });
+
+describe("calculateRiskReward", () => {
+  it("waits for all three prices", () => {
+    expect(size({ target: 0 })).toBeNull();
+  });
+
+  it("rejects prices on the wrong side of the entry", () => {
+    expect(size({ stop: 105 })).toEqual({ error: true, positionType: "long" });
+    expect(size({ positionType: "short", stop: 104, target: 110 })).toEqual({ error: true, positionType: "short" });
+  });
+
+  it("sizes a long from the allocation", () => {
+    const result = size();
+    expect(result.ratio).toBe(3);
+    expect(result.leverageInfo.optimal).toBe(2);
+    expect(result.positionValue).toBe(2000);
+    expect(result.recommendedAssets).toBe(20);
+    expect(result.potentialLoss).toBe(100);
+    expect(result.potentialProfit).toBe(300);
+  });
+
+  it("sizes a short from the allocation", () => {
+    const result = size({ positionType: "short", stop: 104, target: 90 });
+    expect(result.ratio).toBe(2.5);
+    expect(result.leverageInfo.optimal).toBe(3);
+    expect(result.recommendedAssets).toBe(30);
+    expect(result.potentialLoss).toBe(120);
+    expect(result.sizing.allocationDeviation).toBe(20);
+  });
+
+  it("floors the size to the quantity step and values the rounded size", () => {
+    const market = createMarket({
+      contractSpec: {
+        symbol: "TESTUSDT",
+        tickSize: 0.01,
+        quantityStep: 0.1,
+        minOrderSize: 0.1,
+        minNotional: 5,
+        maxLeverage: 50,
+        leverageTiers: DEFAULT_LEVERAGE_TIERS,
+      },
+    });
+    // 2x on a $1,000 allocation buys 66.67 coins
+    const result = size({ entry: 30, stop: 28.5, target: 33, market });
+    expect(result.recommendedAssets).toBe(66.6);
+    expect(result.positionValue).toBeCloseTo(1998, 8);
+    expect(result.potentialLoss).toBeCloseTo(99.9, 8);
+  });
+
+  it("warns when the size is below the exchange minimum", () => {
+    const market = createMarket({
+      contractSpec: {
+        symbol: "TESTUSDT",
+        tickSize: 0.01,
+        quantityStep: 1,
+        minOrderSize: 100,
+        minNotional: 5,
+        maxLeverage: 50,
+        leverageTiers: DEFAULT_LEVERAGE_TIERS,
+      },
+    });
+    expect(size({ market }).contractWarnings[0]).toMatch(/below the TESTUSDT minimum order size/);
+  });
+
+  describe("risk-exact sizing", () => {
+    it("loses exactly the risk budget at the stop", () => {
+      const result = size({ stop: 99, sizingMode: "risk", maxLeverage: 20 });
+      expect(result.leverageInfo.optimal).toBe(10);
+      expect(result.positionValue).toBe(10000);
+      expect(result.potentialLoss).toBeCloseTo(100, 8);
+      expect(result.sizing.isCapped).toBe(false);
+    });
+
+    it("sizes down to the allocation when the pair's leverage is too low", () => {
+      const result = size({ stop: 99, sizingMode: "risk", maxLeverage: 5 });
+      expect(result.leverageInfo.optimal).toBe(5);
+      expect(result.leverageInfo.explanation).toMatch(/needs 10x but the pair allows 5x/);
+      expect(result.positionValue).toBe(5000);
+      expect(result.potentialLoss).toBeCloseTo(50, 8);
+      expect(result.sizing.isCapped).toBe(true);
+    });
+  });
+
+  it("lowers leverage when liquidation would come before the stop", () => {
+    const result = size({ stop: 99, target: 104, allocation: 1, maxLeverage: 100 });
+    expect(result.liquidation.leverageReduced).toBe(true);
+    expect(result.liquidation.price).toBeLessThan(99);
+    expect(result.liquidation.originalLeverage).toBe(100);
+    expect(result.leverageInfo.optimal).toBe(71);
+    expect(result.leverageInfo.explanation).toMatch(/^Reduced from \d+x/);
+  });
+
+  it("sizes inverse contracts so the coin lost at the stop matches the coin budget", () => {
+    const market = createMarket({ contractType: "inverse", inverseContractSize: 100 });
+    const result = size({ sizingMode: "risk", market });
+    expect(result.inverse.contracts).toBe(19);
+    expect(result.positionValue).toBe(1900);
+    expect(result.inverse.riskBudgetCoin).toBe(1);
+    expect(result.inverse.loss.coin).toBeCloseTo(-1, 8);
+    expect(result.inverse.profit.coin).toBeCloseTo(1900 * (1 / 100 - 1 / 115), 8);
+  });
+
+  describe("inverse figures", () => {
+    const market = createMarket({ contractType: "inverse", inverseContractSize: 100 });
+    const allOut = [{ id: 1, type: "target", value: "", closePercent: "100", stopAction: "none" }];
+
+    it("values the loss, profit and ladder as coin at entry", () => {
+      const result = size({ sizingMode: "risk", market, partialTP: { enabled: true, ladder: allOut } });
+      expect(result.potentialLoss).toBeCloseTo(-result.inverse.loss.coin * 100, 8);
+      expect(result.potentialProfit).toBeCloseTo(result.inverse.profit.coin * 100, 8);
+      expect(result.costs.winRateNeeded).toBeCloseTo((result.potentialLoss / (result.potentialLoss + result.potentialProfit)) * 100, 8);
+      expect(result.partialTPProfits.totalProfit).toBeCloseTo(result.potentialProfit, 8);
+      expect(result.partialTPProfits.avgExitRMultiple).toBeCloseTo(result.potentialProfit / result.potentialLoss, 8);
+    });
+
+    it("scales for portfolio heat by the coin lost at the stop", () => {
+      const result = size({ sizingMode: "risk", market, portfolio: { remainingRisk: 50, longCount: 0, shortCount: 0 } });
+      expect(result.heat.scale).toBeCloseTo(0.5, 8);
+      expect(result.inverse.contracts).toBe(9);
+      expect(result.potentialLoss).toBeLessThanOrEqual(50);
+    });
+  });
+
+  describe("portfolio heat cap", () => {
+    it("scales by the trade's own loss at the stop", () => {
+      // 25% allocation at 1x loses $25 at the stop against a $10 budget
+      const result = size({
+        capital: 1000,
+        stop: 90,
+        target: 130,
+        allocation: 25,
+        portfolio: { remainingRisk: 10, longCount: 0, shortCount: 0 },
+      });
+      expect(result.heat.scale).toBeCloseTo(0.4, 8);
+      expect(result.heat.isReduced).toBe(true);
+      expect(result.potentialLoss).toBeLessThanOrEqual(10 + 1e-9);
+    });
+
+    it("leaves the trade alone with enough room", () => {
+      const result = size({ portfolio: { remainingRisk: 500, longCount: 0, shortCount: 0 } });
+      expect(result.heat.scale).toBe(1);
+      expect(result.potentialLoss).toBe(100);
+    });
+
+    it("blocks a new position once the direction limit is reached", () => {
+      const result = size({ portfolio: { remainingRisk: 500, longCount: 3, shortCount: 0 }, maxPositionsPerSide: 3 });
+      expect(result.heat.directionLimitReached).toBe(true);
+      expect(result.heat.scale).toBe(0);
+      expect(result.recommendedAssets).toBe(0);
+      expect(result.potentialLoss).toBe(0);
+    });
+
+    it("only counts positions on the same side", () => {
+      const result = size({ portfolio: { remainingRisk: 500, longCount: 0, shortCount: 3 }, maxPositionsPerSide: 3 });
+      expect(result.heat.directionLimitReached).toBe(false);
+      expect(result.recommendedAssets).toBe(20);
+    });
+  });
+
+  it("returns finite figures for a zero-size position", () => {
+    const result = size({
+      partialTP: { enabled: true, ladder: DEFAULT_TP_LADDER },
+      portfolio: { remainingRisk: 0, longCount: 0, shortCount: 0 },
+    });
+    expect(result.heat.scale).toBe(0);
+    expect(result.recommendedAssets).toBe(0);
+    expect(result.potentialLoss).toBe(0);
+    expect(result.partialTPProfits.totalProfit).toBe(0);
+    expect(result.partialTPProfits.avgExitRMultiple).toBeNull();
+    expect(result.expectedValue.expectedR).toBe(0);
+    expect(result.costs.netRatio).toBe(0);
+  });
+
+  it("splits the ladder and blends the exit R multiple", () => {
+    const result = size({ partialTP: { enabled: true, ladder: DEFAULT_TP_LADDER } });
+    expect(result.partialTPLevels.map((level) => level.price)).toEqual([105, 110, 115]);
+    expect(result.partialTPProfits.levels.map((level) => level.assets)).toEqual([10, 6, 4]);
+    expect(result.partialTPProfits.totalProfit).toBe(170);
+    expect(result.partialTPProfits.avgExitRMultiple).toBeCloseTo(1.7, 8);
+  });
+});
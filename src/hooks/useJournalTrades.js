@@ -0,0 +1,21 @@
+import { useState, useEffect } from "react";
+import { getAllTrades } from "../data/journalDb";
+
+// Loads the journal once and exposes a reload for components that write to it
+const useJournalTrades = () => {
+  const [trades, setTrades] = useState([]);
+  const [error, setError] = useState("");
+
+  const reload = () =>
+    getAllTrades()
+      .then(setTrades)
+      .catch((err) => setError(`Could not open the journal: ${err.message}`));
+
+  useEffect(() => {
+    reload();
+  }, []);
+
+  return { trades, error, reload };
+};
+
+export default useJournalTrades;
@@ -0,0 +1,136 @@
+// Accepts epoch seconds, epoch milliseconds or any Date-parsable string
+export const parseTime = (value) => {
+  const numeric = Number(value);
+  if (value !== "" && Number.isFinite(numeric)) return numeric < 1e12 ? numeric * 1000 : numeric;
+  return Date.parse(value);
+};
+
+export const parseCandles = (rows) =>
+  rows
+    .map((row) => ({
+      time: parseTime(row.time ?? row.timestamp ?? row.date),
+      open: parseFloat(row.open),
+      high: parseFloat(row.high),
+      low: parseFloat(row.low),
+      close: parseFloat(row.close),
+    }))
+    .filter((candle) => Number.isFinite(candle.time) && [candle.open, candle.high, candle.low, candle.close].every(Number.isFinite))
+    .sort((a, b) => a.time - b.time);
+
+export const parseSignals = (rows) =>
+  rows
+    .map((row) => ({
+      time: parseTime(row.time ?? row.timestamp ?? row.date),
+      side: row.side?.toLowerCase() === "short" ? "short" : "long",
+      entry: parseFloat(row.entry),
+      stop: parseFloat(row.sl ?? row.stop),
+      target: parseFloat(row.tp ?? row.target),
+    }))
+    .filter((signal) => Number.isFinite(signal.time) && signal.entry && signal.stop && signal.target);
+
+// First candle at or after a timestamp
+const findCandleIndex = (candles, time) => {
+  let low = 0;
+  let high = candles.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (candles[mid].time < time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Replays one signal through a ladder of { price, closePercent, stopAction, stopPrice } levels.
+ * Inside a candle the stop is checked before the targets, so results are conservative when both
+ * are touched in the same bar.
+ */
+export const replayTrade = (candles, signal, levels) => {
+  const direction = signal.side === "long" ? 1 : -1;
+  const risk = Math.abs(signal.entry - signal.stop);
+
+  // Wait for price to trade through the entry
+  let index = findCandleIndex(candles, signal.time);
+  while (index < candles.length && !(candles[index].low <= signal.entry && candles[index].high >= signal.entry)) {
+    index++;
+  }
+  if (index >= candles.length || !risk) return { filled: false, rMultiple: 0, exitReason: "Not filled" };
+
+  let remaining = 1;
+  let stop = signal.stop;
+  let nextTarget = 0;
+  let rMultiple = 0;
+  let exitReason = "Open at end of data";
+
+  const closeFraction = (fraction, price) => {
+    rMultiple += (fraction * (price - signal.entry) * direction) / risk;
+    remaining -= fraction;
+  };
+
+  for (let i = index + 1; i < candles.length && remaining > 1e-9; i++) {
+    const candle = candles[i];
+    const stopHit = direction === 1 ? candle.low <= stop : candle.high >= stop;
+    if (stopHit) {
+      closeFraction(remaining, stop);
+      exitReason = nextTarget === 0 ? "Stop loss" : `Stop after TP${nextTarget}`;
+      break;
+    }
+
+    while (nextTarget < levels.length && remaining > 1e-9) {
+      const level = levels[nextTarget];
+      const targetHit = direction === 1 ? candle.high >= level.price : candle.low <= level.price;
+      if (!targetHit) break;
+
+      // The final level always closes whatever is left
+      const fraction = nextTarget === levels.length - 1 ? remaining : Math.min(remaining, level.closePercent / 100);
+      closeFraction(fraction, level.price);
+
+      if (level.stopAction === "entry") stop = signal.entry;
+      if (level.stopAction === "previous") stop = nextTarget === 0 ? signal.entry : levels[nextTarget - 1].price;
+      if (level.stopAction === "price" && Number.isFinite(level.stopPrice)) stop = level.stopPrice;
+      nextTarget++;
+      exitReason = `TP${nextTarget}`;
+    }
+  }
+
+  // Anything still open is marked to the last close
+  if (remaining > 1e-9) closeFraction(remaining, candles[candles.length - 1].close);
+
+  return { filled: true, rMultiple, exitReason };
+};
+
+export const runBacktest = (candles, signals, strategy, getLevels) => {
+  const trades = signals.map((signal) => ({
+    signal,
+    ...replayTrade(candles, signal, getLevels(signal.entry, signal.stop, signal.target, signal.side, strategy.ladder)),
+  }));
+  const filled = trades.filter((trade) => trade.filled);
+
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  filled.forEach((trade) => {
+    equity += trade.rMultiple;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  });
+
+  const wins = filled.filter((trade) => trade.rMultiple > 0).length;
+
+  return {
+    strategy,
+    trades,
+    filledCount: filled.length,
+    totalR: equity,
+    avgR: filled.length ? equity / filled.length : 0,
+    winRate: filled.length ? (wins / filled.length) * 100 : 0,
+    maxDrawdown,
+  };
+};
+
+// The current ladder, the same ladder with a fixed stop, and the built-in presets
+export const getBacktestPresets = (ladder, builtInPresets) => [
+  { name: "Current ladder", ladder },
+  { name: "Current ladder, fixed stop", ladder: ladder.map((level) => ({ ...level, stopAction: "none" })) },
+  ...builtInPresets.map((preset) => ({ name: preset.name, ladder: preset.levels })),
+];
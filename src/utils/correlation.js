@@ -0,0 +1,94 @@
+// Correlation between two symbols, or null when the matrix has no data for the pair
+export const getCorrelation = (correlations, symbolA, symbolB) => {
+  if (symbolA === symbolB) return 1;
+  const indexA = correlations.symbols.indexOf(symbolA);
+  const indexB = correlations.symbols.indexOf(symbolB);
+  if (indexA === -1 || indexB === -1) return null;
+  return correlations.matrix[indexA][indexB];
+};
+
+const pearson = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+
+  return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+};
+
+// Builds a matrix from price history rows ({ date, BTCUSDT: "65000", ... }) using log returns
+export const computeCorrelationMatrix = (rows) => {
+  if (rows.length < 3) return null;
+
+  const keys = Object.keys(rows[0]).filter((key) => !["date", "time", "timestamp"].includes(key));
+  const symbols = keys.map((key) => key.toUpperCase());
+
+  const returns = keys.map((key) => {
+    const closes = rows.map((row) => parseFloat(row[key]));
+    return closes.slice(1).map((close, index) => Math.log(close / closes[index]));
+  });
+
+  if (returns.some((series) => series.some((value) => !Number.isFinite(value)))) return null;
+
+  const matrix = returns.map((seriesA) => returns.map((seriesB) => parseFloat(pearson(seriesA, seriesB).toFixed(2))));
+  return { symbols, matrix };
+};
+
+export const isValidCorrelationMatrix = (data) =>
+  Array.isArray(data?.symbols) &&
+  Array.isArray(data?.matrix) &&
+  data.matrix.length === data.symbols.length &&
+  data.matrix.every(
+    (row) =>
+      Array.isArray(row) &&
+      row.length === data.symbols.length &&
+      row.every((value) => typeof value === "number" && Number.isFinite(value) && Math.abs(value) <= 1)
+  );
+
+/**
+ * Risk if every position moving with the candidate trade hits its stop together.
+ * Positions count as the same bet when correlation × direction agreement is at or above the threshold
+ * (long BTC + long ETH is one bet, long BTC + short ETH is a hedge).
+ */
+export const assessCorrelatedRisk = (candidate, positions, correlations, threshold) => {
+  const direction = (side) => (side === "long" ? 1 : -1);
+  const missingSymbols = new Set();
+
+  const linked = positions
+    .map((position) => {
+      const correlation = getCorrelation(correlations, candidate.symbol, position.symbol);
+      if (correlation === null) {
+        missingSymbols.add(correlations.symbols.includes(candidate.symbol) ? position.symbol : candidate.symbol);
+      }
+      const signedCorrelation = (correlation ?? 0) * direction(candidate.side) * direction(position.side);
+      return { ...position, correlation, signedCorrelation };
+    })
+    .filter((position) => position.signedCorrelation >= threshold);
+
+  const correlatedRisk = candidate.risk + linked.reduce((sum, position) => sum + position.risk, 0);
+
+  // Portfolio risk with diversification: sqrt(Σ Σ riskᵢ riskⱼ ρᵢⱼ)
+  const all = [candidate, ...positions];
+  let variance = 0;
+  all.forEach((a) => {
+    all.forEach((b) => {
+      const correlation = getCorrelation(correlations, a.symbol, b.symbol) ?? 0;
+      variance += a.risk * b.risk * correlation * direction(a.side) * direction(b.side);
+    });
+  });
+
+  return {
+    linkedPositions: linked,
+    correlatedRisk,
+    effectiveRisk: Math.sqrt(Math.max(0, variance)),
+    missingSymbols: [...missingSymbols],
+  };
+};
@@ -0,0 +1,17 @@
+import { describe, expect, it } from "vitest";
+import { isValidCorrelationMatrix } from "./correlation";
+
+const symbols = ["BTCUSDT", "ETHUSDT"];
+
+describe("isValidCorrelationMatrix", () => {
+  it("accepts a square matrix of correlations", () => {
+    expect(isValidCorrelationMatrix({ symbols, matrix: [[1, 0.8], [0.8, 1]] })).toBe(true);
+  });
+
+  it("rejects values that are not finite numbers between -1 and 1", () => {
+    expect(isValidCorrelationMatrix({ symbols, matrix: [[1, "0.8"], [0.8, 1]] })).toBe(false);
+    expect(isValidCorrelationMatrix({ symbols, matrix: [[1, null], [null, 1]] })).toBe(false);
+    expect(isValidCorrelationMatrix({ symbols, matrix: [[1, 1.2], [1.2, 1]] })).toBe(false);
+    expect(isValidCorrelationMatrix({ symbols, matrix: [[1, 0.8]] })).toBe(false);
+  });
+});
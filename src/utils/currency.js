@@ -0,0 +1,29 @@
+import { getCurrency } from "../data/currencies";
+
+const formatters = {};
+
+const getFormatter = (code) => {
+  if (!formatters[code]) {
+    const { locale } = getCurrency(code);
+    // USDT isn't an ISO 4217 code, so Intl can't format it as a currency
+    formatters[code] =
+      code === "USDT"
+        ? new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+        : new Intl.NumberFormat(locale, { style: "currency", currency: code });
+  }
+  return formatters[code];
+};
+
+// Formats an amount already in `code`, e.g. formatCurrency(1234.5, "EUR") -> "1.234,50 €"
+export const formatCurrency = (amount, code) => {
+  if (code === "USDT") return `${getFormatter(code).format(amount || 0)} USDT`;
+  const { symbol } = getCurrency(code);
+  return getFormatter(code)
+    .formatToParts(amount || 0)
+    .map((part) => (symbol && part.type === "currency" ? symbol : part.value))
+    .join("");
+};
+
+// `rate` is units of the currency per USD, as returned by rateService.getRate
+export const fromUSD = (usdAmount, rate) => usdAmount * rate;
+export const toUSD = (amount, rate) => amount / rate;
@@ -0,0 +1,38 @@
+// Scaled (DCA) entries: several buy prices, each taking a weight of the total spend.
+
+// Rows as typed in the editor ({ id, price, weight } strings) to numbers, dropping incomplete ones
+export const parseDCAEntries = (entries) =>
+  entries
+    .map((entry) => ({ id: entry.id, price: parseFloat(entry.price), weight: parseFloat(entry.weight) }))
+    .filter((entry) => entry.price > 0 && entry.weight > 0);
+
+/**
+ * Average entry of the filled plan. Weights split the USD spend, so cheaper fills buy more coins
+ * and the average is total spend / total coins rather than the plain weighted price. Each fill
+ * gets `share` (of the spend) and `coinShare` (of the coins bought).
+ */
+export const getAverageEntry = (fills) => {
+  const totalWeight = fills.reduce((sum, fill) => sum + fill.weight, 0);
+  if (totalWeight <= 0) return null;
+
+  const coinsPerDollar = fills.reduce((sum, fill) => sum + fill.weight / totalWeight / fill.price, 0);
+  const averageEntry = 1 / coinsPerDollar;
+
+  return {
+    averageEntry,
+    fills: fills.map((fill) => {
+      const share = fill.weight / totalWeight;
+      return { ...fill, share, coinShare: share / fill.price / coinsPerDollar };
+    }),
+  };
+};
+
+// Every fill has to sit between the stop and the target, or that fill is already a loser
+export const validateDCAEntries = (fills, stop, target) => {
+  const errors = [];
+  fills.forEach((fill, index) => {
+    if (fill.price <= stop) errors.push(`Entry ${index + 1} is at or below the stop loss`);
+    else if (fill.price >= target) errors.push(`Entry ${index + 1} is at or above the take profit`);
+  });
+  return errors;
+};
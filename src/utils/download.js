@@ -0,0 +1,9 @@
+// Saves generated text or bytes as a file through a temporary object URL
+export const downloadFile = (content, filename, type = "text/plain") => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,33 @@
+// Coin-margined inverse contracts (e.g. BTCUSD). Each contract is worth a fixed number of USD,
+// margin and P&L are settled in the base coin, so P&L is linear in 1/price rather than price.
+// `notional` is contracts × contract size in USD; `direction` is 1 for longs and -1 for shorts.
+
+// Whole contracts that fit in a USD notional
+export const toContracts = (notional, contractSize) => (contractSize > 0 ? Math.floor(notional / contractSize + 1e-9) : 0);
+
+// P&L in coin, and its USD value when the coin is sold at the exit price
+export const getInversePnl = (notional, entry, exit, direction) => {
+  const coin = direction * notional * (1 / entry - 1 / exit);
+  return { coin, usd: coin * exit };
+};
+
+/**
+ * Coin lost at the stop per coin of exposure, valued at entry. This is what a coin-denominated
+ * risk budget is spent on: a long loses more coin than a linear position because the coin it is
+ * margined in falls too, a short loses less. Passing the target instead gives the coin won there.
+ */
+export const getInverseRiskPerCoin = (entry, stop) => (Math.abs(stop - entry) * entry) / stop;
+
+/**
+ * Liquidation price with maintenance margin charged on the entry value. Isolated positions are
+ * backed by notional / (entry × leverage) coin, cross positions by the whole `balanceCoin`.
+ * Returns 0 when the position can't be liquidated, e.g. a 1x short that hedges its own margin.
+ */
+export const getInverseLiquidationPrice = ({ entry, leverage, maintenanceMarginRate, direction, marginMode, notional, balanceCoin }) => {
+  const marginCoin = marginMode === "cross" ? balanceCoin : notional / (entry * leverage);
+  const maintenanceCoin = (notional * maintenanceMarginRate) / entry;
+
+  // Solve direction × notional × (1/entry - 1/price) = maintenance - margin for 1/price
+  const inversePrice = 1 / entry + (direction * (marginCoin - maintenanceCoin)) / notional;
+  return inversePrice > 0 ? 1 / inversePrice : 0;
+};
@@ -0,0 +1,99 @@
+// Small seedable PRNG (mulberry32) so runs can be reproduced
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+export const DRAWDOWN_LEVELS = [20, 30, 50];
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+/**
+ * Fixed-fractional simulation: every trade risks riskPercent of current equity,
+ * wins pay rewardRatio × risk, losses cost 1 × risk.
+ */
+export const simulateEquityPaths = ({
+  winRate,
+  rewardRatio,
+  riskPercent,
+  tradeCount,
+  pathCount,
+  startingCapital = 1,
+  ruinLevel = 10,
+  seed = Date.now(),
+}) => {
+  const random = createRandom(seed);
+  const winProbability = winRate / 100;
+  const riskFraction = riskPercent / 100;
+  const ruinEquity = startingCapital * (ruinLevel / 100);
+
+  // Paths advance one trade at a time so only the current balances are kept, not every curve
+  const balances = new Float64Array(pathCount).fill(startingCapital);
+  const peaks = new Float64Array(pathCount).fill(startingCapital);
+  const maxDrawdowns = new Float64Array(pathCount);
+  const streaks = new Uint32Array(pathCount);
+  const worstStreaks = new Uint32Array(pathCount);
+  const ruined = new Uint8Array(pathCount);
+
+  // Percentile equity curves across all paths at every trade
+  const curves = Object.fromEntries(PERCENTILES.map((p) => [p, []]));
+  const column = new Float64Array(pathCount);
+  const recordPercentiles = () => {
+    column.set(balances);
+    column.sort();
+    PERCENTILES.forEach((p) => curves[p].push(percentile(column, p / 100)));
+  };
+  recordPercentiles();
+
+  for (let step = 1; step <= tradeCount; step++) {
+    for (let path = 0; path < pathCount; path++) {
+      let balance = balances[path];
+      const risk = balance * riskFraction;
+      if (random() < winProbability) {
+        balance += risk * rewardRatio;
+        streaks[path] = 0;
+      } else {
+        balance -= risk;
+        streaks[path] += 1;
+        worstStreaks[path] = Math.max(worstStreaks[path], streaks[path]);
+      }
+
+      peaks[path] = Math.max(peaks[path], balance);
+      maxDrawdowns[path] = Math.max(maxDrawdowns[path], ((peaks[path] - balance) / peaks[path]) * 100);
+      if (balance <= ruinEquity) ruined[path] = 1;
+      balances[path] = balance;
+    }
+    recordPercentiles();
+  }
+
+  const drawdownHits = DRAWDOWN_LEVELS.map((level) => maxDrawdowns.filter((drawdown) => drawdown >= level).length);
+  const ruinedPaths = ruined.filter(Boolean).length;
+
+  // After the loop, column holds the sorted final equity of every path
+  const profitablePaths = column.filter((value) => value > startingCapital).length;
+  // Typed arrays sort numerically
+  const sortedStreaks = worstStreaks.sort();
+  const sortedDrawdowns = maxDrawdowns.sort();
+
+  return {
+    curves,
+    drawdownProbabilities: DRAWDOWN_LEVELS.map((level, index) => ({
+      level,
+      probability: (drawdownHits[index] / pathCount) * 100,
+    })),
+    riskOfRuin: (ruinedPaths / pathCount) * 100,
+    ruinLevel,
+    medianMaxDrawdown: percentile(sortedDrawdowns, 0.5),
+    worstLosingStreak: sortedStreaks[sortedStreaks.length - 1],
+    medianLosingStreak: percentile(sortedStreaks, 0.5),
+    medianFinalEquity: curves[50][tradeCount],
+    profitableProbability: (profitablePaths / pathCount) * 100,
+  };
+};
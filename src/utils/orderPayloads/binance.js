@@ -0,0 +1,97 @@
+import { isPositiveDecimal, isWholeNumber, oneOf } from "./schema";
+
+// Binance USDⓈ-M futures in one-way mode. There is no preset stop on the entry, so the stop
+// loss is its own STOP_MARKET order that closes the whole position.
+const isSymbol = (value) => /^[A-Z0-9]+USDT$/.test(value);
+
+export const orderPath = "/fapi/v1/order";
+
+export const schemas = {
+  "/fapi/v1/marginType": {
+    symbol: isSymbol,
+    marginType: oneOf("ISOLATED", "CROSSED"),
+  },
+  "/fapi/v1/leverage": {
+    symbol: isSymbol,
+    leverage: isWholeNumber,
+  },
+  [orderPath]: {
+    symbol: isSymbol,
+    side: oneOf("BUY", "SELL"),
+    type: oneOf("LIMIT", "MARKET", "STOP_MARKET", "TAKE_PROFIT_MARKET"),
+  },
+};
+
+export const optionalFields = {
+  quantity: isPositiveDecimal,
+  price: isPositiveDecimal,
+  stopPrice: isPositiveDecimal,
+  timeInForce: oneOf("GTC", "IOC", "FOK", "GTX"),
+  reduceOnly: oneOf("true", "false"),
+  closePosition: oneOf("true", "false"),
+  workingType: oneOf("MARK_PRICE", "CONTRACT_PRICE"),
+};
+
+// closePosition orders carry no quantity and don't count toward the reduce-only total
+export const getSize = (body) => (body.quantity === undefined ? null : parseFloat(body.quantity));
+export const isReduceOnly = (body) => body.reduceOnly === "true";
+export const isMissingLimitPrice = (body) => body.type === "LIMIT" && (body.price === undefined || body.timeInForce === undefined);
+
+export const build = (ticket) => {
+  const symbol = ticket.symbol.toUpperCase();
+  const price = (value) => value.toFixed(ticket.priceDecimals);
+  const quantity = (value) => value.toFixed(ticket.quantityDecimals);
+  const openSide = ticket.side === "long" ? "BUY" : "SELL";
+  const closeSide = ticket.side === "long" ? "SELL" : "BUY";
+
+  const entryOrder = { symbol, side: openSide, type: ticket.orderType.toUpperCase(), quantity: quantity(ticket.size) };
+  if (ticket.orderType === "limit") {
+    entryOrder.price = price(ticket.entry);
+    entryOrder.timeInForce = "GTC";
+  }
+
+  const requests = [
+    {
+      label: "Set margin type",
+      method: "POST",
+      path: "/fapi/v1/marginType",
+      body: { symbol, marginType: ticket.marginMode === "cross" ? "CROSSED" : "ISOLATED" },
+    },
+    { label: "Set leverage", method: "POST", path: "/fapi/v1/leverage", body: { symbol, leverage: String(ticket.leverage) } },
+    { label: "Entry", method: "POST", path: orderPath, body: entryOrder },
+    {
+      label: "Stop loss",
+      method: "POST",
+      path: orderPath,
+      body: { symbol, side: closeSide, type: "STOP_MARKET", stopPrice: price(ticket.stopLoss), closePosition: "true", workingType: "MARK_PRICE" },
+    },
+  ];
+
+  if (ticket.tpOrders.length === 0) {
+    requests.push({
+      label: "Take profit",
+      method: "POST",
+      path: orderPath,
+      body: { symbol, side: closeSide, type: "TAKE_PROFIT_MARKET", stopPrice: price(ticket.takeProfit), closePosition: "true", workingType: "MARK_PRICE" },
+    });
+  }
+
+  ticket.tpOrders.forEach((order, index) => {
+    requests.push({
+      label: `TP${index + 1} reduce-only`,
+      method: "POST",
+      path: orderPath,
+      body: {
+        symbol,
+        side: closeSide,
+        type: "LIMIT",
+        quantity: quantity(order.size),
+        price: price(order.price),
+        timeInForce: "GTC",
+        reduceOnly: "true",
+      },
+    });
+  });
+
+  return requests;
+};
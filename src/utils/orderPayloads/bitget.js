@@ -0,0 +1,105 @@
+import { isPositiveDecimal, isWholeNumber, oneOf } from "./schema";
+
+// Bitget V2 USDT-M futures. Orders assume one-way position mode, where reduceOnly marks
+// closing orders.
+const PRODUCT_TYPE = "USDT-FUTURES";
+const MARGIN_COIN = "USDT";
+const isSymbol = (value) => /^[A-Z0-9]+USDT$/.test(value);
+
+export const orderPath = "/api/v2/mix/order/place-order";
+
+export const schemas = {
+  "/api/v2/mix/account/set-margin-mode": {
+    symbol: isSymbol,
+    productType: oneOf(PRODUCT_TYPE),
+    marginCoin: oneOf(MARGIN_COIN),
+    marginMode: oneOf("isolated", "crossed"),
+  },
+  "/api/v2/mix/account/set-leverage": {
+    symbol: isSymbol,
+    productType: oneOf(PRODUCT_TYPE),
+    marginCoin: oneOf(MARGIN_COIN),
+    leverage: isWholeNumber,
+  },
+  [orderPath]: {
+    symbol: isSymbol,
+    productType: oneOf(PRODUCT_TYPE),
+    marginMode: oneOf("isolated", "crossed"),
+    marginCoin: oneOf(MARGIN_COIN),
+    size: isPositiveDecimal,
+    side: oneOf("buy", "sell"),
+    orderType: oneOf("limit", "market"),
+    force: oneOf("gtc", "ioc", "fok", "post_only"),
+    reduceOnly: oneOf("YES", "NO"),
+  },
+};
+
+export const optionalFields = {
+  price: isPositiveDecimal,
+  presetStopLossPrice: isPositiveDecimal,
+  presetStopSurplusPrice: isPositiveDecimal,
+};
+
+export const getSize = (body) => parseFloat(body.size);
+export const isReduceOnly = (body) => body.reduceOnly === "YES";
+export const isMissingLimitPrice = (body) => body.orderType === "limit" && body.price === undefined;
+
+/**
+ * Builds the request list for a ticket, in the order it should be sent: margin mode, leverage,
+ * the entry with a preset stop loss, then one reduce-only limit per TP level.
+ */
+export const build = (ticket) => {
+  const symbol = ticket.symbol.toUpperCase();
+  const marginMode = ticket.marginMode === "cross" ? "crossed" : "isolated";
+  const price = (value) => value.toFixed(ticket.priceDecimals);
+  const size = (value) => value.toFixed(ticket.quantityDecimals);
+  const closeSide = ticket.side === "long" ? "sell" : "buy";
+  const base = { symbol, productType: PRODUCT_TYPE };
+
+  const entryOrder = {
+    ...base,
+    marginMode,
+    marginCoin: MARGIN_COIN,
+    size: size(ticket.size),
+    side: ticket.side === "long" ? "buy" : "sell",
+    orderType: ticket.orderType,
+    force: "gtc",
+    reduceOnly: "NO",
+    presetStopLossPrice: price(ticket.stopLoss),
+  };
+  if (ticket.orderType === "limit") entryOrder.price = price(ticket.entry);
+  // Without a TP ladder the single target rides on the entry order
+  if (ticket.tpOrders.length === 0) entryOrder.presetStopSurplusPrice = price(ticket.takeProfit);
+
+  return [
+    {
+      label: "Set margin mode",
+      method: "POST",
+      path: "/api/v2/mix/account/set-margin-mode",
+      body: { ...base, marginCoin: MARGIN_COIN, marginMode },
+    },
+    {
+      label: "Set leverage",
+      method: "POST",
+      path: "/api/v2/mix/account/set-leverage",
+      body: { ...base, marginCoin: MARGIN_COIN, leverage: String(ticket.leverage) },
+    },
+    { label: "Entry with preset stop loss", method: "POST", path: orderPath, body: entryOrder },
+    ...ticket.tpOrders.map((order, index) => ({
+      label: `TP${index + 1} reduce-only`,
+      method: "POST",
+      path: orderPath,
+      body: {
+        ...base,
+        marginMode,
+        marginCoin: MARGIN_COIN,
+        size: size(order.size),
+        price: price(order.price),
+        side: closeSide,
+        orderType: "limit",
+        force: "gtc",
+        reduceOnly: "YES",
+      },
+    })),
+  ];
+};
@@ -0,0 +1,98 @@
+import { isPositiveDecimal, oneOf } from "./schema";
+
+// Bybit V5 linear perpetuals in one-way mode. The stop loss rides on the entry order and
+// reduceOnly is a JSON boolean.
+const CATEGORY = "linear";
+const isSymbol = (value) => /^[A-Z0-9]+USDT$/.test(value);
+const isBoolean = (value) => typeof value === "boolean";
+
+export const orderPath = "/v5/order/create";
+
+export const schemas = {
+  "/v5/position/switch-isolated": {
+    category: oneOf(CATEGORY),
+    symbol: isSymbol,
+    tradeMode: oneOf(0, 1),
+    buyLeverage: isPositiveDecimal,
+    sellLeverage: isPositiveDecimal,
+  },
+  "/v5/position/set-leverage": {
+    category: oneOf(CATEGORY),
+    symbol: isSymbol,
+    buyLeverage: isPositiveDecimal,
+    sellLeverage: isPositiveDecimal,
+  },
+  [orderPath]: {
+    category: oneOf(CATEGORY),
+    symbol: isSymbol,
+    side: oneOf("Buy", "Sell"),
+    orderType: oneOf("Market", "Limit"),
+    qty: isPositiveDecimal,
+    reduceOnly: isBoolean,
+  },
+};
+
+export const optionalFields = {
+  price: isPositiveDecimal,
+  timeInForce: oneOf("GTC", "IOC", "FOK", "PostOnly"),
+  stopLoss: isPositiveDecimal,
+  takeProfit: isPositiveDecimal,
+  slTriggerBy: oneOf("MarkPrice", "LastPrice", "IndexPrice"),
+  tpTriggerBy: oneOf("MarkPrice", "LastPrice", "IndexPrice"),
+};
+
+export const getSize = (body) => parseFloat(body.qty);
+export const isReduceOnly = (body) => body.reduceOnly === true;
+export const isMissingLimitPrice = (body) => body.orderType === "Limit" && body.price === undefined;
+
+export const build = (ticket) => {
+  const symbol = ticket.symbol.toUpperCase();
+  const leverage = String(ticket.leverage);
+  const price = (value) => value.toFixed(ticket.priceDecimals);
+  const qty = (value) => value.toFixed(ticket.quantityDecimals);
+  const closeSide = ticket.side === "long" ? "Sell" : "Buy";
+  const base = { category: CATEGORY, symbol };
+
+  const entryOrder = {
+    ...base,
+    side: ticket.side === "long" ? "Buy" : "Sell",
+    orderType: ticket.orderType === "limit" ? "Limit" : "Market",
+    qty: qty(ticket.size),
+    reduceOnly: false,
+    stopLoss: price(ticket.stopLoss),
+    slTriggerBy: "MarkPrice",
+  };
+  if (ticket.orderType === "limit") {
+    entryOrder.price = price(ticket.entry);
+    entryOrder.timeInForce = "GTC";
+  }
+  if (ticket.tpOrders.length === 0) {
+    entryOrder.takeProfit = price(ticket.takeProfit);
+    entryOrder.tpTriggerBy = "MarkPrice";
+  }
+
+  return [
+    {
+      label: "Set margin mode",
+      method: "POST",
+      path: "/v5/position/switch-isolated",
+      body: { ...base, tradeMode: ticket.marginMode === "cross" ? 0 : 1, buyLeverage: leverage, sellLeverage: leverage },
+    },
+    { label: "Set leverage", method: "POST", path: "/v5/position/set-leverage", body: { ...base, buyLeverage: leverage, sellLeverage: leverage } },
+    { label: "Entry with stop loss", method: "POST", path: orderPath, body: entryOrder },
+    ...ticket.tpOrders.map((order, index) => ({
+      label: `TP${index + 1} reduce-only`,
+      method: "POST",
+      path: orderPath,
+      body: {
+        ...base,
+        side: closeSide,
+        orderType: "Limit",
+        qty: qty(order.size),
+        price: price(order.price),
+        timeInForce: "GTC",
+        reduceOnly: true,
+      },
+    })),
+  ];
+};
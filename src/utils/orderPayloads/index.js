@@ -0,0 +1,15 @@
+import * as binance from "./binance";
+import * as bitget from "./bitget";
+import * as bybit from "./bybit";
+import * as okx from "./okx";
+import { validateRequests } from "./schema";
+
+export const ORDER_FORMATS = { bitget, binance, bybit, okx };
+
+/**
+ * `ticket` is { symbol, side, orderType, entry, stopLoss, takeProfit, size, leverage, marginMode,
+ * tpOrders: [{ price, size }], priceDecimals, quantityDecimals, contractValue }.
+ */
+export const buildOrders = (format, ticket) => ORDER_FORMATS[format].build(ticket);
+
+export const validateOrders = (format, requests) => validateRequests(ORDER_FORMATS[format], requests);
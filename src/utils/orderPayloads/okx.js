@@ -0,0 +1,89 @@
+import { isPositiveDecimal, isWholeNumber, oneOf } from "./schema";
+
+// OKX V5 USDT swaps in net mode. Sizes are in contracts (ticket.contractValue coins each,
+// traded in 0.01 lots) and margin mode travels with each order as tdMode, so leverage is
+// the only account call.
+const isInstrument = (value) => /^[A-Z0-9]+-USDT-SWAP$/.test(value);
+const isBoolean = (value) => typeof value === "boolean";
+const LOT_DECIMALS = 2;
+
+// An attached algo needs a stop or take-profit trigger, and any trigger must be a price
+const isValidAlgo = (algo) => {
+  const triggers = [algo.slTriggerPx, algo.tpTriggerPx].filter((price) => price !== undefined);
+  return triggers.length > 0 && triggers.every(isPositiveDecimal);
+};
+
+export const orderPath = "/api/v5/trade/order";
+
+export const schemas = {
+  "/api/v5/account/set-leverage": {
+    instId: isInstrument,
+    lever: isWholeNumber,
+    mgnMode: oneOf("isolated", "cross"),
+  },
+  [orderPath]: {
+    instId: isInstrument,
+    tdMode: oneOf("isolated", "cross"),
+    side: oneOf("buy", "sell"),
+    ordType: oneOf("market", "limit", "post_only"),
+    sz: isPositiveDecimal,
+  },
+};
+
+export const optionalFields = {
+  px: isPositiveDecimal,
+  reduceOnly: isBoolean,
+  attachAlgoOrds: (value) => Array.isArray(value) && value.every(isValidAlgo),
+};
+
+export const getSize = (body) => parseFloat(body.sz);
+export const isReduceOnly = (body) => body.reduceOnly === true;
+export const isMissingLimitPrice = (body) => ["limit", "post_only"].includes(body.ordType) && body.px === undefined;
+
+export const toInstrument = (symbol) => symbol.toUpperCase().replace(/USDT$/, "-USDT-SWAP");
+
+export const build = (ticket) => {
+  const instId = toInstrument(ticket.symbol);
+  const tdMode = ticket.marginMode === "cross" ? "cross" : "isolated";
+  const price = (value) => value.toFixed(ticket.priceDecimals);
+  const contracts = (value) => (value / (ticket.contractValue || 1)).toFixed(LOT_DECIMALS);
+  const closeSide = ticket.side === "long" ? "sell" : "buy";
+
+  // Market-price (-1) stop and, without a ladder, take-profit attached to the entry
+  const algo = { slTriggerPx: price(ticket.stopLoss), slOrdPx: "-1" };
+  if (ticket.tpOrders.length === 0) Object.assign(algo, { tpTriggerPx: price(ticket.takeProfit), tpOrdPx: "-1" });
+
+  const entryOrder = {
+    instId,
+    tdMode,
+    side: ticket.side === "long" ? "buy" : "sell",
+    ordType: ticket.orderType,
+    sz: contracts(ticket.size),
+    attachAlgoOrds: [algo],
+  };
+  if (ticket.orderType === "limit") entryOrder.px = price(ticket.entry);
+
+  return [
+    {
+      label: "Set leverage and margin mode",
+      method: "POST",
+      path: "/api/v5/account/set-leverage",
+      body: { instId, lever: String(ticket.leverage), mgnMode: tdMode },
+    },
+    { label: "Entry with attached stop loss", method: "POST", path: orderPath, body: entryOrder },
+    ...ticket.tpOrders.map((order, index) => ({
+      label: `TP${index + 1} reduce-only`,
+      method: "POST",
+      path: orderPath,
+      body: {
+        instId,
+        tdMode,
+        side: closeSide,
+        ordType: "limit",
+        sz: contracts(order.size),
+        px: price(order.price),
+        reduceOnly: true,
+      },
+    })),
+  ];
+};
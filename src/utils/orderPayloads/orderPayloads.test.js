@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import binance from "./fixtures/binance.json";
+import bitget from "./fixtures/bitget.json";
+import bybit from "./fixtures/bybit.json";
+import okx from "./fixtures/okx.json";
+import { buildOrders, validateOrders } from ".";
+
+// Each fixture holds a ticket, the requests it builds and broken copies of them
+const FIXTURES = { binance, bitget, bybit, okx };
+
+// Label of each format's entry order in the built ticket
+const ENTRY_LABELS = {
+  binance: "Entry",
+  bitget: "Entry with preset stop loss",
+  bybit: "Entry with stop loss",
+  okx: "Entry with attached stop loss",
+};
+
+// Closed and opened size once TP1 is as large as the whole entry; OKX counts 0.01 BTC contracts
+const OVERSIZED_TOTALS = {
+  binance: "close 0.015 but the entry only opens 0.01",
+  bitget: "close 0.015 but the entry only opens 0.01",
+  bybit: "close 0.015 but the entry only opens 0.01",
+  okx: "close 1.5 but the entry only opens 1",
+};
+
+describe.each(Object.keys(FIXTURES))("%s order payloads", (format) => {
+  const fixture = FIXTURES[format];
+
+  it("builds the fixture requests from the ticket", () => {
+    expect(buildOrders(format, fixture.ticket)).toEqual(fixture.valid);
+  });
+
+  it("accepts the valid requests", () => {
+    expect(validateOrders(format, fixture.valid)).toEqual([]);
+  });
+
+  it("reports a missing required field", () => {
+    expect(validateOrders(format, fixture.missingField)).toEqual([`${ENTRY_LABELS[format]}: missing side`]);
+  });
+
+  it("reports a limit order without a price", () => {
+    expect(validateOrders(format, fixture.limitWithoutPrice)).toEqual(["TP1 reduce-only: limit orders need a price"]);
+  });
+
+  it("reports take profits that close more than the entry opens", () => {
+    expect(validateOrders(format, fixture.oversizedTakeProfits)).toEqual([`Reduce-only orders ${OVERSIZED_TOTALS[format]}`]);
+  });
+});
+
+describe("validateOrders", () => {
+  it("rejects unknown endpoints and invalid values", () => {
+    const setLeverage = bitget.valid[1];
+    const requests = [
+      { ...setLeverage, path: "/api/v2/mix/account/unknown" },
+      { ...setLeverage, body: { ...setLeverage.body, leverage: "2.5" } },
+    ];
+    expect(validateOrders("bitget", requests)).toEqual([
+      "Set leverage: unknown endpoint /api/v2/mix/account/unknown",
+      'Set leverage: invalid leverage "2.5"',
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+// Field validators shared by the exchange payload schemas. Exchanges take numbers as strings.
+// A format module exports build(ticket), schemas, optionalFields, orderPath, getSize(body),
+// isReduceOnly(body) and isMissingLimitPrice(body).
+export const DECIMAL = /^\d+(\.\d+)?$/;
+export const isPositiveDecimal = (value) => typeof value === "string" && DECIMAL.test(value) && parseFloat(value) > 0;
+export const isWholeNumber = (value) => typeof value === "string" && /^\d+$/.test(value) && parseInt(value, 10) >= 1;
+export const oneOf = (...options) => (value) => options.includes(value);
+
+/**
+ * Checks requests against a format's `schemas` (required fields per endpoint) and
+ * `optionalFields`, then makes sure reduce-only orders never close more than was opened.
+ * Returns a list of error strings.
+ */
+export const validateRequests = (format, requests) => {
+  const errors = [];
+
+  requests.forEach((request, index) => {
+    const name = request.label || `Request ${index + 1}`;
+    const schema = format.schemas[request.path];
+    if (!schema) {
+      errors.push(`${name}: unknown endpoint ${request.path}`);
+      return;
+    }
+    if (request.method !== "POST") errors.push(`${name}: expected POST`);
+
+    Object.entries(schema).forEach(([field, isValid]) => {
+      const value = request.body[field];
+      if (value === undefined) errors.push(`${name}: missing ${field}`);
+      else if (!isValid(value)) errors.push(`${name}: invalid ${field} "${value}"`);
+    });
+    Object.entries(format.optionalFields).forEach(([field, isValid]) => {
+      const value = request.body[field];
+      if (value !== undefined && !isValid(value)) errors.push(`${name}: invalid ${field} "${value}"`);
+    });
+
+    if (format.isMissingLimitPrice(request.body)) errors.push(`${name}: limit orders need a price`);
+  });
+
+  const orders = requests.filter((request) => request.path === format.orderPath && format.getSize(request.body) !== null);
+  const opened = orders.filter((order) => !format.isReduceOnly(order.body)).reduce((sum, order) => sum + format.getSize(order.body), 0);
+  const closed = orders.filter((order) => format.isReduceOnly(order.body)).reduce((sum, order) => sum + format.getSize(order.body), 0);
+  if (closed > opened + 1e-9) {
+    // Summed decimal strings pick up float noise (0.015000000000000001)
+    const round = (value) => parseFloat(value.toFixed(8));
+    errors.push(`Reduce-only orders close ${round(closed)} but the entry only opens ${round(opened)}`);
+  }
+
+  return errors;
+};
@@ -0,0 +1,96 @@
+// Minimal PDF writer for text reports: A4 pages, the built-in Helvetica fonts, text and rules.
+// Everything is built in the browser, so exports need no server or PDF library.
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// Windows-1252 codes for the characters outside Latin-1 that reports use
+const WIN_ANSI = { "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97 };
+// Characters the built-in fonts can't draw at all
+const FALLBACKS = { "₱": "PHP ", "≈": "~", "→": "->", "−": "-", "\u202f": " " };
+
+const encodeText = (text) => {
+  let encoded = "";
+  for (const char of String(text)) {
+    if (FALLBACKS[char]) {
+      encoded += FALLBACKS[char];
+      continue;
+    }
+    const code = WIN_ANSI[char] ?? char.codePointAt(0);
+    encoded += code < 256 ? String.fromCharCode(code) : "?";
+  }
+  return encoded.replace(/[\\()]/g, (char) => `\\${char}`);
+};
+
+const num = (value) => Number(value.toFixed(2));
+const rgb = ([r, g, b]) => `${num(r)} ${num(g)} ${num(b)}`;
+
+// Rough Helvetica width, good enough to wrap text inside a column
+export const estimateTextWidth = (text, size) => String(text).length * size * 0.52;
+
+export const wrapText = (text, maxWidth, size) => {
+  const lines = [];
+  let line = "";
+  String(text)
+    .split(" ")
+    .forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && estimateTextWidth(candidate, size) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * Page-by-page drawing with y measured from the top of the page. toBytes() serializes the
+ * document; every character is a single byte, so string offsets are byte offsets.
+ */
+export const createPdfDocument = ({ title = "" } = {}) => {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+
+  const text = (x, y, value, { size = 10, bold = false, color = [0, 0, 0] } = {}) => {
+    current().push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${rgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - y)} Td (${encodeText(value)}) Tj ET`);
+  };
+
+  const rule = (x1, x2, y, { color = [0.8, 0.8, 0.8], width = 0.5 } = {}) => {
+    current().push(`${rgb(color)} RG ${width} w ${num(x1)} ${num(PAGE_HEIGHT - y)} m ${num(x2)} ${num(PAGE_HEIGHT - y)} l S`);
+  };
+
+  const toBytes = () => {
+    const objects = [
+      "<< /Type /Catalog /Pages 2 0 R >>",
+      `<< /Type /Pages /Kids [${pages.map((_, index) => `${5 + index * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    ];
+    pages.forEach((operations, index) => {
+      const stream = operations.join("\n");
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`,
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+      );
+    });
+    objects.push(`<< /Title (${encodeText(title)}) /Producer (Risk Reward Calculator) >>`);
+
+    let output = "%PDF-1.4\n";
+    const offsets = objects.map((body, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Uint8Array.from(output, (char) => char.charCodeAt(0));
+  };
+
+  return { text, rule, addPage: () => pages.push([]), toBytes };
+};
@@ -0,0 +1,109 @@
+// Normalizes a closed journal trade into the fields the analytics need
+export const toClosedTrade = (trade) => {
+  const { plan, results, execution } = trade;
+  const pnl = execution.realizedPnl;
+
+  // Risk in dollars: the planned max loss, else size × stop distance
+  let risk = results?.potentialLoss || null;
+  if (!risk && plan.stopLoss && plan.size) {
+    risk = plan.size * Math.abs(plan.entry - plan.stopLoss);
+  }
+
+  return {
+    id: trade.id,
+    symbol: plan.symbol,
+    side: plan.side,
+    pnl,
+    rMultiple: risk ? pnl / risk : null,
+    plannedRatio: results?.ratio ?? null,
+    closedAt: execution.closedAt || trade.createdAt,
+  };
+};
+
+export const getClosedTrades = (trades) =>
+  trades
+    .filter((trade) => trade.status === "closed" && trade.execution.realizedPnl !== null)
+    .map(toClosedTrade)
+    .sort((a, b) => a.closedAt.localeCompare(b.closedAt));
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+export const calculatePerformance = (closedTrades, startingCapital = 0) => {
+  const count = closedTrades.length;
+  const wins = closedTrades.filter((trade) => trade.pnl > 0);
+  const losses = closedTrades.filter((trade) => trade.pnl < 0);
+
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+
+  // Equity curve, drawdown and losing streak in trade order
+  let equity = startingCapital;
+  let peak = startingCapital;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  let currentStreak = 0;
+  let longestLosingStreak = 0;
+  const equityCurve = [startingCapital];
+
+  closedTrades.forEach((trade) => {
+    equity += trade.pnl;
+    equityCurve.push(equity);
+    peak = Math.max(peak, equity);
+
+    const drawdown = peak - equity;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+    }
+
+    currentStreak = trade.pnl < 0 ? currentStreak + 1 : 0;
+    longestLosingStreak = Math.max(longestLosingStreak, currentStreak);
+  });
+
+  const rMultiples = closedTrades.map((trade) => trade.rMultiple).filter((r) => r !== null);
+  const winRs = rMultiples.filter((r) => r > 0);
+  const lossRs = rMultiples.filter((r) => r < 0);
+  const avgWinR = average(winRs);
+  const avgLossR = average(lossRs);
+
+  // Realized R:R is the average winner over the average loser, in R
+  const realizedRatio = avgWinR !== null && avgLossR !== null ? avgWinR / Math.abs(avgLossR) : null;
+
+  // The calculator's promise: win rate needed for the planned R:R of each trade
+  const plannedThresholds = closedTrades
+    .filter((trade) => trade.plannedRatio)
+    .map((trade) => 100 / (1 + trade.plannedRatio));
+
+  const winRate = count ? (wins.length / count) * 100 : 0;
+  const plannedWinRateNeeded = average(plannedThresholds);
+
+  return {
+    count,
+    wins: wins.length,
+    losses: losses.length,
+    winRate,
+    avgR: average(rMultiples),
+    expectancy: count ? (grossProfit - grossLoss) / count : 0,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? Infinity : 0,
+    netPnl: grossProfit - grossLoss,
+    maxDrawdown,
+    maxDrawdownPercent,
+    longestLosingStreak,
+    equityCurve,
+    realizedRatio,
+    realizedWinRateNeeded: realizedRatio !== null ? 100 / (1 + realizedRatio) : null,
+    plannedWinRateNeeded,
+    beatsPlannedThreshold: plannedWinRateNeeded !== null ? winRate > plannedWinRateNeeded : null,
+  };
+};
+
+export const groupPerformance = (closedTrades, getKey) => {
+  const groups = {};
+  closedTrades.forEach((trade) => {
+    const key = getKey(trade);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(trade);
+  });
+
+  return Object.entries(groups).map(([key, group]) => ({ key, ...calculatePerformance(group) }));
+};
@@ -0,0 +1,179 @@
+import { CURRENCIES } from "../data/currencies";
+import { EXCHANGE_PROFILES } from "../data/exchanges";
+import { LEVEL_TYPES, STOP_ACTIONS } from "../data/tpPresets";
+import { STOP_RULES } from "./stopManagement";
+
+/**
+ * Shared trade plans. A plan is a flat object of calculator inputs in the form App keeps them
+ * (numbers as input strings), written to the URL as query params and to plan files as JSON.
+ * Both carry PLAN_VERSION; bump it when a field changes meaning and add a MIGRATIONS step so
+ * older links and files still load.
+ */
+export const PLAN_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a version n plan to version n + 1
+const MIGRATIONS = {};
+
+const values = (options) => options.map((option) => option.value);
+
+const PLAN_FIELDS = {
+  exchange: { choices: EXCHANGE_PROFILES.map((profile) => profile.id) },
+  symbol: { type: "text" },
+  mode: { choices: ["futures", "spot"] },
+  side: { choices: ["long", "short"] },
+  entry: { type: "number" },
+  sl: { type: "number" },
+  tp: { type: "number" },
+  capital: { type: "number" },
+  capitalCurrency: { choices: CURRENCIES.map((currency) => currency.code) },
+  risk: { type: "number" },
+  allocation: { type: "number" },
+  maxLeverage: { type: "number" },
+  sizing: { choices: ["allocation", "risk"] },
+  margin: { choices: ["isolated", "cross"] },
+  contract: { choices: ["linear", "inverse"] },
+  contractSize: { type: "number" },
+  partialTP: { type: "boolean" },
+  ladder: { type: "list" },
+  stopRule: { choices: values(STOP_RULES) },
+  trailPercent: { type: "number" },
+  atr: { type: "number" },
+  atrMultiple: { type: "number" },
+  stepR: { type: "number" },
+  entryOrder: { choices: ["market", "limit"] },
+  makerFee: { type: "number" },
+  takerFee: { type: "number" },
+  entrySlippage: { type: "number" },
+  stopSlippage: { type: "number" },
+  tpSlippage: { type: "number" },
+  funding: { type: "number" },
+  holdingHours: { type: "number" },
+  dca: { type: "boolean" },
+  dcaEntries: { type: "list" },
+};
+
+const toText = (value) => (value === null || value === undefined ? "" : String(value));
+const isNumberText = (value) => value === "" || Number.isFinite(Number(value));
+
+const readLadder = (levels) =>
+  levels.map((level, index) => {
+    const clean = {
+      id: index + 1,
+      type: level.type,
+      value: toText(level.value),
+      closePercent: toText(level.closePercent),
+      stopAction: level.stopAction,
+    };
+    if (!values(LEVEL_TYPES).includes(clean.type) || !values(STOP_ACTIONS).includes(clean.stopAction)) {
+      throw new Error(`TP level ${index + 1} has an unknown type or stop action`);
+    }
+    if (level.stopPrice !== undefined) clean.stopPrice = toText(level.stopPrice);
+    if (level.probability !== undefined) clean.probability = toText(level.probability);
+    return clean;
+  });
+
+const readDCAEntries = (entries) =>
+  entries.map((entry, index) => ({ id: index + 1, price: toText(entry.price), weight: toText(entry.weight) }));
+
+// One field from a file (native types) or the URL (strings); returns undefined to drop it
+const readField = (key, raw) => {
+  const field = PLAN_FIELDS[key];
+  if (field.choices) return field.choices.includes(raw) ? raw : undefined;
+  if (field.type === "boolean") return raw === true || raw === "1" || raw === "true";
+  if (field.type === "number") return isNumberText(toText(raw)) ? toText(raw) : undefined;
+  if (field.type === "list") {
+    const list = typeof raw === "string" ? JSON.parse(raw) : raw;
+    if (!Array.isArray(list) || list.length === 0) return undefined;
+    return key === "ladder" ? readLadder(list) : readDCAEntries(list);
+  }
+  return toText(raw);
+};
+
+/**
+ * Validates fields saved by any plan version and upgrades them to the current one. Unknown
+ * fields and invalid values are dropped so the form keeps its own value. Throws when the
+ * plan can't be read at all.
+ */
+export const readPlan = (version, fields) => {
+  const planVersion = Number(version);
+  if (!Number.isInteger(planVersion) || planVersion < 1) throw new Error("Not a trade plan - missing schema version");
+  if (planVersion > PLAN_VERSION) throw new Error(`Plan uses schema v${planVersion}, this calculator reads up to v${PLAN_VERSION}`);
+
+  let upgraded = fields;
+  for (let step = planVersion; step < PLAN_VERSION; step++) {
+    upgraded = MIGRATIONS[step](upgraded);
+  }
+
+  const plan = {};
+  Object.keys(PLAN_FIELDS).forEach((key) => {
+    if (upgraded[key] === undefined || upgraded[key] === null) return;
+    try {
+      const value = readField(key, upgraded[key]);
+      if (value !== undefined) plan[key] = value;
+    } catch (error) {
+      throw new Error(`Invalid ${key}: ${error.message}`);
+    }
+  });
+
+  // Spot can't short or trade inverse contracts, same as switching the calculator to spot
+  if (plan.mode === "spot") {
+    if (plan.side !== undefined) plan.side = "long";
+    if (plan.contract !== undefined) plan.contract = "linear";
+  }
+  return plan;
+};
+
+const withoutCapital = (plan, redactCapital) => {
+  if (!redactCapital) return plan;
+  const { capital: _capital, ...rest } = plan;
+  return rest;
+};
+
+// Rows get fresh ids on read, so links don't spend characters on them
+const withoutId = (row) => {
+  const { id: _id, ...rest } = row;
+  return rest;
+};
+
+// Query string for a plan: scalars as-is, booleans as 1/0, lists as JSON
+export const planToSearch = (plan, { redactCapital = false } = {}) => {
+  const params = new URLSearchParams({ v: String(PLAN_VERSION) });
+  Object.entries(withoutCapital(plan, redactCapital)).forEach(([key, value]) => {
+    if (typeof value === "boolean") params.set(key, value ? "1" : "0");
+    else if (Array.isArray(value)) params.set(key, JSON.stringify(value.map(withoutId)));
+    else if (value !== "") params.set(key, value);
+  });
+  return `?${params}`;
+};
+
+// Plan from a query string, or null when the URL doesn't carry one
+export const planFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  if (!params.has("v")) return null;
+  return readPlan(params.get("v"), Object.fromEntries(params));
+};
+
+export const planToFile = (plan, { redactCapital = false } = {}) =>
+  JSON.stringify(
+    {
+      schema: "risk-reward-plan",
+      version: PLAN_VERSION,
+      exportedAt: new Date().toISOString(),
+      plan: withoutCapital(plan, redactCapital),
+    },
+    null,
+    2
+  );
+
+export const planFromFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Plan file is not valid JSON");
+  }
+  if (!data || data.schema !== "risk-reward-plan" || typeof data.plan !== "object") {
+    throw new Error("Not a trade plan file");
+  }
+  return readPlan(data.version, data.plan);
+};
@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_TP_LADDER } from "../data/tpPresets";
+import { PLAN_VERSION, planFromFile, planFromSearch, planToFile, planToSearch } from "./planShare";
+
+const plan = {
+  exchange: "bitget",
+  symbol: "BTCUSDT",
+  mode: "futures",
+  side: "short",
+  entry: "65000",
+  sl: "66000",
+  tp: "62000",
+  capital: "10000",
+  partialTP: true,
+  ladder: DEFAULT_TP_LADDER,
+};
+
+describe("plan links and files", () => {
+  it("round-trips through a link and a file", () => {
+    expect(planFromSearch(planToSearch(plan))).toEqual(plan);
+    expect(planFromFile(planToFile(plan))).toEqual(plan);
+  });
+
+  it("leaves capital out when redacted", () => {
+    expect(planFromSearch(planToSearch(plan, { redactCapital: true })).capital).toBeUndefined();
+    expect(planFromFile(planToFile(plan, { redactCapital: true })).capital).toBeUndefined();
+  });
+
+  it("opens spot plans as long linear positions", () => {
+    expect(planFromSearch("?v=1&mode=spot&side=short&contract=inverse")).toEqual({ mode: "spot", side: "long", contract: "linear" });
+    expect(planFromSearch("?v=1&mode=spot")).toEqual({ mode: "spot" });
+  });
+
+  it("drops invalid values and rejects plans it can't read", () => {
+    expect(planFromSearch("?v=1&side=sideways&entry=abc&sl=95")).toEqual({ sl: "95" });
+    expect(planFromSearch("?entry=100")).toBeNull();
+    expect(() => planFromSearch(`?v=${PLAN_VERSION + 1}`)).toThrow(/reads up to/);
+    expect(() => planFromFile("{")).toThrow("Plan file is not valid JSON");
+    expect(() => planFromFile('{"schema":"other","plan":{}}')).toThrow("Not a trade plan file");
+  });
+});
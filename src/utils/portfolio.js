@@ -0,0 +1,51 @@
+// Open positions are journal trades marked "open", optionally plus untriggered plans
+export const getOpenPositions = (trades, includePlanned) =>
+  trades
+    .filter((trade) => trade.status === "open" || (includePlanned && trade.status === "planned"))
+    .map((trade) => {
+      const positionValue = trade.results?.positionValue ?? trade.plan.positionValue ?? trade.plan.size * trade.plan.entry;
+      const leverage = trade.results?.leverageInfo?.optimal ?? trade.plan.leverage ?? 1;
+      const risk = trade.results?.potentialLoss ?? (trade.plan.stopLoss ? trade.plan.size * Math.abs(trade.plan.entry - trade.plan.stopLoss) : 0);
+
+      return {
+        id: trade.id,
+        symbol: trade.plan.symbol,
+        side: trade.plan.side,
+        status: trade.status,
+        entry: trade.plan.entry,
+        stopLoss: trade.plan.stopLoss,
+        size: trade.plan.size,
+        leverage,
+        risk,
+        margin: positionValue / leverage,
+        notional: positionValue,
+      };
+    });
+
+export const summarizePortfolio = (positions, capital, limits) => {
+  const totalRisk = positions.reduce((sum, position) => sum + position.risk, 0);
+  const totalMargin = positions.reduce((sum, position) => sum + position.margin, 0);
+  const totalNotional = positions.reduce((sum, position) => sum + position.notional, 0);
+  const longCount = positions.filter((position) => position.side === "long").length;
+  const shortCount = positions.filter((position) => position.side === "short").length;
+
+  const toPercent = (amount) => (capital > 0 ? (amount / capital) * 100 : 0);
+
+  // No cap configured means no heat limit
+  const riskCap = capital > 0 && limits.maxOpenRisk > 0 ? (capital * limits.maxOpenRisk) / 100 : Infinity;
+
+  return {
+    count: positions.length,
+    totalRisk,
+    totalMargin,
+    totalNotional,
+    riskPercent: toPercent(totalRisk),
+    marginPercent: toPercent(totalMargin),
+    notionalPercent: toPercent(totalNotional),
+    longCount,
+    shortCount,
+    riskCap,
+    remainingRisk: Math.max(0, riskCap - totalRisk),
+    isOverRiskCap: totalRisk >= riskCap,
+  };
+};
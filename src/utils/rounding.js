@@ -0,0 +1,21 @@
+// Number of decimals implied by an exchange increment, e.g. 0.001 -> 3
+export const getStepDecimals = (step) => {
+  if (!step || step >= 1) return 0;
+  const text = step.toString();
+  if (text.includes("e-")) return parseInt(text.split("e-")[1], 10);
+  return text.split(".")[1]?.length ?? 0;
+};
+
+// Strip float noise (0.30000000000000004) back to the step's precision
+const toStepPrecision = (value, step) => parseFloat(value.toFixed(getStepDecimals(step)));
+
+export const roundToStep = (value, step) => {
+  if (!step) return value;
+  return toStepPrecision(Math.round(value / step) * step, step);
+};
+
+// Quantities are floored so rounding never adds risk
+export const floorToStep = (value, step) => {
+  if (!step) return value;
+  return toStepPrecision(Math.floor(value / step + 1e-9) * step, step);
+};
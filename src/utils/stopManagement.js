@@ -0,0 +1,92 @@
+/**
+ * Stop rules for the runner once the first take-profit fills:
+ * - "none": only the ladder's "After Fill" actions move the stop
+ * - "breakeven": stop to entry plus the fees needed to close flat, final target stays as a limit order
+ * - "percent": trail the best price by a fixed percent
+ * - "atr": trail the best price by an ATR multiple
+ * - "step": every `step` R of progress moves the stop up by `step` R
+ * The trailing rules replace the final take-profit order, so the runner is closed by its stop.
+ */
+export const STOP_RULES = [
+  { value: "none", label: "Ladder only" },
+  { value: "breakeven", label: "Breakeven + fees" },
+  { value: "percent", label: "Trail %" },
+  { value: "atr", label: "ATR trail" },
+  { value: "step", label: "Step by R" },
+];
+
+const TRAILING_RULES = ["percent", "atr", "step"];
+
+export const isTrailingRule = (rule) => TRAILING_RULES.includes(rule.type);
+
+// The more protective of two stop prices for the given direction
+const tighter = (a, b, direction) => (direction === 1 ? Math.max(a, b) : Math.min(a, b));
+
+const getRuleStop = (peak, { entry, stop, direction, rule }) => {
+  const risk = Math.abs(entry - stop);
+  switch (rule.type) {
+    case "breakeven":
+      return entry + direction * (rule.feeOffset || 0);
+    case "percent":
+      return peak * (1 - (direction * (rule.trailPercent || 0)) / 100);
+    case "atr":
+      return peak - direction * (rule.atr || 0) * (rule.atrMultiple || 0);
+    case "step": {
+      const step = rule.stepR || 1;
+      const peakR = ((peak - entry) * direction) / risk;
+      return entry + direction * risk * (Math.floor(peakR / step + 1e-9) - 1) * step;
+    }
+    default:
+      return stop;
+  }
+};
+
+/**
+ * Stop in force once price has peaked at `levels[filledIndex].price`, combining the ladder's
+ * "After Fill" actions with the stop rule. The stop only ratchets toward profit and never
+ * sits beyond the peak.
+ */
+export const getManagedStop = (levels, filledIndex, context) => {
+  const { entry, stop, direction } = context;
+  if (filledIndex < 0) return stop;
+
+  const peak = levels[filledIndex].price;
+  let managed = stop;
+  for (let i = 0; i <= filledIndex; i++) {
+    if (levels[i].stopAction === "entry") managed = tighter(managed, entry, direction);
+    if (levels[i].stopAction === "previous") managed = tighter(managed, i === 0 ? entry : levels[i - 1].price, direction);
+    if (levels[i].stopAction === "price" && Number.isFinite(levels[i].stopPrice)) {
+      managed = tighter(managed, levels[i].stopPrice, direction);
+    }
+  }
+  managed = tighter(managed, getRuleStop(peak, context), direction);
+
+  return direction === 1 ? Math.min(managed, peak) : Math.max(managed, peak);
+};
+
+/**
+ * Worst-case and expected exit per tranche. Worst case: price reverses right after the previous
+ * level fills and the tranche leaves at the stop in force then (the original stop for TP1).
+ * Expected: the tranche fills at its level, except a trailed runner, which exits at its trailing
+ * stop when price peaks at the final target.
+ */
+export const getTrancheOutcomes = (levels, context) => {
+  const { entry, stop, direction, rule } = context;
+  const risk = Math.abs(entry - stop);
+  const toR = (price) => ((price - entry) * direction) / risk;
+
+  return levels.map((level, index) => {
+    const isRunner = index === levels.length - 1;
+    const worstPrice = getManagedStop(levels, index - 1, context);
+    const isTrailed = isRunner && isTrailingRule(rule);
+    const expectedPrice = isTrailed ? getManagedStop(levels, index, context) : level.price;
+
+    return {
+      worstPrice,
+      worstR: toR(worstPrice),
+      expectedPrice,
+      expectedR: toR(expectedPrice),
+      expectedExit: isTrailed ? "stop" : "tp",
+    };
+  });
+};
@@ -0,0 +1,217 @@
+import { formatCurrency, fromUSD } from "./currency";
+import { PAGE_HEIGHT, PAGE_WIDTH, createPdfDocument, wrapText } from "./pdf";
+
+/**
+ * One-page trade plan record shared by the on-screen/print view and the PDF export.
+ * `setup` holds the form inputs (prices, modes, USD capital, exchange name, stop rule label),
+ * `rates` maps each currency the report shows to rateService.getRate() output.
+ */
+export const buildTradeReport = ({ results, setup, homeCurrency, capitalCurrency, rates, getRatioLabel, priceDecimals, quantityDecimals, generatedAt }) => {
+  const homeRate = rates[homeCurrency];
+  const money = (usd) => {
+    const text = formatCurrency(usd, "USD");
+    return homeRate.kind === "pegged" ? text : `${text} (${formatCurrency(fromUSD(usd, homeRate.rate), homeCurrency)})`;
+  };
+  const price = (value) => `$${value.toFixed(priceDecimals)}`;
+  const percentFromEntry = (value) => `${((Math.abs(value - setup.entry) / setup.entry) * 100).toFixed(2)}%`;
+
+  const { leverageInfo, liquidation, partialTPLevels, partialTPProfits, expectedValue, costs, inverse, dca } = results;
+  const isSpot = setup.tradingMode === "spot";
+  const coin = setup.symbol ? setup.symbol.replace(/USDT$/, "") : "coins";
+
+  const rateLines = [...new Set([homeCurrency, capitalCurrency])]
+    .filter((code) => code !== "USD")
+    .map((code) => {
+      const info = rates[code];
+      if (info.kind === "pegged") return `${code}: pegged 1:1 to USD`;
+      const when = info.timestamp ? `, ${new Date(info.timestamp).toLocaleString()}` : "";
+      return `1 USD = ${info.rate.toFixed(4)} ${code} - ${info.source}${when}${info.kind === "stale" ? " (stale)" : ""}`;
+    });
+
+  const sections = [
+    {
+      heading: "Setup",
+      rows: [
+        ["Pair", `${setup.symbol || "Custom pair"} on ${setup.exchangeName}`],
+        ["Direction", `${setup.positionType.toUpperCase()} ${isSpot ? "spot" : `${setup.contractType} futures, ${setup.marginMode} margin`}`],
+        ["Entry", dca ? `${price(setup.entry)} average of ${dca.fills.length} scaled entries` : price(setup.entry)],
+        ["Stop Loss", `${price(setup.stop)} (${percentFromEntry(setup.stop)} from entry)`],
+        ["Take Profit", `${price(setup.target)} (${percentFromEntry(setup.target)} from entry)`],
+        ["Sizing", isSpot ? "Spot - risk budget, capped by the allocation" : setup.sizingMode === "risk" ? "Risk-exact" : "Allocation-based"],
+      ],
+    },
+    {
+      heading: "Reward vs Risk",
+      rows: [
+        ["R:R Ratio", `1:${results.ratio.toFixed(2)} - ${getRatioLabel(results.ratio)}`],
+        ["Net R:R Ratio", `1:${costs.netRatio.toFixed(2)} after fees, slippage and funding`],
+        ["Win Rate Needed", `${(100 / (1 + results.ratio)).toFixed(1)}% (net ${costs.winRateNeeded.toFixed(1)}%)`],
+        ["Risk % Move", `${leverageInfo.riskPercentageMove.toFixed(2)}%`],
+      ],
+    },
+    {
+      heading: "Leverage",
+      rows: [
+        ["Recommended", isSpot ? "None - spot" : `${leverageInfo.optimal}x`],
+        ["Reasoning", leverageInfo.explanation],
+        ...(liquidation
+          ? [
+              [
+                "Liquidation",
+                liquidation.price > 0
+                  ? `${price(liquidation.price)} - ${liquidation.distanceFromStopPercent.toFixed(2)}% beyond the stop`
+                  : "None at this leverage",
+              ],
+            ]
+          : []),
+      ],
+    },
+    {
+      heading: "Position Details",
+      rows: [
+        ["Total Capital", money(setup.capital)],
+        ["Allocated Capital", money(results.allocatedAmount)],
+        [
+          "Position Size",
+          inverse
+            ? `${inverse.contracts} × $${inverse.contractSize} contracts (${results.recommendedAssets.toFixed(6)} ${inverse.coin})`
+            : `${results.recommendedAssets.toFixed(quantityDecimals)} ${coin}`,
+        ],
+        ["Position Value", money(results.positionValue)],
+        ...(isSpot ? [] : [["Margin Required", money(results.sizing.marginRequired)]]),
+        ...(inverse ? [["Margin (coin)", `${inverse.marginCoin.toFixed(6)} ${inverse.coin}`]] : []),
+      ],
+    },
+    {
+      heading: "Risk Analysis",
+      rows: [
+        ["Risk Budget", `${money(results.maxRiskAmount)} - ${setup.riskPercentage}% of capital`],
+        ["Loss at Stop", `${money(results.potentialLoss)} - net ${money(costs.netLoss)}`],
+        ["Profit at Target", `${money(results.potentialProfit)} - net ${money(costs.netProfit)}`],
+        ["Costs vs Risk Budget", `${costs.costShareOfRisk.toFixed(1)}%`],
+        ...(expectedValue
+          ? [["Expected Value", `${money(expectedValue.expectedProfit)} (${expectedValue.expectedR.toFixed(2)}R) per trade`]]
+          : []),
+      ],
+    },
+  ];
+
+  const ladder = partialTPProfits
+    ? {
+        headers: ["Level", "Price", "Close", "Size", "Profit", "After Fill"],
+        rows: partialTPLevels.map((level, index) => {
+          const tranche = partialTPProfits.levels[index];
+          const isLast = index === partialTPLevels.length - 1;
+          return [
+            level.label,
+            price(level.price),
+            `${tranche.percent.toFixed(0)}%`,
+            tranche.assets.toFixed(quantityDecimals),
+            formatCurrency(tranche.profit, "USD"),
+            isLast ? "Closes the position" : level.action || "Keep stop",
+          ];
+        }),
+        total: `All levels fill: ${money(partialTPProfits.totalProfit)}${
+          partialTPProfits.avgExitRMultiple !== null ? `, ${partialTPProfits.avgExitRMultiple.toFixed(2)}R average exit` : ""
+        } • Runner stop: ${setup.stopRuleLabel}`,
+      }
+    : null;
+
+  const warnings = [...results.contractWarnings, ...results.ladderErrors, ...(dca ? dca.errors : [])];
+  if (liquidation?.blocked) warnings.push("Liquidation triggers before the stop loss even at 1x");
+  else if (liquidation?.leverageReduced) warnings.push(`Leverage reduced from ${liquidation.originalLeverage}x so the stop triggers before liquidation`);
+  if (results.heat?.directionLimitReached) warnings.push("Direction limit reached - no new position sized");
+  else if (results.heat?.isReduced) warnings.push(`Position shrunk to ${(results.heat.scale * 100).toFixed(0)}% by the portfolio heat limit`);
+
+  return {
+    title: `${setup.symbol || "Custom pair"} ${setup.positionType.toUpperCase()} Trade Plan`,
+    generatedAt: generatedAt.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "long" }),
+    rateLines: rateLines.length ? rateLines : ["All figures in USD - no conversion"],
+    sections,
+    ladder,
+    warnings,
+  };
+};
+
+const MARGIN = 48;
+const VALUE_X = 190;
+const LINE = 14;
+const GREY = [0.4, 0.4, 0.45];
+
+// Same content as the report view, laid out top to bottom with page breaks as needed
+export const tradeReportToPdf = (report) => {
+  const doc = createPdfDocument({ title: report.title });
+  let y = MARGIN;
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  doc.text(MARGIN, y + 6, report.title, { size: 18, bold: true });
+  y += 26;
+  doc.text(MARGIN, y, `Generated ${report.generatedAt}`, { size: 9, color: GREY });
+  report.rateLines.forEach((line) => {
+    y += 12;
+    doc.text(MARGIN, y, `Exchange rate: ${line}`, { size: 9, color: GREY });
+  });
+  y += 10;
+  doc.rule(MARGIN, PAGE_WIDTH - MARGIN, y, { color: [0, 0, 0], width: 1 });
+  y += 20;
+
+  report.sections.forEach((section) => {
+    ensureSpace(LINE * 3);
+    doc.text(MARGIN, y, section.heading, { size: 12, bold: true });
+    y += 6;
+    doc.rule(MARGIN, PAGE_WIDTH - MARGIN, y);
+    y += LINE;
+    section.rows.forEach(([label, value]) => {
+      const lines = wrapText(value, PAGE_WIDTH - MARGIN - VALUE_X, 10);
+      ensureSpace(lines.length * LINE);
+      doc.text(MARGIN, y, label, { size: 10, color: GREY });
+      lines.forEach((line, index) => doc.text(VALUE_X, y + index * LINE, line, { size: 10 }));
+      y += lines.length * LINE;
+    });
+    y += 10;
+  });
+
+  if (report.ladder) {
+    const columns = [MARGIN, 170, 245, 290, 355, 430];
+    ensureSpace(LINE * (report.ladder.rows.length + 4));
+    doc.text(MARGIN, y, "Partial Take Profits", { size: 12, bold: true });
+    y += 6;
+    doc.rule(MARGIN, PAGE_WIDTH - MARGIN, y);
+    y += LINE;
+    report.ladder.headers.forEach((header, index) => doc.text(columns[index], y, header, { size: 9, bold: true, color: GREY }));
+    y += LINE;
+    report.ladder.rows.forEach((row) => {
+      const actionLines = wrapText(row[5], PAGE_WIDTH - MARGIN - columns[5], 9);
+      ensureSpace(actionLines.length * 12);
+      row.slice(0, 5).forEach((cell, index) => doc.text(columns[index], y, cell, { size: 9 }));
+      actionLines.forEach((line, index) => doc.text(columns[5], y + index * 12, line, { size: 9 }));
+      y += Math.max(LINE, actionLines.length * 12 + 2);
+    });
+    wrapText(report.ladder.total, PAGE_WIDTH - MARGIN * 2, 9).forEach((line) => {
+      ensureSpace(12);
+      doc.text(MARGIN, y, line, { size: 9, color: GREY });
+      y += 12;
+    });
+    y += 10;
+  }
+
+  if (report.warnings.length > 0) {
+    ensureSpace(LINE * 2);
+    doc.text(MARGIN, y, "Warnings", { size: 12, bold: true, color: [0.7, 0.1, 0.1] });
+    y += LINE + 2;
+    report.warnings.forEach((warning) => {
+      wrapText(`• ${warning}`, PAGE_WIDTH - MARGIN * 2, 10).forEach((line) => {
+        ensureSpace(LINE);
+        doc.text(MARGIN, y, line, { size: 10 });
+        y += LINE;
+      });
+    });
+  }
+
+  return doc.toBytes();
+};
@@ -0,0 +1,134 @@
+import { parseCandles } from "./backtest";
+import { parseCsv } from "./csv";
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Liquidation should sit at least this many ATRs from entry
+export const LIQUIDATION_ATR_BUFFER = 3;
+
+/**
+ * Reads OHLC history from CSV (time,open,high,low,close) or JSON. JSON may be an array of
+ * { time, open, high, low, close } objects or exchange kline arrays ([time, open, high, low, close, ...]).
+ */
+export const parsePriceHistory = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith("[") && !trimmed.startsWith("{")) return parseCandles(parseCsv(trimmed));
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch {
+    return [];
+  }
+  const rows = Array.isArray(data) ? data : data.data || data.candles || [];
+  if (!Array.isArray(rows)) return [];
+
+  return parseCandles(
+    rows.map((row) =>
+      Array.isArray(row)
+        ? { time: row[0], open: row[1], high: row[2], low: row[3], close: row[4] }
+        : { time: row.time ?? row.t, open: row.open ?? row.o, high: row.high ?? row.h, low: row.low ?? row.l, close: row.close ?? row.c }
+    )
+  );
+};
+
+// Wilder's average true range
+export const calculateATR = (candles, period = 14) => {
+  if (candles.length <= period) return null;
+
+  const trueRanges = candles.slice(1).map((candle, index) => {
+    const previousClose = candles[index].close;
+    return Math.max(candle.high - candle.low, Math.abs(candle.high - previousClose), Math.abs(candle.low - previousClose));
+  });
+
+  let atr = trueRanges.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+  }
+  return atr;
+};
+
+// Most recent pivot high/low with `strength` lower highs (higher lows) on each side; equal
+// bars to the right still count so double tops register on their first bar
+export const findLastSwings = (candles, strength = 3) => {
+  let swingHigh = null;
+  let swingLow = null;
+
+  for (let i = candles.length - 1 - strength; i >= strength && (swingHigh === null || swingLow === null); i--) {
+    const left = candles.slice(i - strength, i);
+    const right = candles.slice(i + 1, i + 1 + strength);
+    const { high, low } = candles[i];
+    if (swingHigh === null && left.every((candle) => candle.high < high) && right.every((candle) => candle.high <= high)) {
+      swingHigh = high;
+    }
+    if (swingLow === null && left.every((candle) => candle.low > low) && right.every((candle) => candle.low >= low)) {
+      swingLow = low;
+    }
+  }
+
+  return { swingHigh, swingLow };
+};
+
+// Standard deviation of close-to-close log returns, per bar and annualized from the bar interval
+export const calculateRealizedVolatility = (candles) => {
+  if (candles.length < 3) return null;
+
+  const returns = candles.slice(1).map((candle, index) => Math.log(candle.close / candles[index].close));
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+
+  const intervals = candles.slice(1).map((candle, index) => candle.time - candles[index].time).sort((a, b) => a - b);
+  const interval = intervals[Math.floor(intervals.length / 2)];
+
+  return {
+    perBar: Math.sqrt(variance) * 100,
+    annualized: interval > 0 ? Math.sqrt(variance * (YEAR_MS / interval)) * 100 : null,
+    interval,
+  };
+};
+
+export const analyzeVolatility = (candles, atrPeriod = 14) => {
+  const atr = calculateATR(candles, atrPeriod);
+  if (atr === null) return null;
+
+  const lastClose = candles[candles.length - 1].close;
+  const realized = calculateRealizedVolatility(candles);
+
+  return {
+    candleCount: candles.length,
+    atrPeriod,
+    atr,
+    atrPercent: (atr / lastClose) * 100,
+    lastClose,
+    ...findLastSwings(candles),
+    realizedVolatility: realized.perBar,
+    annualizedVolatility: realized.annualized,
+    interval: realized.interval,
+  };
+};
+
+// Stop candidates on the loss side of entry, nearest first
+export const suggestStops = (analysis, entry, positionType) => {
+  const direction = positionType === "long" ? 1 : -1;
+  const suggestions = [1, 1.5, 2].map((multiple) => ({
+    label: `${multiple}× ATR`,
+    price: entry - direction * analysis.atr * multiple,
+  }));
+
+  // Just beyond the last swing, padded by a quarter ATR so wicks don't tag it
+  const swing = positionType === "long" ? analysis.swingLow : analysis.swingHigh;
+  if (swing !== null && (entry - swing) * direction > 0) {
+    suggestions.push({
+      label: `Beyond swing ${positionType === "long" ? "low" : "high"}`,
+      price: swing - direction * analysis.atr * 0.25,
+    });
+  }
+
+  return suggestions
+    .filter((suggestion) => suggestion.price > 0)
+    .sort((a, b) => (entry - a.price) * direction - (entry - b.price) * direction);
+};
+
+// Highest leverage whose ~1/L liquidation move still clears LIQUIDATION_ATR_BUFFER ATRs
+export const getVolatilityLeverageCap = (atrPercent) =>
+  Math.max(1, Math.floor(100 / (LIQUIDATION_ATR_BUFFER * atrPercent)));
@@ -0,0 +1,59 @@
+// Watchlist screening: candidate setups from CSV, each sized with the calculator's settings
+// and checked against the desk's rules.
+
+export const WATCHLIST_TEMPLATE = "symbol,side,entry,sl,tp,max_leverage";
+
+export const DEFAULT_WATCHLIST_RULES = {
+  minRatio: "2", // Minimum R:R
+  maxLeverage: "20", // Highest leverage we'll take, regardless of what the pair allows
+  maxStopPercent: "5", // Widest stop distance, % from entry
+};
+
+// parseCsv() rows to setups; rows missing a price or with an unknown side are kept with an error
+// so they show in the table
+export const parseWatchlist = (rows) =>
+  rows.map((row, index) => {
+    const setup = {
+      id: index + 1,
+      symbol: (row.symbol || "").toUpperCase(),
+      side: (row.side || "").trim().toLowerCase(),
+      entry: parseFloat(row.entry),
+      stop: parseFloat(row.sl ?? row.stop),
+      target: parseFloat(row.tp ?? row.target),
+      maxLeverage: parseFloat(row.max_leverage ?? row.maxleverage ?? row["max leverage"]) || null,
+    };
+    const isComplete = setup.entry > 0 && setup.stop > 0 && setup.target > 0;
+    let parseError = null;
+    if (!isComplete) {
+      parseError = "Missing entry, SL or TP";
+    } else if (setup.side !== "long" && setup.side !== "short") {
+      parseError = "Side must be long or short";
+    }
+    return { ...setup, parseError };
+  });
+
+/**
+ * Pass/fail for one calculateRiskReward() result. Invalid setups, liquidation before the stop
+ * and positions too small to size always fail; the rest comes from `rules` (strings from inputs,
+ * blank skips the rule).
+ */
+export const checkWatchlistRules = (result, rules) => {
+  if (!result || result.error) return { pass: false, failures: ["Stop and target on the wrong side of entry"] };
+  if (!result.leverageInfo) return { pass: false, failures: ["Enter total capital to size the setup"] };
+
+  const failures = [];
+  const minRatio = parseFloat(rules.minRatio);
+  const maxLeverage = parseFloat(rules.maxLeverage);
+  const maxStopPercent = parseFloat(rules.maxStopPercent);
+  const leverage = result.leverageInfo.optimal;
+
+  if (minRatio > 0 && result.ratio < minRatio) failures.push(`R:R below 1:${minRatio}`);
+  if (maxLeverage > 0 && leverage > maxLeverage) failures.push(`${leverage}x above ${maxLeverage}x`);
+  if (maxStopPercent > 0 && result.leverageInfo.riskPercentageMove > maxStopPercent) {
+    failures.push(`Stop ${result.leverageInfo.riskPercentageMove.toFixed(2)}% away, over ${maxStopPercent}%`);
+  }
+  if (result.liquidation?.blocked) failures.push("Liquidation before stop");
+  if (result.recommendedAssets <= 0) failures.push("Too small to size");
+
+  return { pass: failures.length === 0, failures };
+};
@@ -0,0 +1,10 @@
+import { simulateEquityPaths } from "../utils/monteCarlo";
+
+self.onmessage = (event) => {
+  const { id, params } = event.data;
+  try {
+    self.postMessage({ id, result: simulateEquityPaths(params) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,10 @@
+import { defineConfig } from "vite";
+
+// Bundles the rrcalc CLI for Node; the engine's extensionless imports need a bundler to resolve
+export default defineConfig({
+  publicDir: false,
+  build: {
+    ssr: "cli/rrcalc.js",
+    outDir: "dist-cli",
+  },
+});